@@ -2,7 +2,12 @@ import { EventEmitter } from 'events';
 import { Server as HttpServer } from 'http';
 import { Application } from 'express';
 import { Server as SocketIOServer } from 'socket.io';
-import { IndexSystem, Logger, Validator, WriteMutex, Collection, QueryResult } from './utilities';
+import {
+  IndexSystem, SortedIndex, Logger, Validator, WriteMutex, Collection, QueryResult, QueryMatcher,
+  AtomicFile, LRUCache, UpdateOperators, Transaction, SchemaValidator, MigrationRunner, AggregationPipeline, JSLiteDBError,
+  UniqueConstraintError, ConflictError, ValidationError, UpdateOperatorError, MigrationError, Query, CacheStats, CollectionOptions, SchemaError, MigrationSource,
+  MigrationStatus
+} from './utilities';
 
 /**
  * Configuration options for JSLiteDB
@@ -10,8 +15,10 @@ import { IndexSystem, Logger, Validator, WriteMutex, Collection, QueryResult } f
 export interface JSLiteDBOptions {
   /** Folder path for storage (each collection gets its own JSON file) (default: "./data") */
   folderPath?: string;
-  /** Autosave interval in milliseconds (0 disables autosave) */
+  /** Autosave interval in milliseconds (0 disables autosave); when enabled, writes only mark collections dirty */
   autoSaveInterval?: number;
+  /** With autosave enabled, save dirty collections on SIGINT/SIGTERM (default: true) */
+  saveOnSignals?: boolean;
   /** Enable REST API server */
   enableServer?: boolean;
   /** Server port */
@@ -20,18 +27,33 @@ export interface JSLiteDBOptions {
   enableRealtime?: boolean;
   /** Optional API key for authentication */
   apiKey?: string;
+  /** Resolve the identity of the user making a REST request, stored by collections with the userStamps option */
+  resolveUser?: (req: any) => any;
   /** Enable automatic indexing for performance */
   enableIndexing?: boolean;
-  /** Enable lazy loading for large datasets */
+  /** Load collections on first access and unload the least recently used ones when over maxMemoryItems */
   lazyLoading?: boolean;
-  /** Maximum items to keep in memory when lazy loading is enabled */
+  /** Memory budget: maximum documents kept in memory when lazy loading is enabled */
   maxMemoryItems?: number;
+  /** Maximum documents in the findById LRU cache (default: maxMemoryItems) */
+  cacheMaxItems?: number;
+  /** Maximum size of the cached documents in bytes, measured as JSON (default: 0, no size limit) */
+  cacheMaxBytes?: number;
   /** Enable request/response logging */
   enableLogging?: boolean;
-  /** Enable write queue for better concurrency (batches operations) */
+  /**
+   * Apply writes in memory immediately and persist them in batches, once per collection per flush interval.
+   * Writes resolve before they are on disk: a crash or process.exit() before the next flush loses them
+   */
   enableWriteQueue?: boolean;
   /** Write queue flush interval in milliseconds */
   queueFlushInterval?: number;
+  /** "snapshot" rewrites collection files on every write, "journal" appends to a per-collection journal (default: "snapshot") */
+  storageMode?: 'snapshot' | 'journal';
+  /** Journal entries after which a collection is compacted into its file (default: 1000) */
+  journalCompactionThreshold?: number;
+  /** Also fsync the data folder after each file write so renames survive a power loss (default: false) */
+  fsyncDirectory?: boolean;
 }
 
 /**
@@ -62,7 +84,7 @@ export interface PaginationConfig {
  * Query configuration
  */
 export interface QueryConfig extends PaginationConfig {
-  filter?: (value: any, key: string) => boolean;
+  filter?: ((value: any, key: string) => boolean) | Query;
   sort?: SortConfig;
 }
 
@@ -73,12 +95,25 @@ export interface APIResponse<T = any> {
   success: boolean;
   data?: T;
   error?: string;
+  /** Schema violations of a rejected document */
+  errors?: SchemaError[];
+  /** Execution statistics of _query and _aggregate requests */
+  stats?: {
+    /** Documents examined */
+    scanned: number;
+    /** Documents (or groups) returned */
+    returned: number;
+    /** Execution time in ms */
+    executionTime: number;
+  };
   count?: number;
   totalCount?: number;
   pagination?: {
     limit: number | null;
     skip: number;
     hasMore: boolean;
+    /** Cursor of the next page, null on the last page */
+    nextCursor?: string | null;
   };
 }
 
@@ -98,6 +133,7 @@ export interface HealthResponse {
     heapUsed: string;
     heapTotal: string;
   };
+  cache: CacheStats;
   features: {
     indexing: boolean;
     lazyLoading: boolean;
@@ -130,9 +166,12 @@ export interface JSLiteDBEvents {
   'collection:update': (event: { collection: string; id: string; document: any }) => void;
   'collection:delete': (event: { collection: string; id: string; document: any }) => void;
   'collection:dropped': (event: { collection: string }) => void;
+  'collection:unloaded': (event: { collection: string; documentCount: number }) => void;
   'database:cleared': () => void;
   'backup': (event: { backupPath: string }) => void;
   'restore': (event: { backupPath: string }) => void;
+  'migration:up': (event: { id: string }) => void;
+  'migration:down': (event: { id: string }) => void;
   'server:started': (event: { port: number }) => void;
   'server:stopped': () => void;
   'client:connected': (event: { socketId: string }) => void;
@@ -145,17 +184,27 @@ export interface JSLiteDBEvents {
 export declare class JSLiteDB extends EventEmitter {
   public readonly folderPath: string;
   public readonly autoSaveInterval: number;
+  public readonly saveOnSignals: boolean;
+  public readonly dirtyCollections: Set<string>;
   public readonly enableIndexing: boolean;
   public readonly lazyLoading: boolean;
   public readonly maxMemoryItems: number;
+  public readonly cache: LRUCache;
   public readonly enableLogging: boolean;
   public readonly enableWriteQueue: boolean;
   public readonly queueFlushInterval: number;
+  public readonly storageMode: 'snapshot' | 'journal';
+  public readonly journalCompactionThreshold: number;
+  public readonly journalEntries: Map<string, number>;
+  public readonly fsyncDirectory: boolean;
+  public readonly writeQueue: Map<string, Array<{ op: 'set' | 'delete'; id: string; document?: any }>>;
   public readonly enableServer: boolean;
   public readonly serverPort: number;
   public readonly enableRealtime: boolean;
   public readonly apiKey: string | null;
   public readonly isServerRunning: boolean;
+  public readonly indexes: Map<string, Map<string, IndexSystem>>;
+  public readonly indexedFields: Set<string>;
 
   public readonly app: Application | null;
   public readonly server: HttpServer | null;
@@ -165,9 +214,10 @@ export declare class JSLiteDB extends EventEmitter {
 
   // Collection-based methods
   /**
-   * Get a collection interface for document operations
+   * Get a collection interface for document operations; options are merged into the
+   * collection's current options and persisted in the metadata file
    */
-  collection(name: string): Collection;
+  collection(name: string, options?: CollectionOptions): Collection;
 
   /**
    * Get all collection names
@@ -206,12 +256,12 @@ export declare class JSLiteDB extends EventEmitter {
 
   // Indexing methods
   /**
-   * Create an index for a specific field to optimize queries
+   * Create an index for a field on every collection to optimize queries
    */
   createIndex(field: string): void;
 
   /**
-   * Drop an existing index
+   * Drop an existing index from every collection
    */
   dropIndex(field: string): void;
 
@@ -248,6 +298,34 @@ export declare class JSLiteDB extends EventEmitter {
    */
   save(): Promise<void>;
 
+  /**
+   * Persist all queued writes (no-op unless the write queue is enabled)
+   */
+  flush(): Promise<void>;
+
+  /**
+   * Run a function as an atomic transaction over any number of collections; all writes made through
+   * tx.collection() are committed together when it resolves and rolled back if it throws
+   */
+  transaction<T>(fn: (tx: Transaction) => Promise<T> | T): Promise<T>;
+
+  /**
+   * Run the pending migrations in ID order, recording them in .migrations.json
+   * @returns IDs of the applied migrations
+   */
+  migrate(options: MigrationSource & { to?: string }): Promise<string[]>;
+
+  /**
+   * Roll back the most recently applied migrations (one by default)
+   * @returns IDs of the rolled back migrations
+   */
+  rollbackMigrations(options: MigrationSource & { steps?: number; to?: string }): Promise<string[]>;
+
+  /**
+   * Get the state of every migration
+   */
+  getMigrationStatus(options: MigrationSource): Promise<MigrationStatus[]>;
+
   // Event emitter methods
   on<K extends keyof JSLiteDBEvents>(event: K, listener: JSLiteDBEvents[K]): this;
   emit<K extends keyof JSLiteDBEvents>(event: K, ...args: Parameters<JSLiteDBEvents[K]>): boolean;
@@ -259,7 +337,17 @@ export declare class JSLiteDB extends EventEmitter {
 export default JSLiteDB;
 
 // Export utility classes
-export { IndexSystem, Logger, Validator, WriteMutex, Collection, QueryResult };
+export {
+  IndexSystem, SortedIndex, Logger, Validator, WriteMutex, Collection, QueryResult, QueryMatcher,
+  AtomicFile, LRUCache, UpdateOperators, Transaction, SchemaValidator, MigrationRunner, AggregationPipeline, JSLiteDBError,
+  UniqueConstraintError, ConflictError, ValidationError, UpdateOperatorError, MigrationError
+};
+export type {
+  Query, QueryOperators, CollectionFilter, CollectionSort, RangeBounds, IndexOptions, IndexDefinition, WriteOptions,
+  CacheStats, UpdateQuery, UpdateOptions, RevisionWriteOptions, CollectionOptions, BulkWriteOperation, BulkWriteOptions,
+  BulkWriteItemResult, BulkWriteResult, JSONSchema, JSONSchemaType, SchemaValidatorOptions, SchemaError, Migration,
+  MigrationSource, MigrationStatus, FindPageResult, PipelineStage, AggregationExpression, AggregationAccumulator, Projection
+} from './utilities';
 
 // Utility types for common patterns
 export type JSLiteDocument<T = any> = {
@@ -1,4 +1,5 @@
 const { Server } = require("socket.io");
+const { AsyncLocalStorage } = require("async_hooks");
 const cors = require("cors");
 const EventEmitter = require("events");
 const express = require("express");
@@ -6,7 +7,16 @@ const fs = require("fs").promises;
 const http = require("http");
 const path = require("path");
 
-const { IndexSystem, Logger, Validator, WriteMutex, Collection, QueryResult } = require("./utilities");
+const {
+  IndexSystem, SortedIndex, Logger, Validator, WriteMutex, Collection, QueryResult, QueryMatcher,
+  AtomicFile, LRUCache, UpdateOperators, Transaction, SchemaValidator, MigrationRunner, AggregationPipeline,
+  JSLiteDBError, UniqueConstraintError, ConflictError, ValidationError, UpdateOperatorError, MigrationError
+} = require("./utilities");
+
+const JOURNAL_SUFFIX = '.journal.jsonl';
+const MAX_BULK_OPERATIONS = 10000;
+// Query string parameters of GET /api/:collection that are not field filters
+const LIST_QUERY_PARAMETERS = ['where', 'sort', 'fields', 'limit', 'skip', 'cursor', 'total', 'apiKey'];
 
 /**
  * JSLiteDB - A lightweight folder-based JSON database with real-time sync capabilities
@@ -19,17 +29,30 @@ class JSLiteDB extends EventEmitter {
    * Create a new DB instance.
    * @param {Object} options - Configuration options
    * @param {string} [options.folderPath="./data"] - Folder path for storage (each collection gets its own JSON file)
-   * @param {number} [options.autoSaveInterval=0] - Autosave interval in ms (0 disables autosave)
+   * @param {number} [options.autoSaveInterval=0] - Autosave interval in ms (0 disables autosave). When enabled, writes
+   * only mark their collection dirty and the dirty collections are saved on this interval, on close() and on process signals
+   * @param {boolean} [options.saveOnSignals=true] - With autosave enabled, save dirty collections on SIGINT/SIGTERM
    * @param {boolean} [options.enableServer=false] - Enable REST API server
    * @param {number} [options.serverPort=3000] - Server por
    * @param {boolean} [options.enableRealtime=true] - Enable real-time sync via WebSocke
    * @param {string} [options.apiKey] - Optional API key for authentication
+   * @param {Function} [options.resolveUser] - (req) => identity of the user making a REST request, stored in
+   * createdBy/updatedBy by collections with the userStamps option
    * @param {boolean} [options.enableIndexing=true] - Enable automatic indexing for performance
-   * @param {boolean} [options.lazyLoading=true] - Enable lazy loading for large datasets
-   * @param {number} [options.maxMemoryItems=10000] - Maximum items to keep in memory when lazy loading is enabled
+   * @param {boolean} [options.lazyLoading=true] - Load collections on first access instead of on startup, and unload
+   * the least recently used ones (after persisting their pending writes) when maxMemoryItems is exceeded
+   * @param {number} [options.maxMemoryItems=10000] - Memory budget: maximum documents kept in memory when lazy loading is enabled
+   * @param {number} [options.cacheMaxItems=maxMemoryItems] - Maximum documents in the findById cache (least recently used are evicted)
+   * @param {number} [options.cacheMaxBytes=0] - Maximum size of the cached documents in bytes, measured as JSON (0 for no size limit)
    * @param {boolean} [options.enableLogging=true] - Enable request/response logging
-   * @param {boolean} [options.enableWriteQueue=false] - Enable write queue for better concurrency (batches operations)
+   * @param {boolean} [options.enableWriteQueue=false] - Apply writes in memory immediately and persist them in batches
+   * (one file write per collection every queueFlushInterval ms); use flush() or the durable write option to await persistence.
+   * Writes resolve before they are on disk, so a crash or process.exit() before the next flush loses them
    * @param {number} [options.queueFlushInterval=100] - Write queue flush interval in ms
+   * @param {string} [options.storageMode="snapshot"] - "snapshot" rewrites the collection file on every write,
+   * "journal" appends each write to a per-collection journal that is periodically compacted into the file
+   * @param {number} [options.journalCompactionThreshold=1000] - Journal entries after which a collection is compacted
+   * @param {boolean} [options.fsyncDirectory=false] - Also fsync the data folder after each file write, making renames durable
    */
   constructor(options = {}) {
     super();
@@ -37,37 +60,67 @@ class JSLiteDB extends EventEmitter {
     // Folder and file paths
     this.folderPath = path.resolve(options.folderPath || "./data");
     this.indexFilePath = path.join(this.folderPath, ".index.json");
+    this.transactionFilePath = path.join(this.folderPath, ".transaction.json");
+    this.migrationsFilePath = path.join(this.folderPath, ".migrations.json");
 
     this.autoSaveInterval = options.autoSaveInterval || 0;
+    this.saveOnSignals = options.saveOnSignals !== false;
+    this.dirtyCollections = new Set(); // Collections with changes not yet saved by autosave
+    this.autoSaveTimer = null;
+    this.signalHandlers = new Map(); // Map<signal, handler>
+
+    // Storage mode
+    this.storageMode = options.storageMode || 'snapshot';
+    if (!['snapshot', 'journal'].includes(this.storageMode)) {
+      throw new Error('storageMode must be either "snapshot" or "journal"');
+    }
+    this.journalCompactionThreshold = options.journalCompactionThreshold || 1000;
+    this.journalEntries = new Map(); // Map<collection, entries appended since the last compaction>
+    this.fsyncDirectory = options.fsyncDirectory || false;
 
     // Collection-based storage structures
     this.collectionFiles = new Map(); // Map<collection, filepath>
     this.collectionData = new Map(); // Map<collection, Map<id, document>>
-    this.cache = new Map(); // key: "collection:id", value: documen
+    this.collectionOptions = new Map(); // Map<collection, options>, persisted in the metadata file
+    this.schemaValidators = new Map(); // Map<collection, SchemaValidator>, built from the schema option on first use
     this.isInitialized = false;
+    this.initPromise = null; // Pending initialization, shared by concurrent first calls
 
     // Performance options
     this.enableIndexing = options.enableIndexing !== false;
     this.lazyLoading = options.lazyLoading !== false;
     this.maxMemoryItems = options.maxMemoryItems || 10000;
+    this.cache = new LRUCache({ // key: "collection:id", value: document
+      maxItems: options.cacheMaxItems || this.maxMemoryItems,
+      maxBytes: options.cacheMaxBytes || 0
+    });
+    this.collectionAccess = new Map(); // Map<collection, access sequence number>, for least recently used eviction
+    this.accessSequence = 0;
+    this.loadingCollections = new Map(); // Map<collection, pending load promise>
+    this.documentCounts = new Map(); // Map<collection, document count when it was unloaded>
+    this.isEvictionScheduled = false;
     this.enableLogging = options.enableLogging !== false;
 
     // Concurrency control
     this.writeMutex = new WriteMutex();
-    this.writeQueue = [];
+    this.migrationMutex = new WriteMutex(); // Serializes migration runs, whose writes take the write mutex themselves
+    this.transactionScope = new AsyncLocalStorage(); // Transaction whose function is running, which holds the write mutex
+    this.writeQueue = new Map(); // Map<collection, changes waiting to be persisted>
     this.isProcessingQueue = false;
+    this.queueTimer = null;
     this.enableWriteQueue = options.enableWriteQueue || false;
     this.queueFlushInterval = options.queueFlushInterval || 100; // ms
 
-    // Indexing system (for future enhancements)
-    this.indexes = new Map();
-    this.indexedFields = new Set();
+    // Indexing system
+    this.indexes = new Map(); // Map<collection, Map<field, IndexSystem>>
+    this.indexedFields = new Set(); // Fields indexed on every collection
 
     // Server options
     this.enableServer = options.enableServer || false;
     this.serverPort = options.serverPort || 3000;
     this.enableRealtime = options.enableRealtime !== false;
     this.apiKey = options.apiKey || null;
+    this.resolveUser = options.resolveUser || null;
 
     // Server instances
     this.app = null;
@@ -98,9 +151,20 @@ class JSLiteDB extends EventEmitter {
   /**
    * Get a collection interface for document operations
    * @param {string} name - Collection name
+   * @param {Object} [options] - Collection options, merged into the current ones and persisted in the metadata file
+   * @param {boolean} [options.revisions=false] - Maintain a _rev revision number on every document, incremented on each write
+   * @param {boolean} [options.timestamps=false] - Maintain createdAt and updatedAt (ISO 8601 strings) on every document
+   * @param {boolean} [options.userStamps=false] - Maintain createdBy and updatedBy from the user write option
+   * @param {Object|null} [options.schema] - JSON Schema that inserted and updated documents must match (null removes it)
+   * @param {Object} [options.schemaOptions] - Schema validation options as { useDefaults, coerceTypes }
    * @returns {Collection} Collection interface
+   * @throws {Error} If the options are invalid
    */
-  collection(name) {
+  collection(name, options) {
+    if (options !== undefined && this._setCollectionOptions(name, options)) {
+      this._scheduleIndexSave();
+    }
+
     return new Collection(this, name);
   }
 
@@ -110,7 +174,7 @@ class JSLiteDB extends EventEmitter {
    */
   async collections() {
     await this._ensureInitialized();
-    return Array.from(this.collectionData.keys());
+    return this._getCollectionNames();
   }
 
   /**
@@ -121,36 +185,25 @@ class JSLiteDB extends EventEmitter {
   async dropCollection(collectionName) {
     await this._ensureInitialized();
 
-    if (!this.collectionData.has(collectionName)) {
-      return false;
-    }
-
-    this.collectionData.delete(collectionName);
-
-    const filePath = this.collectionFiles.get(collectionName);
-    if (filePath) {
-      try {
-        await fs.unlink(filePath);
-      } catch (error) {
-        // File might not exist, that's ok
+    return await this._acquireWriteMutex(async () => {
+      if (!this._getCollectionNames().includes(collectionName)) {
+        return false;
       }
-    }
 
-    this.collectionFiles.delete(collectionName);
+      this.collectionData.delete(collectionName);
+      this.collectionAccess.delete(collectionName);
+      this.documentCounts.delete(collectionName);
+      this.indexes.delete(collectionName);
 
-    const keysToRemove = [];
-    for (const cacheKey of this.cache.keys()) {
-      if (cacheKey.startsWith(`${collectionName}:`)) {
-        keysToRemove.push(cacheKey);
-      }
-    }
-    keysToRemove.forEach(key => this.cache.delete(key));
+      await this._deleteCollectionFiles(collectionName);
+      this._purgeCache(collectionName);
 
-    await this._saveCollectionIndex();
+      await this._saveCollectionIndex();
 
-    this.emit('collection:dropped', { collection: collectionName });
+      this.emit('collection:dropped', { collection: collectionName });
 
-    return true;
+      return true;
+    });
   }
   /**
    * Clear all collections and data
@@ -159,34 +212,37 @@ class JSLiteDB extends EventEmitter {
   async clear() {
     await this._ensureInitialized();
 
-    try {
-      for (const filePath of this.collectionFiles.values()) {
+    return await this._acquireWriteMutex(async () => {
+      try {
+        this.writeQueue.clear();
+
+        for (const collectionName of Array.from(this.collectionFiles.keys())) {
+          await this._deleteCollectionFiles(collectionName);
+        }
+
+        // Remove index file
         try {
-          await fs.unlink(filePath);
+          await fs.unlink(this.indexFilePath);
         } catch (error) {
           // File might not exist, that's ok
         }
-      }
-
-      // Remove index file
-      try {
-        await fs.unlink(this.indexFilePath);
-      } catch (error) {
-        // File might not exist, that's ok
-      }
 
-      // Clear all in-memory data
-      this.collectionData.clear();
-      this.collectionFiles.clear();
-      this.cache.clear();
+        // Clear all in-memory data
+        this.collectionData.clear();
+        this.collectionFiles.clear();
+        this.collectionAccess.clear();
+        this.documentCounts.clear();
+        this.indexes.clear();
+        this.cache.clear();
 
-      this.emit('database:cleared');
+        this.emit('database:cleared');
 
-      return true;
-    } catch (error) {
-      this.logger.error('Failed to clear database', { error: error.message });
-      throw new Error(`Failed to clear database: ${error.message}`);
-    }
+        return true;
+      } catch (error) {
+        this.logger.error('Failed to clear database', { error: error.message });
+        throw new Error(`Failed to clear database: ${error.message}`);
+      }
+    });
   }
 
   /**
@@ -197,8 +253,8 @@ class JSLiteDB extends EventEmitter {
     await this._ensureInitialized();
 
     let total = 0;
-    for (const collectionData of this.collectionData.values()) {
-      total += collectionData.size;
+    for (const collectionName of this._getCollectionNames()) {
+      total += (await this._peekCollection(collectionName)).size;
     }
     return total;
   }
@@ -220,18 +276,20 @@ class JSLiteDB extends EventEmitter {
       await this.stopServer();
     }
 
-    // Clear intervals and timers
-    if (this.autoSaveTimer) {
-      clearInterval(this.autoSaveTimer);
-      this.autoSaveTimer = null;
-    }
-
-    // Clear write queue processing
-    this.isProcessingQueue = false;
+    // Clear intervals, timers and signal handlers
+    this._stopAutoSave();
 
     // Final save if needed
     if (this.isInitialized) {
       try {
+        // Persist queued writes and dirty collections
+        await this.flush();
+
+        // Fold journals into the collection files
+        for (const collectionName of Array.from(this.journalEntries.keys())) {
+          await this._compactCollection(collectionName);
+        }
+
         // Save any pending data
         await this._saveCollectionIndex();
       } catch (error) {
@@ -243,6 +301,7 @@ class JSLiteDB extends EventEmitter {
     this.cache.clear();
 
     this.isInitialized = false;
+    this.initPromise = null;
   }
 
   /**
@@ -256,17 +315,41 @@ class JSLiteDB extends EventEmitter {
       collections: {},
       totalDocuments: 0,
       cacheSize: this.cache.size,
+      cache: this.cache.getStats(),
       lazyLoading: this.lazyLoading,
+      memory: {
+        maxMemoryItems: this.maxMemoryItems,
+        residentDocuments: this._getResidentDocumentCount(),
+        residentCollections: Array.from(this.collectionData.keys())
+      },
+      storageMode: this.storageMode,
+      autoSave: {
+        interval: this.autoSaveInterval,
+        dirtyCollections: Array.from(this.dirtyCollections)
+      },
+      writeQueue: {
+        enabled: this.enableWriteQueue,
+        pendingChanges: Array.from(this.writeQueue.values()).reduce((sum, changes) => sum + changes.length, 0)
+      },
       folderPath: this.folderPath,
-      collectionCount: this.collectionData.size
+      collectionCount: 0
     };
 
-    for (const [collectionName, collectionData] of this.collectionData) {
+    for (const collectionName of this._getCollectionNames()) {
+      const collectionData = this.collectionData.get(collectionName);
+      // Unloaded collections report the count they had when unloaded (null if never loaded)
+      const documentCount = collectionData ? collectionData.size
+        : this.documentCounts.has(collectionName) ? this.documentCounts.get(collectionName) : null;
+
       stats.collections[collectionName] = {
-        documentCount: collectionData.size,
-        filePath: this._getCollectionFilePath(collectionName)
+        documentCount,
+        resident: Boolean(collectionData),
+        filePath: this._getCollectionFilePath(collectionName),
+        indexes: Array.from(this._getCollectionIndexes(collectionName).keys()),
+        journalEntries: this.journalEntries.get(collectionName) || 0
       };
-      stats.totalDocuments += collectionData.size;
+      stats.totalDocuments += documentCount || 0;
+      stats.collectionCount++;
     }
 
     return stats;
@@ -274,26 +357,159 @@ class JSLiteDB extends EventEmitter {
 
 
 
-  // ---------------- Indexing Methods (Placeholder) ----------------
+  // ---------------- Transaction Methods ----------------
+
+  /**
+   * Run a function as a transaction over any number of collections. The transaction holds the write mutex
+   * until it ends; its writes are applied in memory right away, but they are only persisted (atomically,
+   * through a redo log) and their events only emitted once fn resolves.
+   * If fn throws, every write of the transaction is rolled back and the error is rethrown.
+   * Commits are written to disk right away, even with autosave or the write queue enabled.
+   * Inside fn, use tx.collection() for writes: writes through db.collection(), flush(), save(), index changes and
+   * nested transactions need the write mutex the transaction holds, so they throw instead of waiting for it.
+   * @param {Function} fn - async (tx) => result, where tx.collection(name) returns a Collection bound to the transaction
+   * @returns {Promise<*>} The value returned by fn
+   * @example
+   * await db.transaction(async (tx) => {
+   *   await tx.collection('accounts').updateOne('alice', { $inc: { balance: -100 } });
+   *   await tx.collection('accounts').updateOne('bob', { $inc: { balance: 100 } });
+   *   await tx.collection('ledger').insert({ from: 'alice', to: 'bob', amount: 100 });
+   * });
+   */
+  async transaction(fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('transaction requires a function');
+    }
+
+    await this._ensureInitialized();
+
+    return this._acquireWriteMutex(async () => {
+      const tx = new Transaction(this);
+      let result;
+
+      try {
+        result = await this.transactionScope.run(tx, () => fn(tx));
+      } catch (error) {
+        tx._rollback();
+        throw error;
+      }
+
+      await tx._commit();
+      return result;
+    });
+  }
+
+  /**
+   * Run a function holding the write mutex. From inside a transaction function, whose transaction holds
+   * the mutex until the function returns, this throws rather than waiting forever.
+   * @param {Function} fn - Function to run with the mutex
+   * @returns {Promise<*>} The result of fn
+   * @throws {Error} If called from inside a transaction function
+   */
+  async _acquireWriteMutex(fn) {
+    const tx = this.transactionScope.getStore();
+    if (tx && tx.isActive) {
+      throw new Error('This operation waits for the write mutex, which the running transaction holds until its function returns; ' +
+        'write through tx.collection() inside a transaction');
+    }
+
+    return this.writeMutex.acquire(fn);
+  }
+
+  // ---------------- Migration Methods ----------------
+
+  /**
+   * Run the pending migrations in order. Each migration module exports up(db) and optionally down(db);
+   * its ID is the file name without the extension. Applied IDs are recorded in .migrations.json in the data folder.
+   * A migration that throws is not recorded, and the ones after it are not run.
+   * @param {Object} options - Migration options
+   * @param {string} [options.dir] - Directory of migration files (.js or .cjs), run in file name order
+   * @param {Object[]} [options.migrations] - Migrations as { id, up, down }, instead of dir
+   * @param {string} [options.to] - Stop after this migration
+   * @returns {Promise<string[]>} IDs of the applied migrations
+   * @throws {MigrationError} If a migration throws
+   * @example
+   * // migrations/20250101-split-names.js
+   * exports.up = async (db) => {
+   *   const users = db.collection('users');
+   *   for (const user of await users.find({ filter: { name: { $exists: true } } })) {
+   *     const [firstName, lastName] = user.name.split(' ');
+   *     await users.updateOne(user.id, { $set: { firstName, lastName }, $unset: { name: '' } });
+   *   }
+   * };
+   *
+   * await db.migrate({ dir: './migrations' });
+   */
+  async migrate(options = {}) {
+    const runner = new MigrationRunner(this, options);
+    await this._ensureInitialized();
+
+    return this.migrationMutex.acquire(() => runner.up({ to: options.to }));
+  }
+
+  /**
+   * Roll back applied migrations by running their down functions, most recently applied first
+   * @param {Object} options - Rollback options
+   * @param {string} [options.dir] - Directory of migration files
+   * @param {Object[]} [options.migrations] - Migrations as { id, up, down }, instead of dir
+   * @param {number} [options.steps=1] - Number of migrations to roll back (Infinity for all)
+   * @param {string} [options.to] - Roll back every migration applied after this one instead
+   * @returns {Promise<string[]>} IDs of the rolled back migrations
+   * @throws {MigrationError} If a down function throws
+   */
+  async rollbackMigrations(options = {}) {
+    const runner = new MigrationRunner(this, options);
+    await this._ensureInitialized();
+
+    return this.migrationMutex.acquire(() => runner.down({ steps: options.steps, to: options.to }));
+  }
+
+  /**
+   * Get the state of the migrations
+   * @param {Object} options - Migration source ({ dir } or { migrations })
+   * @returns {Promise<Object[]>} Migrations as { id, applied, appliedAt, missing }, where missing marks
+   * applied migrations that are no longer in the source
+   */
+  async getMigrationStatus(options = {}) {
+    const runner = new MigrationRunner(this, options);
+    await this._ensureInitialized();
+
+    return this.migrationMutex.acquire(() => runner.status());
+  }
+
+  // ---------------- Indexing Methods ----------------
 
   /**
-   * Create an index for a field (placeholder implementation)
-   * @param {string} field - Field to index
+   * Create an index for a field on every collection (current and future)
+   * @param {string} field - Field to index (supports dot notation)
    */
   createIndex(field) {
+    const validation = Validator.validateFieldName(field);
+    if (!validation.valid) {
+      throw new Error(`Invalid index field: ${validation.error}`);
+    }
+
     this.indexedFields.add(field);
-    // TODO: Implement actual indexing logic for better performance
+
+    for (const collectionName of this.collectionData.keys()) {
+      this._ensureIndex(collectionName, field);
+    }
+
+    this._scheduleIndexSave();
   }
 
   /**
-   * Drop an index for a field
+   * Drop an index for a field from every collection
    * @param {string} field - Field to drop index for
    */
   dropIndex(field) {
     this.indexedFields.delete(field);
-    if (this.indexes.has(field)) {
-      this.indexes.delete(field);
+
+    for (const collectionIndexes of this.indexes.values()) {
+      collectionIndexes.delete(field);
     }
+
+    this._scheduleIndexSave();
   }
 
   /**
@@ -309,196 +525,1196 @@ class JSLiteDB extends EventEmitter {
    */
   async save() {
     await this._ensureInitialized();
+    await this.flush();
 
-    // Save all collections
+    // Save all collections, folding their journals into the collection files
     for (const collectionName of this.collectionData.keys()) {
-      await this._saveCollection(collectionName);
+      await this._compactCollection(collectionName);
     }
+    this.dirtyCollections.clear();
 
     // Save collection index
     await this._saveCollectionIndex();
   }
 
-  // ---------------- Collection Storage Internal Methods ----------------
-
   /**
-   * Get the file path for a collection
-   * @param {string} collectionName - Collection name
-   * @returns {string} File path for the collection
+   * Persist all queued writes and dirty collections. Resolves once every write made before the call is on disk.
+   * Writes that fail to persist stay pending and are retried on the next flush.
+   * @returns {Promise<void>}
    */
-  _getCollectionFilePath(collectionName) {
-    return path.join(this.folderPath, `${collectionName}.json`);
+  async flush() {
+    if (this.enableWriteQueue) {
+      await this._flushWriteQueue();
+    }
+
+    if (this.autoSaveInterval > 0) {
+      await this._saveDirtyCollections();
+    }
   }
 
   /**
-   * Generate a unique ID for a documen
-   * @returns {string} Generated unique ID
+   * Persist the changes waiting in the write queue
    */
-  _generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substring(2, 9);
+  async _flushWriteQueue() {
+    if (this.queueTimer) {
+      clearTimeout(this.queueTimer);
+      this.queueTimer = null;
+    }
+
+    await this._acquireWriteMutex(async () => {
+      if (this.writeQueue.size === 0) return;
+
+      const batches = this.writeQueue;
+      this.writeQueue = new Map();
+      this.isProcessingQueue = true;
+
+      let failure = null;
+
+      try {
+        for (const [collectionName, changes] of batches) {
+          // Dropped or emptied since the writes were queued
+          if (!this.collectionData.has(collectionName)) continue;
+
+          try {
+            await this._writeChanges(collectionName, changes);
+          } catch (error) {
+            failure = failure || error;
+            this.writeQueue.set(collectionName, changes.concat(this.writeQueue.get(collectionName) || []));
+          }
+        }
+      } finally {
+        this.isProcessingQueue = false;
+      }
+
+      if (failure) {
+        throw failure;
+      }
+    });
   }
 
+  // ---------------- Autosave Internal Methods ----------------
+
   /**
-   * Ensure the data folder exists
+   * Start the autosave timer and signal handlers, if autosave is enabled
    */
-  async _ensureFolder() {
-    try {
-      await fs.mkdir(this.folderPath, { recursive: true });
-    } catch (error) {
-      if (error.code !== 'EEXIST') {
-        throw error;
+  _startAutoSave() {
+    if (this.autoSaveInterval <= 0 || this.autoSaveTimer) return;
+
+    this.autoSaveTimer = setInterval(() => {
+      this._saveDirtyCollections().catch(error => {
+        this.logger.error('Autosave failed', { error: error.message });
+      });
+    }, this.autoSaveInterval);
+
+    // Don't keep the process alive just for autosave
+    this.autoSaveTimer.unref();
+
+    if (this.saveOnSignals) {
+      for (const signal of ['SIGINT', 'SIGTERM']) {
+        const handler = () => this._handleSignal(signal);
+        this.signalHandlers.set(signal, handler);
+        process.on(signal, handler);
       }
     }
   }
 
-  async _ensureInitialized() {
-    if (this.isInitialized) return;
+  /**
+   * Stop the autosave timer and remove the signal handlers
+   */
+  _stopAutoSave() {
+    if (this.autoSaveTimer) {
+      clearInterval(this.autoSaveTimer);
+      this.autoSaveTimer = null;
+    }
 
-    await this._ensureFolder();
+    for (const [signal, handler] of this.signalHandlers) {
+      process.removeListener(signal, handler);
+    }
+    this.signalHandlers.clear();
+  }
 
+  /**
+   * Save dirty collections when the process receives a termination signal.
+   * If no other listener handles the signal, it is raised again so the process still exits.
+   * @param {string} signal - Signal name
+   */
+  async _handleSignal(signal) {
     try {
-      await this._loadCollectionIndex();
+      await this._saveDirtyCollections();
     } catch (error) {
-      this.logger.info('Scanning collections folder...');
-      await this._scanCollections();
-      await this._saveCollectionIndex();
+      this.logger.error(`Failed to save dirty collections on ${signal}`, { error: error.message });
     }
 
-    this.isInitialized = true;
+    this._stopAutoSave();
+
+    if (process.listenerCount(signal) === 0) {
+      process.kill(process.pid, signal);
+    }
+  }
+
+  /**
+   * Save the collections changed since the last autosave
+   */
+  async _saveDirtyCollections() {
+    await this._acquireWriteMutex(async () => {
+      if (this.dirtyCollections.size === 0) return;
+
+      const dirty = Array.from(this.dirtyCollections);
+      this.dirtyCollections.clear();
+
+      let isNewCollection = false;
+
+      for (let i = 0; i < dirty.length; i++) {
+        const collectionName = dirty[i];
+        isNewCollection = isNewCollection || !this.collectionFiles.has(collectionName);
 
-    const totalDocs = Array.from(this.collectionData.values())
-      .reduce((sum, collectionMap) => sum + collectionMap.size, 0);
+        try {
+          await this._compactCollection(collectionName);
+        } catch (error) {
+          dirty.slice(i).forEach(name => this.dirtyCollections.add(name));
+          throw error;
+        }
+      }
 
-    this.logger.info(`✅ Initialized ${this.collectionData.size} collections with ${totalDocs} documents`);
+      if (isNewCollection) {
+        await this._saveCollectionIndex();
+      }
+    });
   }
 
-  async _scanCollections() {
-    this.collectionFiles.clear();
-    this.collectionData.clear();
+  // ---------------- Transaction Internal Methods ----------------
 
-    try {
-      const files = await fs.readdir(this.folderPath);
+  /**
+   * Write the changes of a committing transaction to the redo log, making the commit durable.
+   * Must be called while holding the write mutex.
+   * @param {Map<string, Object[]>} changesByCollection - Changes of each collection
+   */
+  async _writeTransactionLog(changesByCollection) {
+    if (changesByCollection.size === 0) return;
 
-      for (const file of files) {
-        if (file.endsWith('.json') && !file.startsWith('.')) {
-          const collectionName = file.slice(0, -5); // Remove .json extension
-          const filePath = path.join(this.folderPath, file);
+    const log = {
+      timestamp: Date.now(),
+      collections: Object.fromEntries(changesByCollection)
+    };
 
-          this.collectionFiles.set(collectionName, filePath);
+    await AtomicFile.write(this.transactionFilePath, JSON.stringify(log), { syncDirectory: this.fsyncDirectory });
+  }
 
-          try {
-            const content = await fs.readFile(filePath, 'utf8');
-            const collectionData = JSON.parse(content);
+  /**
+   * Write the changes of a committed transaction to the collection files and remove the redo log.
+   * Collections left empty are removed. Must be called while holding the write mutex.
+   * @param {Map<string, Object[]>} changesByCollection - Changes of each collection
+   */
+  async _applyTransactionLog(changesByCollection) {
+    if (changesByCollection.size === 0) return;
 
-            const dataMap = new Map();
-            for (const [id, document] of Object.entries(collectionData)) {
-              dataMap.set(id, document);
-            }
+    let isCollectionRemoved = false;
 
-            this.collectionData.set(collectionName, dataMap);
+    for (const [collectionName, changes] of changesByCollection) {
+      const collectionData = this.collectionData.get(collectionName);
 
-            this.logger.info(`Loaded collection '${collectionName}' with ${dataMap.size} documents`);
-          } catch (error) {
-            this.logger.warn(`Failed to load collection file ${file}: ${error.message}`);
-          }
-        }
+      if (!collectionData || collectionData.size === 0) {
+        this.collectionData.delete(collectionName);
+        this.collectionAccess.delete(collectionName);
+        await this._deleteCollectionFiles(collectionName);
+        isCollectionRemoved = true;
+        continue;
       }
-    } catch (error) {
-      if (error.code !== 'ENOENT') throw error;
-      // Folder doesn't exist yet, that's ok
+
+      // Queued writes are older than the transaction and must reach the journal first
+      const queued = this.writeQueue.get(collectionName);
+      this.writeQueue.delete(collectionName);
+      await this._writeChanges(collectionName, queued ? queued.concat(changes) : changes);
     }
-  }
 
-  async _saveCollectionIndex() {
-    const indexData = {
-      version: 2, // Updated version for new folder-based structure
-      timestamp: Date.now(),
-      collections: Array.from(this.collectionFiles.keys())
-    };
+    if (isCollectionRemoved) {
+      await this._saveCollectionIndex();
+    }
 
-    await fs.writeFile(this.indexFilePath, JSON.stringify(indexData), 'utf8');
+    await fs.unlink(this.transactionFilePath);
   }
 
-  async _loadCollectionIndex() {
-    const content = await fs.readFile(this.indexFilePath, 'utf8');
-    const indexData = JSON.parse(content);
+  /**
+   * Complete a transaction interrupted after its commit by replaying its redo log onto the collection files
+   * @returns {Object[]} Replayed collections as { collection, removed }, where removed is true if the
+   * transaction left the collection empty
+   */
+  async _recoverTransaction() {
+    let log;
+    try {
+      log = JSON.parse(await fs.readFile(this.transactionFilePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      if (!(error instanceof SyntaxError)) throw error;
 
-    // Load each collection mentioned in the index
-    for (const collectionName of indexData.collections) {
-      const filePath = this._getCollectionFilePath(collectionName);
-      this.collectionFiles.set(collectionName, filePath);
+      // Never renamed into place, so the transaction was never committed
+      this.logger.warn('Discarding unreadable transaction log');
+      await fs.unlink(this.transactionFilePath);
+      return [];
+    }
+
+    const recovered = [];
 
+    for (const [collectionName, changes] of Object.entries(log.collections)) {
+      let dataMap;
       try {
-        const collectionContent = await fs.readFile(filePath, 'utf8');
-        const collectionData = JSON.parse(collectionContent);
+        dataMap = await this._readCollection(collectionName);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        dataMap = new Map();
+      }
 
-        const dataMap = new Map();
-        for (const [id, document] of Object.entries(collectionData)) {
-          dataMap.set(id, document);
-        }
+      changes.forEach(change => this._applyChange(dataMap, change));
 
-        this.collectionData.set(collectionName, dataMap);
-      } catch (error) {
-        this.logger.warn(`Failed to load collection ${collectionName}: ${error.message}`);
-        // Remove from index if file doesn't exis
-        this.collectionFiles.delete(collectionName);
+      if (dataMap.size === 0) {
+        await fs.unlink(this._getCollectionFilePath(collectionName)).catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+        await this._removeJournal(collectionName);
+      } else {
+        await this._writeSnapshot(collectionName, dataMap);
+        await this._removeJournal(collectionName);
       }
+
+      recovered.push({ collection: collectionName, removed: dataMap.size === 0 });
     }
+
+    await fs.unlink(this.transactionFilePath);
+    this.logger.warn(`Completed interrupted transaction on ${recovered.map(({ collection }) => `'${collection}'`).join(', ')}`);
+
+    return recovered;
   }
 
+  // ---------------- Lazy Loading Internal Methods ----------------
+
   /**
-   * Save a collection to its JSON file
+   * Get the documents of a collection, loading the collection on first access.
+   * Each access marks the collection as recently used for memory budget eviction.
    * @param {string} collectionName - Collection name
+   * @param {Object} [options={}] - Access options
+   * @param {boolean} [options.create=false] - Create the collection if it does not exist
+   * @returns {Promise<Map<string, Object>|null>} Collection documents, or null if the collection does not exist
    */
-  async _saveCollection(collectionName) {
-    const collectionData = this.collectionData.get(collectionName);
-    if (!collectionData) return;
+  async _getCollectionData(collectionName, options = {}) {
+    let collectionData = this.collectionData.get(collectionName);
 
-    const filePath = this._getCollectionFilePath(collectionName);
-    const dataObject = Object.fromEntries(collectionData);
+    if (!collectionData) {
+      if (!options.create && !this.collectionFiles.has(collectionName)) return null;
+      collectionData = await this._loadCollection(collectionName);
+    }
 
-    await fs.writeFile(filePath, JSON.stringify(dataObject, null, 2), 'utf8');
-    this.collectionFiles.set(collectionName, filePath);
+    this.collectionAccess.set(collectionName, ++this.accessSequence);
+
+    if (this.lazyLoading && this._getResidentDocumentCount() > this.maxMemoryItems) {
+      this._scheduleEviction();
+    }
+
+    return collectionData;
   }
 
   /**
-   * Load a collection from its JSON file
+   * Get the documents of a collection without loading it: resident collections are returned as they are,
+   * others are read from disk and discarded after use. Peeking never rewrites the collection files.
    * @param {string} collectionName - Collection name
+   * @returns {Promise<Map<string, Object>>} Collection documents (empty if the collection does not exist)
    */
-  async _loadCollection(collectionName) {
-    const filePath = this._getCollectionFilePath(collectionName);
+  async _peekCollection(collectionName) {
+    const collectionData = this.collectionData.get(collectionName);
+    if (collectionData) return collectionData;
 
     try {
-      const content = await fs.readFile(filePath, 'utf8');
-      const collectionData = JSON.parse(content);
+      return await this._readCollection(collectionName, { peek: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return new Map();
+      throw error;
+    }
+  }
 
-      const dataMap = new Map();
-      for (const [id, document] of Object.entries(collectionData)) {
-        dataMap.set(id, document);
+  /**
+   * Get the names of all collections, resident or not
+   * @returns {string[]} Collection names
+   */
+  _getCollectionNames() {
+    return Array.from(new Set([...this.collectionFiles.keys(), ...this.collectionData.keys()]));
+  }
+
+  /**
+   * Count the documents held in memory
+   * @returns {number} Resident document count
+   */
+  _getResidentDocumentCount() {
+    let total = 0;
+    for (const collectionData of this.collectionData.values()) {
+      total += collectionData.size;
+    }
+    return total;
+  }
+
+  /**
+   * Evict collections once the current write completes, unless an eviction is already scheduled
+   */
+  _scheduleEviction() {
+    if (this.isEvictionScheduled) return;
+    this.isEvictionScheduled = true;
+
+    // Not awaited: this may run while the caller holds the write mutex
+    this.writeMutex.acquire(async () => {
+      this.isEvictionScheduled = false;
+      await this._evictCollections();
+    }).catch(error => {
+      this.logger.error('Failed to unload collections', { error: error.message });
+    });
+  }
+
+  /**
+   * Unload the least recently used collections until the resident documents fit in maxMemoryItems.
+   * The most recently used collection is never unloaded, even if it exceeds the budget alone.
+   * Must be called while holding the write mutex.
+   */
+  async _evictCollections() {
+    const candidates = Array.from(this.collectionData.keys())
+      .sort((a, b) => (this.collectionAccess.get(a) || 0) - (this.collectionAccess.get(b) || 0));
+    candidates.pop();
+
+    for (const collectionName of candidates) {
+      if (this._getResidentDocumentCount() <= this.maxMemoryItems) break;
+      await this._unloadCollection(collectionName);
+    }
+  }
+
+  /**
+   * Persist the pending writes of a collection and remove it from memory.
+   * Its index definitions are kept (emptied) and rebuilt when the collection is loaded again.
+   * Must be called while holding the write mutex.
+   * @param {string} collectionName - Collection name
+   */
+  async _unloadCollection(collectionName) {
+    const collectionData = this.collectionData.get(collectionName);
+    if (!collectionData) return;
+
+    const isNewCollection = !this.collectionFiles.has(collectionName);
+
+    const queued = this.writeQueue.get(collectionName);
+    if (queued) {
+      await this._writeChanges(collectionName, queued);
+      this.writeQueue.delete(collectionName);
+    }
+
+    if (this.dirtyCollections.has(collectionName)) {
+      await this._compactCollection(collectionName);
+      this.dirtyCollections.delete(collectionName);
+
+      if (isNewCollection) {
+        await this._saveCollectionIndex();
+      }
+    }
+
+    // Never persisted (e.g. only read): nothing to load it back from
+    if (!this.collectionFiles.has(collectionName)) return;
+
+    this.documentCounts.set(collectionName, collectionData.size);
+    this.collectionData.delete(collectionName);
+    this.collectionAccess.delete(collectionName);
+
+    for (const index of this._getCollectionIndexes(collectionName).values()) {
+      index.clear();
+    }
+    this._purgeCache(collectionName);
+
+    this.logger.info(`Unloaded collection '${collectionName}' (${collectionData.size} documents)`);
+    this.emit('collection:unloaded', { collection: collectionName, documentCount: collectionData.size });
+  }
+
+  /**
+   * Remove the cached documents of a collection
+   * @param {string} collectionName - Collection name
+   */
+  _purgeCache(collectionName) {
+    this.cache.deletePrefix(`${collectionName}:`);
+  }
+
+  // ---------------- Collection Storage Internal Methods ----------------
+
+  /**
+   * Get the file path for a collection
+   * @param {string} collectionName - Collection name
+   * @returns {string} File path for the collection
+   */
+  _getCollectionFilePath(collectionName) {
+    return path.join(this.folderPath, `${collectionName}.json`);
+  }
+
+  /**
+   * Generate a unique ID for a documen
+   * @returns {string} Generated unique ID
+   */
+  _generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substring(2, 9);
+  }
+
+  /**
+   * Ensure the data folder exists
+   */
+  async _ensureFolder() {
+    try {
+      await fs.mkdir(this.folderPath, { recursive: true });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Initialize the database on first use. Concurrent first calls share one initialization,
+   * so recovery runs once; a failed initialization is retried by the next call.
+   */
+  async _ensureInitialized() {
+    if (this.isInitialized) return;
+
+    if (!this.initPromise) {
+      this.initPromise = this._initialize().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+
+    await this.initPromise;
+  }
+
+  /**
+   * Recover interrupted writes and load the collection metadata (and collections unless lazy loading)
+   */
+  async _initialize() {
+    // Options set before initialization are merged over the persisted ones and must be saved
+    const hasPendingOptions = this.collectionOptions.size > 0;
+
+    await this._ensureFolder();
+    await this._recoverTempFiles();
+    const recovered = await this._recoverTransaction();
+
+    try {
+      await this._loadCollectionIndex();
+    } catch (error) {
+      this.logger.info('Scanning collections folder...');
+      await this._scanCollections();
+      await this._saveCollectionIndex();
+    }
+
+    // A recovered transaction may have created or emptied collections the metadata file does not know about
+    for (const { collection, removed } of recovered) {
+      if (removed) {
+        this.collectionFiles.delete(collection);
+        this.collectionData.delete(collection);
+      } else if (!this.collectionFiles.has(collection)) {
+        this.collectionFiles.set(collection, this._getCollectionFilePath(collection));
+      }
+    }
+
+    if (recovered.length > 0 || hasPendingOptions) {
+      await this._saveCollectionIndex();
+    }
+
+    this.isInitialized = true;
+    this._startAutoSave();
+
+    if (this.lazyLoading) {
+      this.logger.info(`✅ Initialized ${this.collectionFiles.size} collections (loaded on first access)`);
+    } else {
+      this.logger.info(`✅ Initialized ${this.collectionData.size} collections with ${this._getResidentDocumentCount()} documents`);
+    }
+  }
+
+  /**
+   * Recover temp files left behind by writes interrupted by a crash
+   */
+  async _recoverTempFiles() {
+    const recovered = await AtomicFile.recover(this.folderPath, {
+      validate: content => JSON.parse(content)
+    });
+
+    for (const { file, target, action } of recovered) {
+      if (action === 'restored') {
+        this.logger.warn(`Recovered ${target} from interrupted write ${file}`);
+      } else {
+        this.logger.warn(`Discarded incomplete temp file ${file}`);
+      }
+    }
+  }
+
+  async _scanCollections() {
+    this.collectionFiles.clear();
+    this.collectionData.clear();
+
+    try {
+      const files = await fs.readdir(this.folderPath);
+      const collectionNames = new Set();
+
+      for (const file of files) {
+        if (file.startsWith('.')) continue;
+
+        if (file.endsWith(JOURNAL_SUFFIX)) {
+          collectionNames.add(file.slice(0, -JOURNAL_SUFFIX.length));
+        } else if (file.endsWith('.json')) {
+          collectionNames.add(file.slice(0, -5)); // Remove .json extension
+        }
+      }
+
+      for (const collectionName of collectionNames) {
+        if (this.lazyLoading) {
+          this.collectionFiles.set(collectionName, this._getCollectionFilePath(collectionName));
+          continue;
+        }
+
+        try {
+          const dataMap = await this._readCollection(collectionName);
+
+          this.collectionFiles.set(collectionName, this._getCollectionFilePath(collectionName));
+          this.collectionData.set(collectionName, dataMap);
+          this._rebuildIndexes(collectionName);
+
+          this.logger.info(`Loaded collection '${collectionName}' with ${dataMap.size} documents`);
+        } catch (error) {
+          this.logger.warn(`Failed to load collection ${collectionName}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      // Folder doesn't exist yet, that's ok
+    }
+  }
+
+  async _saveCollectionIndex() {
+    const indexData = {
+      version: 2, // Updated version for new folder-based structure
+      timestamp: Date.now(),
+      collections: Array.from(this.collectionFiles.keys()),
+      indexedFields: Array.from(this.indexedFields),
+      indexes: this._getIndexDefinitions(),
+      collectionOptions: Object.fromEntries(this.collectionOptions)
+    };
+
+    await AtomicFile.write(this.indexFilePath, JSON.stringify(indexData), { syncDirectory: this.fsyncDirectory });
+  }
+
+  async _loadCollectionIndex() {
+    const content = await fs.readFile(this.indexFilePath, 'utf8');
+    const indexData = JSON.parse(content);
+
+    // Register persisted indexes first so they are built as each collection loads
+    this._loadIndexDefinitions(indexData);
+
+    for (const [collectionName, options] of Object.entries(indexData.collectionOptions || {})) {
+      this.collectionOptions.set(collectionName, { ...options, ...this.collectionOptions.get(collectionName) });
+      this.schemaValidators.delete(collectionName);
+    }
+
+    // Load each collection mentioned in the index
+    for (const collectionName of indexData.collections) {
+      const filePath = this._getCollectionFilePath(collectionName);
+      this.collectionFiles.set(collectionName, filePath);
+
+      // Lazy loading only registers the collection; it is read on first access
+      if (this.lazyLoading) continue;
+
+      try {
+        const dataMap = await this._readCollection(collectionName);
+
+        this.collectionData.set(collectionName, dataMap);
+        this._rebuildIndexes(collectionName);
+      } catch (error) {
+        this.logger.warn(`Failed to load collection ${collectionName}: ${error.message}`);
+        // Remove from index if file doesn't exis
+        this.collectionFiles.delete(collectionName);
+      }
+    }
+  }
+
+  /**
+   * Get the definitions of the collection indexes, for persistence in the metadata file.
+   * Indexes that only exist because of a database-wide indexed field are left out.
+   * @returns {Object[]} Definitions as { collection, fields, type, unique, sparse }
+   */
+  _getIndexDefinitions() {
+    const definitions = [];
+
+    for (const [collectionName, collectionIndexes] of this.indexes) {
+      for (const [name, index] of collectionIndexes) {
+        const definition = index.getDefinition();
+        const isGlobalDefault = this.indexedFields.has(name) &&
+          definition.type === 'hash' && !definition.unique && !definition.sparse;
+
+        if (!isGlobalDefault) {
+          definitions.push({ collection: collectionName, ...definition });
+        }
+      }
+    }
+
+    return definitions;
+  }
+
+  /**
+   * Register the indexes stored in the metadata file
+   * @param {Object} indexData - Parsed metadata file
+   */
+  _loadIndexDefinitions(indexData) {
+    for (const field of indexData.indexedFields || []) {
+      this.indexedFields.add(field);
+    }
+
+    for (const definition of indexData.indexes || []) {
+      const { collection, fields, type, unique, sparse } = definition;
+
+      try {
+        this._ensureIndex(collection, fields, { type, unique, sparse });
+      } catch (error) {
+        this.logger.warn(`Failed to restore index '${IndexSystem.getName(fields)}' on collection '${collection}': ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Get the options of a collection
+   * @param {string} collectionName - Collection name
+   * @returns {Object} Collection options (empty if none were set)
+   */
+  _getCollectionOptions(collectionName) {
+    return this.collectionOptions.get(collectionName) || {};
+  }
+
+  /**
+   * Merge options into the options of a collection. Options set to null are removed.
+   * The caller persists the metadata file when the options changed.
+   * @param {string} collectionName - Collection name
+   * @param {Object} options - Collection options
+   * @returns {boolean} True if the options changed
+   * @throws {Error} If the options or the schema are invalid
+   */
+  _setCollectionOptions(collectionName, options) {
+    const validation = Validator.validateCollectionOptions(options);
+    if (!validation.valid) {
+      throw new Error(`Invalid collection options: ${validation.error}`);
+    }
+
+    const current = this._getCollectionOptions(collectionName);
+    const merged = { ...current, ...options };
+    for (const key of Object.keys(merged)) {
+      if (merged[key] === null) delete merged[key];
+    }
+    if (JSON.stringify(merged) === JSON.stringify(current)) return false;
+
+    if (merged.schema !== undefined) {
+      new SchemaValidator(merged.schema, merged.schemaOptions);
+    }
+
+    this.collectionOptions.set(collectionName, merged);
+    this.schemaValidators.delete(collectionName);
+    return true;
+  }
+
+  /**
+   * Get the validator for the schema of a collection
+   * @param {string} collectionName - Collection name
+   * @returns {SchemaValidator|null} Validator, or null if the collection has no schema
+   */
+  _getSchemaValidator(collectionName) {
+    const { schema, schemaOptions } = this._getCollectionOptions(collectionName);
+    if (schema === undefined) return null;
+
+    let validator = this.schemaValidators.get(collectionName);
+    if (!validator) {
+      validator = new SchemaValidator(schema, schemaOptions);
+      this.schemaValidators.set(collectionName, validator);
+    }
+    return validator;
+  }
+
+  /**
+   * Persist index metadata after a database-wide index or collection options change, once initialized
+   */
+  _scheduleIndexSave() {
+    if (!this.isInitialized) return;
+
+    this.writeMutex.acquire(() => this._saveCollectionIndex()).catch(error => {
+      this.logger.error('Failed to save index definitions', { error: error.message });
+    });
+  }
+
+  /**
+   * Save a collection to its JSON file
+   * @param {string} collectionName - Collection name
+   */
+  async _saveCollection(collectionName) {
+    const collectionData = this.collectionData.get(collectionName);
+    if (!collectionData) return;
+
+    await this._writeSnapshot(collectionName, collectionData);
+  }
+
+  /**
+   * Write the documents of a collection to its JSON file
+   * @param {string} collectionName - Collection name
+   * @param {Map<string, Object>} collectionData - Collection documents
+   */
+  async _writeSnapshot(collectionName, collectionData) {
+    const filePath = this._getCollectionFilePath(collectionName);
+    const dataObject = Object.fromEntries(collectionData);
+
+    await AtomicFile.write(filePath, JSON.stringify(dataObject, null, 2), { syncDirectory: this.fsyncDirectory });
+    this.collectionFiles.set(collectionName, filePath);
+  }
+
+  /**
+   * Persist document changes of a collection, or queue them when the write queue is enabled
+   * @param {string} collectionName - Collection name
+   * @param {Object[]} changes - Changes as { op: 'set', id, document } or { op: 'delete', id }
+   */
+  async _persistChanges(collectionName, changes) {
+    if (this.autoSaveInterval > 0) {
+      this.dirtyCollections.add(collectionName);
+      return;
+    }
+
+    if (!this.enableWriteQueue) {
+      await this._writeChanges(collectionName, changes);
+      return;
+    }
+
+    const queued = this.writeQueue.get(collectionName);
+    if (queued) {
+      queued.push(...changes);
+    } else {
+      this.writeQueue.set(collectionName, [...changes]);
+    }
+
+    this._scheduleFlush();
+  }
+
+  /**
+   * Schedule a write queue flush in queueFlushInterval ms, unless one is already scheduled.
+   * Unlike the autosave timer, the flush timer keeps the process alive: it only exists while
+   * writes are queued, and their promises have already resolved.
+   */
+  _scheduleFlush() {
+    if (this.queueTimer) return;
+
+    this.queueTimer = setTimeout(() => {
+      this.queueTimer = null;
+      this.flush().catch(error => {
+        this.logger.error('Failed to flush write queue, retrying', { error: error.message });
+        this._scheduleFlush();
+      });
+    }, this.queueFlushInterval);  }
+
+  /**
+   * Write document changes of a collection to disk according to the storage mode
+   * @param {string} collectionName - Collection name
+   * @param {Object[]} changes - Changes to write
+   */
+  async _writeChanges(collectionName, changes) {
+    const isNewCollection = !this.collectionFiles.has(collectionName);
+
+    if (this.storageMode === 'journal') {
+      await this._appendToJournal(collectionName, changes);
+      this.collectionFiles.set(collectionName, this._getCollectionFilePath(collectionName));
+
+      if (this.journalEntries.get(collectionName) >= this.journalCompactionThreshold) {
+        await this._compactCollection(collectionName);
+      }
+    } else {
+      await this._saveCollection(collectionName);
+    }
+
+    if (isNewCollection) {
+      await this._saveCollectionIndex();
+    }
+  }
+
+  /**
+   * Get the journal file path for a collection
+   * @param {string} collectionName - Collection name
+   * @returns {string} Journal file path
+   */
+  _getJournalFilePath(collectionName) {
+    return path.join(this.folderPath, `${collectionName}${JOURNAL_SUFFIX}`);
+  }
+
+  /**
+   * Append changes to a collection journal, one JSON document per line
+   * @param {string} collectionName - Collection name
+   * @param {Object[]} changes - Changes to append
+   */
+  async _appendToJournal(collectionName, changes) {
+    const lines = changes.map(change => JSON.stringify(change) + '\n').join('');
+    await AtomicFile.append(this._getJournalFilePath(collectionName), lines, { syncDirectory: this.fsyncDirectory });
+
+    this.journalEntries.set(collectionName, (this.journalEntries.get(collectionName) || 0) + changes.length);
+  }
+
+  /**
+   * Fold a collection journal into its JSON file and remove the journal
+   * @param {string} collectionName - Collection name
+   */
+  async _compactCollection(collectionName) {
+    // An unloaded collection has nothing in memory to fold its journal into
+    if (!this.collectionData.has(collectionName)) return;
+
+    await this._saveCollection(collectionName);
+
+    if (this.journalEntries.has(collectionName)) {
+      await this._removeJournal(collectionName);
+    }
+  }
+
+  /**
+   * Remove the journal of a collection
+   * @param {string} collectionName - Collection name
+   */
+  async _removeJournal(collectionName) {
+    try {
+      await fs.unlink(this._getJournalFilePath(collectionName));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    this.journalEntries.delete(collectionName);
+  }
+
+  /**
+   * Delete the JSON file and journal of a collection
+   * @param {string} collectionName - Collection name
+   */
+  async _deleteCollectionFiles(collectionName) {
+    const filePath = this.collectionFiles.get(collectionName);
+    if (filePath) {
+      try {
+        await fs.unlink(filePath);
+      } catch (error) {
+        // File might not exist, that's ok
+      }
+    }
+
+    await this._removeJournal(collectionName);
+    this.collectionFiles.delete(collectionName);
+    this.writeQueue.delete(collectionName);
+    this.dirtyCollections.delete(collectionName);
+  }
+
+  /**
+   * Read a collection from its JSON file and replay its journal.
+   * In snapshot mode a replayed journal is compacted right away, unless the read only peeks at the collection.
+   * @param {string} collectionName - Collection name
+   * @param {Object} [options={}] - Read options
+   * @param {boolean} [options.peek=false] - Leave the files and journal state untouched, since the caller
+   *   does not hold the write mutex and a concurrent write may be appending to the journal
+   * @returns {Map<string, Object>} Collection documents
+   * @throws {Error} With code ENOENT if neither the file nor a journal exists
+   */
+  async _readCollection(collectionName, options = {}) {
+    const dataMap = new Map();
+    let hasSnapshot = true;
+
+    try {
+      const content = await fs.readFile(this._getCollectionFilePath(collectionName), 'utf8');
+      for (const [id, document] of Object.entries(JSON.parse(content))) {
+        dataMap.set(id, document);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      hasSnapshot = false;
+    }
+
+    const replayed = await this._replayJournal(collectionName, dataMap, { repair: !options.peek });
+
+    if (!hasSnapshot && replayed === null) {
+      const error = new Error(`ENOENT: no file or journal for collection '${collectionName}'`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+
+    if (replayed !== null && !options.peek) {
+      this.journalEntries.set(collectionName, replayed);
+
+      if (this.storageMode !== 'journal') {
+        await this._writeSnapshot(collectionName, dataMap);
+        await this._removeJournal(collectionName);
       }
+    }
+
+    return dataMap;
+  }
+
+  /**
+   * Apply the entries of a collection journal to its documents.
+   * An entry only counts once its newline is on disk: a last line without one was torn by an interrupted
+   * append and is skipped, and with options.repair cut off so the next append starts on a fresh line.
+   * @param {string} collectionName - Collection name
+   * @param {Map<string, Object>} dataMap - Documents to update in place
+   * @param {Object} [options={}] - Replay options
+   * @param {boolean} [options.repair=false] - Truncate a torn last line from the journal file
+   * @returns {number|null} Number of replayed entries, or null if there is no journal
+   * @throws {Error} If an entry before the last line is unreadable
+   */
+  async _replayJournal(collectionName, dataMap, options = {}) {
+    const journalPath = this._getJournalFilePath(collectionName);
+
+    let content;
+    try {
+      content = await fs.readFile(journalPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const complete = content.slice(0, content.lastIndexOf('\n') + 1);
+    const lines = complete.split('\n');
+
+    if (complete.length < content.length) {
+      this.logger.warn(`Discarding torn journal entry ${lines.length} of collection '${collectionName}'`);
+
+      if (options.repair) {
+        await fs.truncate(journalPath, Buffer.byteLength(complete, 'utf8'));
+      }
+    }
+
+    let replayed = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (error) {
+        throw new Error(`Journal of collection '${collectionName}' is corrupt at line ${i + 1}: ${error.message}`);
+      }
+
+      this._applyChange(dataMap, entry);
+      replayed++;
+    }
+
+    return replayed;
+  }
+
+  /**
+   * Apply a persisted change to collection documents
+   * @param {Map<string, Object>} dataMap - Documents to update in place
+   * @param {Object} change - Change as { op: 'set', id, document } or { op: 'delete', id }
+   */
+  _applyChange(dataMap, change) {
+    if (change.op === 'set') {
+      dataMap.set(String(change.id), change.document);
+    } else if (change.op === 'delete') {
+      dataMap.delete(String(change.id));
+    }
+  }
+
+  /**
+   * Load a collection from its JSON file (and journal). Concurrent loads of the same collection share one read.
+   * @param {string} collectionName - Collection name
+   * @returns {Map<string, Object>} Collection documents
+   */
+  async _loadCollection(collectionName) {
+    if (this.loadingCollections.has(collectionName)) {
+      return this.loadingCollections.get(collectionName);
+    }
+
+    const loading = this._readAndRegisterCollection(collectionName);
+    this.loadingCollections.set(collectionName, loading);
+
+    try {
+      return await loading;
+    } finally {
+      this.loadingCollections.delete(collectionName);
+    }
+  }
+
+  /**
+   * Read a collection and make it resident, creating an empty collection if it has no files
+   * @param {string} collectionName - Collection name
+   * @returns {Map<string, Object>} Collection documents
+   */
+  async _readAndRegisterCollection(collectionName) {
+    const filePath = this._getCollectionFilePath(collectionName);
+
+    try {
+      const dataMap = await this._readCollection(collectionName);
 
       this.collectionData.set(collectionName, dataMap);
       this.collectionFiles.set(collectionName, filePath);
+      this.documentCounts.delete(collectionName);
+      this._rebuildIndexes(collectionName);
+
+      return dataMap;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        // Collection doesn't exist yet, create empty one
+        const dataMap = new Map();
+        this.collectionData.set(collectionName, dataMap);
+        this._rebuildIndexes(collectionName);
+        return dataMap;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get or build the index for a field (or compound fields) of a collection
+   * @param {string} collectionName - Collection name
+   * @param {string|string[]} fields - Field(s) to index
+   * @param {Object} [options={}] - Index options
+   * @param {string} [options.type='hash'] - 'hash' or 'sorted'
+   * @param {boolean} [options.unique=false] - Enforce unique values
+   * @param {boolean} [options.sparse=false] - Skip documents missing the indexed field(s)
+   * @returns {IndexSystem} The collection index
+   * @throws {UniqueConstraintError} If a new unique index finds duplicate values
+   */
+  _ensureIndex(collectionName, fields, options = {}) {
+    let collectionIndexes = this.indexes.get(collectionName);
+    if (!collectionIndexes) {
+      collectionIndexes = new Map();
+      this.indexes.set(collectionName, collectionIndexes);
+    }
+
+    const name = IndexSystem.getName(fields);
+    let index = collectionIndexes.get(name);
+
+    if (index && Object.keys(options).length > 0) {
+      const definition = index.getDefinition();
+      if (definition.type !== (options.type || 'hash') ||
+        definition.unique !== Boolean(options.unique) ||
+        definition.sparse !== Boolean(options.sparse)) {
+        throw new Error(`Index '${name}' already exists in collection '${collectionName}' with different options`);
+      }
+    }
+
+    if (!index) {
+      index = options.type === 'sorted' ? new SortedIndex(fields, options) : new IndexSystem(fields, options);
+      const collectionData = this.collectionData.get(collectionName);
+      if (collectionData) {
+        index.rebuild(collectionData);
+      }
+
+      const duplicates = index.unique ? index.getDuplicates() : [];
+      if (duplicates.length > 0) {
+        throw new UniqueConstraintError(
+          `Cannot create unique index '${name}' on collection '${collectionName}': ${duplicates.length} duplicate value(s) found`,
+          { collection: collectionName, index: name, fields: index.fields, duplicates }
+        );
+      }
+
+      collectionIndexes.set(name, index);
+    }
+
+    return index;
+  }
+
+  /**
+   * Reject a document that would duplicate a value of a unique index
+   * @param {string} collectionName - Collection name
+   * @param {string} id - Document ID
+   * @param {Object} document - Document data about to be written
+   * @throws {UniqueConstraintError} If another document already holds one of the values
+   */
+  _checkUniqueIndexes(collectionName, id, document) {
+    for (const index of this._getCollectionIndexes(collectionName).values()) {
+      if (!index.unique) continue;
+
+      const conflict = index.findConflict(id, document);
+      if (conflict) {
+        const values = index.fields.length > 1 ? JSON.parse(conflict.value) : [conflict.value];
+        const description = index.fields
+          .map((field, i) => `${field} ${JSON.stringify(values[i])}`)
+          .join(', ');
+
+        throw new UniqueConstraintError(
+          `Document with ${description} already exists in collection '${collectionName}'`,
+          { collection: collectionName, index: index.field, fields: index.fields, value: conflict.value, conflictingId: conflict.key }
+        );
+      }
+    }
+  }
+
+  /**
+   * Get the indexes of a collection, including database-wide indexed fields
+   * @param {string} collectionName - Collection name
+   * @returns {Map<string, IndexSystem>} Indexes keyed by index name
+   */
+  _getCollectionIndexes(collectionName) {
+    for (const field of this.indexedFields) {
+      this._ensureIndex(collectionName, field);
+    }
+
+    return this.indexes.get(collectionName) || new Map();
+  }
+
+  /**
+   * Add a document to the indexes of its collection
+   * @param {string} collectionName - Collection name
+   * @param {string} id - Document ID
+   * @param {Object} document - Document data
+   */
+  _indexDocument(collectionName, id, document) {
+    for (const index of this._getCollectionIndexes(collectionName).values()) {
+      index.add(id, document);
+    }
+  }
+
+  /**
+   * Remove a document from the indexes of its collection
+   * @param {string} collectionName - Collection name
+   * @param {string} id - Document ID
+   * @param {Object} document - Document data
+   */
+  _unindexDocument(collectionName, id, document) {
+    const collectionIndexes = this.indexes.get(collectionName);
+    if (!collectionIndexes) return;
+
+    for (const index of collectionIndexes.values()) {
+      index.remove(id, document);
+    }
+  }
+
+  /**
+   * Rebuild all indexes of a collection from its current data
+   * @param {string} collectionName - Collection name
+   */
+  _rebuildIndexes(collectionName) {
+    const collectionData = this.collectionData.get(collectionName) || new Map();
 
-      return dataMap;
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // Collection doesn't exist yet, create empty one
-        const dataMap = new Map();
-        this.collectionData.set(collectionName, dataMap);
-        return dataMap;
-      }
-      throw error;
+    for (const index of this._getCollectionIndexes(collectionName).values()) {
+      index.rebuild(collectionData);
     }
   }
 
-  _addToCache(key, value) {
-    if (this.cache.size >= this.maxMemoryItems) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
+  /**
+   * Rebuild the indexes of every collection, emptying those of collections that no longer exist
+   */
+  _rebuildAllIndexes() {
+    const collectionNames = new Set([...this.indexes.keys(), ...this.collectionData.keys()]);
+
+    for (const collectionName of collectionNames) {
+      this._rebuildIndexes(collectionName);
     }
+  }
+
+  /**
+   * Cache a document for findById
+   * @param {string} collectionName - Collection name
+   * @param {string} id - Document ID
+   * @param {Object} document - Document data
+   */
+  _addToCache(collectionName, id, document) {
+    this.cache.set(`${collectionName}:${id}`, document);
+  }
 
-    this.cache.set(key, value);
+  /**
+   * Remove a document from the findById cache
+   * @param {string} collectionName - Collection name
+   * @param {string} id - Document ID
+   */
+  _invalidateCache(collectionName, id) {
+    this.cache.delete(`${collectionName}:${id}`);
   }
 
   _getNestedValue(obj, path) {
@@ -528,7 +1744,7 @@ class JSLiteDB extends EventEmitter {
       this.io = new Server(this.server, {
         cors: {
           origin: "*",
-          methods: ["GET", "POST", "PUT", "DELETE"]
+          methods: ["GET", "POST", "PUT", "PATCH", "DELETE"]
         }
       });
 
@@ -536,8 +1752,9 @@ class JSLiteDB extends EventEmitter {
     }
 
     // Middleware
-    this.app.use(cors());
-    this.app.use(express.json({ limit: '10mb' }));
+    // Browsers only let clients read the ETag of cross-origin responses if it is exposed
+    this.app.use(cors({ exposedHeaders: ['ETag', 'Link'] }));
+    this.app.use(express.json({ limit: '10mb', type: ['application/json', 'application/merge-patch+json'] }));
 
     // Request logging middleware
     if (this.enableLogging) {
@@ -678,6 +1895,7 @@ class JSLiteDB extends EventEmitter {
           heapUsed: `${Math.round(memoryUsage.heapUsed / 1024 / 1024)}MB`,
           heapTotal: `${Math.round(memoryUsage.heapTotal / 1024 / 1024)}MB`
         },
+        cache: stats.cache,
         features: {
           indexing: this.enableIndexing,
           lazyLoading: this.lazyLoading,
@@ -686,14 +1904,6 @@ class JSLiteDB extends EventEmitter {
       });
     });
 
-
-
-
-
-
-
-
-
     // Index management routes
     router.post('/indexes/:field', (req, res) => {
       try {
@@ -855,58 +2065,443 @@ class JSLiteDB extends EventEmitter {
       } catch (error) {
         res.status(500).json({
           success: false,
-          error: 'Failed to count documents'
+          error: 'Failed to count documents'
+        });
+      }
+    });
+
+    // Collection index management, also served under the reserved _indexes segment like _bulk and _query.
+    // GET and DELETE /:collection/indexes take precedence over a document with the ID "indexes".
+    router.get(['/:collection/indexes', '/:collection/_indexes'], async (req, res) => {
+      try {
+        const { collection: collectionName } = req.params;
+        await this._ensureInitialized();
+        // Load the collection so the statistics reflect its documents
+        await this._getCollectionData(collectionName);
+
+        res.status(200).json({
+          success: true,
+          data: this.collection(collectionName).getIndexStats()
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to retrieve indexes'
+        });
+      }
+    });
+
+    router.post(['/:collection/indexes', '/:collection/_indexes'], async (req, res) => {
+      const { collection: collectionName } = req.params;
+      const spec = req.body;
+
+      const validation = Validator.validateIndexSpec(spec);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.error
+        });
+      }
+
+      try {
+        const collection = this.collection(collectionName);
+        await this._ensureInitialized();
+
+        const name = IndexSystem.getName(spec.fields);
+        const existed = collection.getIndexes().includes(name);
+        const startTime = Date.now();
+
+        await collection.createIndex(spec.fields, {
+          type: spec.sorted ? 'sorted' : 'hash',
+          unique: spec.unique,
+          sparse: spec.sparse
+        });
+
+        const index = collection.getIndexStats().find(entry => entry.name === name);
+
+        res.status(existed ? 200 : 201).json({
+          success: true,
+          data: {
+            ...index,
+            status: existed ? 'exists' : 'built',
+            buildTime: Date.now() - startTime
+          }
+        });
+      } catch (error) {
+        if (error instanceof UniqueConstraintError) {
+          return res.status(409).json({
+            success: false,
+            error: error.message,
+            details: {
+              index: error.index,
+              duplicateCount: error.duplicates.length,
+              duplicates: error.duplicates.slice(0, 10)
+            }
+          });
+        }
+
+        if (error.message.includes('already exists')) {
+          return res.status(409).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        this.logger.error('Index creation failed', {
+          collection: collectionName,
+          error: error.message
+        });
+
+        res.status(500).json({
+          success: false,
+          error: 'Index creation failed'
+        });
+      }
+    });
+
+    const dropCollectionIndex = async (req, res) => {
+      const { collection: collectionName, name } = req.params;
+      const fields = name !== undefined ? name : (req.body || {}).fields;
+
+      if (fields === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Index name or fields are required'
+        });
+      }
+
+      try {
+        const dropped = await this.collection(collectionName).dropIndex(fields);
+
+        if (!dropped) {
+          return res.status(404).json({
+            success: false,
+            error: 'Index not found'
+          });
+        }
+
+        res.status(200).json({
+          success: true,
+          data: { name: IndexSystem.getName(fields), dropped: true }
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: 'Index deletion failed'
+        });
+      }
+    };
+
+    router.delete(['/:collection/indexes', '/:collection/_indexes'], dropCollectionIndex);
+    router.delete(['/:collection/indexes/:name', '/:collection/_indexes/:name'], dropCollectionIndex);
+
+    // Run a batch of insert/update/patch/delete operations
+    router.post('/:collection/_bulk', async (req, res) => {
+      const { collection: collectionName } = req.params;
+      const body = req.body;
+      const items = Array.isArray(body) ? body : (body || {}).operations;
+
+      if (!Array.isArray(items)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Request body must be an array of operations or { operations: [...] }'
+        });
+      }
+
+      if (items.length > MAX_BULK_OPERATIONS) {
+        return res.status(400).json({
+          success: false,
+          error: `Bulk requests are limited to ${MAX_BULK_OPERATIONS} operations`
+        });
+      }
+
+      try {
+        const result = await this.collection(collectionName).bulkWrite(items.map(item => this._toBulkOperation(item)), {
+          ordered: Array.isArray(body) || body.ordered !== false,
+          durable: req.query.durable === 'true',
+          user: this._getRequestUser(req)
+        });
+
+        // Operations after the first failure of an ordered batch were not executed
+        const results = items.map((item, index) => this._toBulkItemResponse(item, result.results[index], index));
+        const allSucceeded = results.every(itemResult => itemResult.status < 300);
+
+        res.status(allSucceeded ? 200 : 207).json({
+          success: true,
+          data: {
+            results,
+            insertedCount: result.insertedCount,
+            modifiedCount: result.modifiedCount,
+            deletedCount: result.deletedCount,
+            errorCount: results.filter(itemResult => itemResult.status >= 300).length
+          }
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: 'Bulk operation failed'
+        });
+      }
+    });
+
+    // Query with a JSON body, for filters too long or nested for a URL
+    router.post('/:collection/_query', async (req, res) => {
+      try {
+        const { collection: collectionName } = req.params;
+        const query = this._parseQueryBody(req.body);
+
+        if (query.error) {
+          return res.status(400).json({
+            success: false,
+            error: query.error
+          });
+        }
+
+        const startTime = Date.now();
+        const stats = { scanned: 0 };
+        const { documents, ...page } = await this._findList(this.collection(collectionName), query.options, stats);
+
+        res.status(200).json({
+          success: true,
+          data: documents,
+          ...page,
+          stats: { ...stats, returned: documents.length, executionTime: Date.now() - startTime }
+        });
+      } catch (error) {
+        if (error.message.startsWith('Invalid cursor')) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        res.status(500).json({
+          success: false,
+          error: 'Failed to query documents'
+        });
+      }
+    });
+
+    // Run an aggregation pipeline
+    router.post('/:collection/_aggregate', async (req, res) => {
+      try {
+        const { collection: collectionName } = req.params;
+        const pipeline = Array.isArray(req.body) ? req.body : req.body && req.body.pipeline;
+
+        const validation = Validator.validatePipeline(pipeline);
+        if (!validation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: validation.error
+          });
+        }
+
+        const startTime = Date.now();
+        const stats = { scanned: 0 };
+        const result = await this.collection(collectionName)._aggregate(pipeline, stats);
+        const returned = Array.isArray(result) ? result.length : Object.keys(result).length;
+
+        res.status(200).json({
+          success: true,
+          data: result,
+          stats: { ...stats, returned, executionTime: Date.now() - startTime }
+        });
+      } catch (error) {
+        if (error.message.startsWith('Aggregation stage')) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        res.status(500).json({
+          success: false,
+          error: 'Failed to aggregate documents'
+        });
+      }
+    });
+
+    // Get document by ID
+    router.get('/:collection/:id', async (req, res) => {
+      try {
+        const { collection: collectionName, id } = req.params;
+        const { projection, error } = this._parseProjection(req.query.fields, 'fields');
+
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            error
+          });
+        }
+
+        const collection = this.collection(collectionName);
+        const document = await collection.findById(id);
+
+        if (!document) {
+          return res.status(404).json({
+            success: false,
+            error: 'Document not found'
+          });
+        }
+
+        // The ETag comes from the whole document, as the projection may leave out its revision
+        this._setETag(res, document);
+        res.status(200).json({
+          success: true,
+          data: collection._toResult(id, document, projection)
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to retrieve document'
+        });
+      }
+    });
+
+    // Update document
+    router.put('/:collection/:id', async (req, res) => {
+      const ifMatch = this._getIfMatchRevision(req);
+
+      try {
+        const { collection: collectionName, id } = req.params;
+        const document = req.body;
+
+        if (!document || typeof document !== 'object') {
+          return res.status(400).json({
+            success: false,
+            error: 'Request body must be a valid JSON object'
+          });
+        }
+
+        if (ifMatch === null) {
+          return this._sendInvalidIfMatch(res);
+        }
+
+        // The If-Match header takes precedence over a _rev sent back in the body
+        const expectedRev = ifMatch !== undefined ? ifMatch
+          : typeof document._rev === 'number' ? document._rev : undefined;
+
+        const collection = this.collection(collectionName);
+        const result = await collection.update(id, document, {
+          durable: req.query.durable === 'true', expectedRev, user: this._getRequestUser(req)
+        });
+
+        this._setETag(res, result);
+        res.status(200).json({
+          success: true,
+          data: result
+        });
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          return res.status(ifMatch !== undefined ? 412 : 409).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        if (error instanceof ValidationError) {
+          return res.status(400).json({
+            success: false,
+            error: error.message,
+            errors: error.errors
+          });
+        }
+
+        if (error instanceof UniqueConstraintError) {
+          return res.status(409).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update document'
         });
       }
     });
 
-    // Get document by ID
-    router.get('/:collection/:id', async (req, res) => {
+    // Partially update document with update operators or a JSON Merge Patch
+    router.patch('/:collection/:id', async (req, res) => {
       try {
         const { collection: collectionName, id } = req.params;
+        const body = req.body;
+        const ifMatch = this._getIfMatchRevision(req);
+
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Request body must be a valid JSON object'
+          });
+        }
+
+        if (ifMatch === null) {
+          return this._sendInvalidIfMatch(res);
+        }
+
+        // Operator bodies ({ "$inc": ... }) are updates, anything else (or a merge-patch content type) is a merge patch
+        const isMergePatch = req.is('application/merge-patch+json') ||
+          !Object.keys(body).some(key => key.startsWith('$'));
+
+        if (!isMergePatch) {
+          const validation = Validator.validateUpdate(body);
+          if (!validation.valid) {
+            return res.status(400).json({
+              success: false,
+              error: validation.error
+            });
+          }
+        }
+
         const collection = this.collection(collectionName);
-        const document = await collection.findById(id);
+        const writeOptions = { durable: req.query.durable === 'true', expectedRev: ifMatch, user: this._getRequestUser(req) };
+        const result = isMergePatch
+          ? await collection.patch(id, body, writeOptions)
+          : await collection.updateOne(id, body, writeOptions);
 
-        if (!document) {
+        if (!result) {
           return res.status(404).json({
             success: false,
             error: 'Document not found'
           });
         }
 
+        this._setETag(res, result);
         res.status(200).json({
           success: true,
-          data: { id, ...document }
+          data: result
         });
       } catch (error) {
-        res.status(500).json({
-          success: false,
-          error: 'Failed to retrieve document'
-        });
-      }
-    });
+        if (error instanceof ConflictError) {
+          return res.status(412).json({
+            success: false,
+            error: error.message
+          });
+        }
 
-    // Update document
-    router.put('/:collection/:id', async (req, res) => {
-      try {
-        const { collection: collectionName, id } = req.params;
-        const document = req.body;
+        if (error instanceof UniqueConstraintError) {
+          return res.status(409).json({
+            success: false,
+            error: error.message
+          });
+        }
 
-        if (!document || typeof document !== 'object') {
+        if (error instanceof ValidationError) {
           return res.status(400).json({
             success: false,
-            error: 'Request body must be a valid JSON object'
+            error: error.message,
+            errors: error.errors
           });
         }
 
-        const collection = this.collection(collectionName);
-        const result = await collection.update(id, document);
+        // The update does not fit the document, e.g. $inc on a string field
+        if (error instanceof UpdateOperatorError) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
 
-        res.status(200).json({
-          success: true,
-          data: result
-        });
-      } catch (error) {
         res.status(500).json({
           success: false,
           error: 'Failed to update document'
@@ -918,8 +2513,14 @@ class JSLiteDB extends EventEmitter {
     router.delete('/:collection/:id', async (req, res) => {
       try {
         const { collection: collectionName, id } = req.params;
+        const ifMatch = this._getIfMatchRevision(req);
+
+        if (ifMatch === null) {
+          return this._sendInvalidIfMatch(res);
+        }
+
         const collection = this.collection(collectionName);
-        const deleted = await collection.delete(id);
+        const deleted = await collection.delete(id, { durable: req.query.durable === 'true', expectedRev: ifMatch });
 
         if (!deleted) {
           return res.status(404).json({
@@ -933,6 +2534,13 @@ class JSLiteDB extends EventEmitter {
           data: { deleted: true }
         });
       } catch (error) {
+        if (error instanceof ConflictError) {
+          return res.status(412).json({
+            success: false,
+            error: error.message
+          });
+        }
+
         res.status(500).json({
           success: false,
           error: 'Failed to delete document'
@@ -944,19 +2552,35 @@ class JSLiteDB extends EventEmitter {
     router.get('/:collection', async (req, res) => {
       try {
         const { collection: collectionName } = req.params;
-        const { limit, skip } = req.query;
+        const listQuery = this._parseListQuery(req.query);
+
+        if (listQuery.error) {
+          return res.status(400).json({
+            success: false,
+            error: listQuery.error
+          });
+        }
 
         const collection = this.collection(collectionName);
-        const documents = await collection.find({
-          limit: limit ? parseInt(limit) : undefined,
-          skip: skip ? parseInt(skip) : 0
-        });
+        const { documents, ...page } = await this._findList(collection, listQuery.options);
+
+        if (page.pagination) {
+          this._setLinkHeader(req, res, page.pagination);
+        }
 
         res.status(200).json({
           success: true,
-          data: documents
+          data: documents,
+          ...page
         });
       } catch (error) {
+        if (error.message.startsWith('Invalid cursor')) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+
         res.status(500).json({
           success: false,
           error: 'Failed to retrieve documents'
@@ -978,15 +2602,32 @@ class JSLiteDB extends EventEmitter {
         }
 
         const collection = this.collection(collectionName);
+        const options = { durable: req.query.durable === 'true', user: this._getRequestUser(req) };
         const result = document.id ?
-          await collection.insert(document.id, document) :
-          await collection.insert(document);
+          await collection.insert(document.id, document, options) :
+          await collection.insert(document, options);
 
+        this._setETag(res, result);
         res.status(201).json({
           success: true,
           data: result
         });
       } catch (error) {
+        if (error instanceof ValidationError) {
+          return res.status(400).json({
+            success: false,
+            error: error.message,
+            errors: error.errors
+          });
+        }
+
+        if (error instanceof UniqueConstraintError) {
+          return res.status(409).json({
+            success: false,
+            error: error.message
+          });
+        }
+
         if (error.message.includes('already exists')) {
           return res.status(400).json({
             success: false,
@@ -1004,6 +2645,414 @@ class JSLiteDB extends EventEmitter {
     this.app.use('/api', router);
   }
 
+  /**
+   * Run the find options of a list request. Requests with a cursor (empty for the first page) are returned
+   * a page at a time in cursor order (sort fields, then ID); others keep the plain limit and skip of find().
+   * @param {Collection} collection - Collection to query
+   * @param {Object} options - Find options as { filter, sort, limit, skip, cursor, paged, total }
+   * @param {Object} [stats] - Statistics whose scanned count is incremented for every document examined
+   * @returns {Object} { documents, pagination?: { limit, skip, hasMore, nextCursor }, totalCount? }
+   * @throws {Error} If the cursor is invalid
+   */
+  async _findList(collection, options, stats = null) {
+    if (!options.paged) {
+      const documents = await collection._find(options, stats);
+      const isWhole = !options.skip && !(options.limit && documents.length === options.limit);
+      return options.total
+        ? { documents, totalCount: isWhole ? documents.length : await collection.count({ filter: options.filter }) }
+        : { documents };
+    }
+
+    const page = await collection._findPage(options, stats);
+    const result = {
+      documents: page.documents,
+      pagination: { limit: options.limit, skip: options.skip, hasMore: page.hasMore, nextCursor: page.nextCursor }
+    };
+    if (options.total) result.totalCount = page.total;
+    return result;
+  }
+
+  /**
+   * Set the Link header of a list response: rel="next" continues after the page with its cursor
+   * and rel="first" restarts from the first page, both keeping the other query parameters
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} pagination - Pagination of the response as { hasMore, nextCursor }
+   */
+  _setLinkHeader(req, res, pagination) {
+    const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`;
+    const linkTo = (cursor) => {
+      const params = new URLSearchParams();
+      for (const [key, value] of Object.entries(req.query)) {
+        if (key === 'cursor' || key === 'skip') continue;
+        for (const item of Array.isArray(value) ? value : [value]) {
+          params.append(key, item);
+        }
+      }
+      params.set('cursor', cursor || '');
+      return `<${baseUrl}?${params}>`;
+    };
+
+    const links = [`${linkTo(null)}; rel="first"`];
+    if (pagination.hasMore) {
+      links.push(`${linkTo(pagination.nextCursor)}; rel="next"`);
+    }
+
+    res.set('Link', links.join(', '));
+  }
+
+  /**
+   * Parse the query string of GET /api/:collection into find options. Filters come from the where parameter
+   * (a JSON query object) and from field parameters: ?role=admin, ?role=admin&role=owner (any of the values)
+   * or ?age[$gte]=18, whose values are parsed as JSON when possible (so 18 is a number and "18" a string).
+   * Sort is a comma-separated list of fields, descending when prefixed with "-" or suffixed with ":desc".
+   * Cursor pages with limit: empty for the first page, then the cursor of the previous page. total=true also
+   * counts all matching documents.
+   * Fields is a comma-separated list of fields to return, or to leave out when prefixed with "-".
+   * @param {Object} query - Express request query
+   * @returns {Object} { options: { filter, sort, limit, skip, cursor, total, projection } },
+   * or { error } describing the invalid parameter
+   */
+  _parseListQuery(query) {
+    for (const name of ['where', 'sort', 'fields', 'limit', 'skip', 'cursor', 'total']) {
+      if (Array.isArray(query[name])) {
+        return { error: `Parameter '${name}' must only be given once` };
+      }
+    }
+
+    const filters = [];
+
+    if (query.where !== undefined) {
+      try {
+        filters.push(JSON.parse(query.where));
+      } catch (error) {
+        return { error: `Invalid where parameter: ${error.message}` };
+      }
+    }
+
+    const fieldFilter = {};
+    for (const [key, value] of Object.entries(query)) {
+      if (LIST_QUERY_PARAMETERS.includes(key)) continue;
+
+      const [, field, operator] = key.match(/^(.*?)(?:\[(\$\w+)\])?$/);
+      const validation = Validator.validateFieldName(field);
+      if (!validation.valid) {
+        return { error: `Invalid filter parameter '${key}': ${validation.error}` };
+      }
+
+      const values = (Array.isArray(value) ? value : [value]).map(item => this._parseQueryValue(item));
+      if (operator && values.length > 1) {
+        return { error: `Parameter '${key}' must only be given once` };
+      }
+
+      fieldFilter[field] = {
+        ...fieldFilter[field],
+        ...(operator ? { [operator]: values[0] } : values.length > 1 ? { $in: values } : { $eq: values[0] })
+      };
+    }
+    if (Object.keys(fieldFilter).length > 0) filters.push(fieldFilter);
+
+    const filter = filters.length > 1 ? { $and: filters } : filters[0];
+    if (filter !== undefined) {
+      const validation = Validator.validateQuery(filter);
+      if (!validation.valid) {
+        return { error: `Invalid filter: ${validation.error}` };
+      }
+    }
+
+    const { sort, error: sortError } = this._parseSort(query.sort);
+    if (sortError) return { error: sortError };
+
+    const { projection, error: projectionError } = this._parseProjection(query.fields, 'fields');
+    if (projectionError) return { error: projectionError };
+
+    // Non-numeric values are passed through for validatePagination to reject
+    const toInteger = value => (value !== undefined && /^\d+$/.test(value) ? Number(value) : value);
+    const limit = toInteger(query.limit);
+    const skip = toInteger(query.skip);
+
+    const pagination = Validator.validatePagination(limit, skip);
+    if (!pagination.valid) {
+      return { error: pagination.error };
+    }
+
+    if (query.total !== undefined && query.total !== 'true' && query.total !== 'false') {
+      return { error: "Parameter 'total' must be true or false" };
+    }
+
+    const cursorError = this._validateCursorOptions(query.cursor, limit, skip);
+    if (cursorError) return { error: cursorError };
+
+    return {
+      options: {
+        filter, sort, limit, skip: skip || 0, cursor: query.cursor || undefined, paged: query.cursor !== undefined,
+        total: query.total === 'true', projection
+      }
+    };
+  }
+
+  /**
+   * Check that a cursor is a string and is combined with a limit and without skip
+   * @param {*} cursor - Cursor parameter (undefined without cursor paging, empty for the first page)
+   * @param {*} limit - Limit parameter
+   * @param {*} skip - Skip parameter
+   * @returns {string|null} Error message, or null if valid
+   */
+  _validateCursorOptions(cursor, limit, skip) {
+    if (cursor === undefined) return null;
+    if (typeof cursor !== 'string') return 'Cursor must be a string';
+    if (!limit) return 'A cursor requires a limit';
+    if (skip) return 'A cursor cannot be combined with skip';
+    return null;
+  }
+
+  /**
+   * Parse the body of POST /api/:collection/_query into find options
+   * @param {*} body - Request body as { filter, sort, skip, limit, cursor, total, projection }
+   * @returns {Object} { options: { filter, sort, limit, skip, cursor, total, projection } },
+   * or { error } describing the invalid property
+   */
+  _parseQueryBody(body) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      return { error: 'Request body must be a valid JSON object' };
+    }
+
+    const allowedKeys = ['filter', 'sort', 'skip', 'limit', 'cursor', 'total', 'projection'];
+    const unknownKey = Object.keys(body).find(key => !allowedKeys.includes(key));
+    if (unknownKey) {
+      return { error: `Unknown query property '${unknownKey}'. Must be one of: ${allowedKeys.join(', ')}` };
+    }
+
+    const { filter, limit, skip } = body;
+    if (filter !== undefined) {
+      const validation = Validator.validateQuery(filter);
+      if (!validation.valid) {
+        return { error: `Invalid filter: ${validation.error}` };
+      }
+    }
+
+    const { sort, error: sortError } = this._parseSort(body.sort);
+    if (sortError) return { error: sortError };
+
+    const { projection, error: projectionError } = this._parseProjection(body.projection, 'projection');
+    if (projectionError) return { error: projectionError };
+
+    const pagination = Validator.validatePagination(limit, skip);
+    if (!pagination.valid) {
+      return { error: pagination.error };
+    }
+
+    if (body.total !== undefined && typeof body.total !== 'boolean') {
+      return { error: 'Total must be a boolean' };
+    }
+
+    const cursorError = this._validateCursorOptions(body.cursor, limit, skip);
+    if (cursorError) return { error: cursorError };
+
+    return {
+      options: {
+        filter, sort, limit, skip: skip || 0, cursor: body.cursor || undefined, paged: body.cursor !== undefined,
+        total: body.total === true, projection
+      }
+    };
+  }
+
+  /**
+   * Parse a sort parameter: a comma-separated string ("-createdAt,name" or "name:desc"),
+   * a { field, direction } config or an array of configs
+   * @param {*} value - Sort parameter (undefined for no sort)
+   * @returns {Object} { sort } with the sort configs, or { error }
+   */
+  _parseSort(value) {
+    if (value === undefined) return { sort: undefined };
+
+    let configs;
+    if (typeof value === 'string') {
+      configs = value.split(',').map(entry => {
+        let [field, direction] = entry.trim().split(':');
+        if (direction === undefined && /^[-+]/.test(field)) {
+          direction = field.startsWith('-') ? 'desc' : 'asc';
+          field = field.slice(1);
+        }
+        return { field, direction };
+      });
+    } else {
+      configs = Array.isArray(value) ? value : [value];
+      if (!configs.every(config => config !== null && typeof config === 'object')) {
+        return { error: 'Invalid sort: must be a string, a { field, direction } object or an array of them' };
+      }
+    }
+
+    const sort = [];
+    for (const { field, direction } of configs) {
+      const fieldValidation = Validator.validateFieldName(field);
+      if (!fieldValidation.valid) {
+        return { error: `Invalid sort: ${fieldValidation.error}` };
+      }
+
+      const directionValidation = Validator.validateSortDirection(direction);
+      if (!directionValidation.valid) {
+        return { error: `Invalid sort for field '${field}': ${directionValidation.error}` };
+      }
+
+      sort.push({ field, direction: direction || 'asc' });
+    }
+
+    return { sort };
+  }
+
+  /**
+   * Parse a projection given as a comma-separated string or an array of fields (fields prefixed with "-"
+   * are left out), or as a projection object such as { name: 1, total: { $add: ['$price', '$tax'] } }
+   * @param {*} value - Projection (undefined for all fields)
+   * @param {string} name - Parameter name, for error messages
+   * @returns {Object} { projection } for Collection.find(), or { error }
+   */
+  _parseProjection(value, name) {
+    if (value === undefined) return { projection: undefined };
+
+    let projection = value;
+
+    if (typeof value === 'string' || Array.isArray(value)) {
+      const fields = typeof value === 'string' ? value.split(',').map(field => field.trim()) : value;
+      projection = {};
+
+      for (const field of fields) {
+        const excluded = typeof field === 'string' && field.startsWith('-');
+        const fieldName = excluded ? field.slice(1) : field;
+        const validation = Validator.validateFieldName(fieldName);
+        if (!validation.valid) {
+          return { error: `Invalid ${name}: ${validation.error}` };
+        }
+        projection[fieldName] = excluded ? 0 : 1;
+      }
+    } else if (value === null || typeof value !== 'object') {
+      return { error: `Invalid ${name}: must be a comma-separated string, an array of fields or a projection object` };
+    }
+
+    const validation = Validator.validateProjection(projection);
+    if (!validation.valid) {
+      return { error: `Invalid ${name}: ${validation.error}` };
+    }
+
+    return { projection };
+  }
+
+  /**
+   * Parse a query string value as JSON, falling back to the raw string
+   * @param {string} value - Query string value
+   * @returns {*} The parsed value
+   */
+  _parseQueryValue(value) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  /**
+   * Get the identity of the user making a REST request, for collections with the userStamps option
+   * @param {Object} req - Express request
+   * @returns {*} Identity returned by the resolveUser option, undefined without it
+   */
+  _getRequestUser(req) {
+    return this.resolveUser ? this.resolveUser(req) : undefined;
+  }
+
+  /**
+   * Read the revision a request expects from its If-Match header, an ETag such as "3"
+   * @param {Object} req - Express request
+   * @returns {number|null|undefined} The revision, null if the header is not a revision ETag, undefined without the header
+   */
+  _getIfMatchRevision(req) {
+    const header = req.get('If-Match');
+    if (header === undefined) return undefined;
+
+    const match = /^(?:W\/)?"(\d+)"$/.exec(header.trim());
+    return match ? Number(match[1]) : null;
+  }
+
+  /**
+   * Reject a request whose If-Match header cannot match any revision
+   * @param {Object} res - Express response
+   */
+  _sendInvalidIfMatch(res) {
+    res.status(412).json({
+      success: false,
+      error: 'If-Match must be a document revision ETag such as "3"'
+    });
+  }
+
+  /**
+   * Set the ETag response header to the revision of a document, if it has one
+   * @param {Object} res - Express response
+   * @param {Object} document - Document
+   */
+  _setETag(res, document) {
+    if (document && document._rev !== undefined) {
+      res.set('ETag', `"${document._rev}"`);
+    }
+  }
+
+  /**
+   * Convert an operation of a bulk REST request to a Collection.bulkWrite() operation.
+   * A patch made of update operators runs as updateOne, any other patch as a JSON Merge Patch.
+   * @param {Object} item - Request operation, e.g. { op: 'patch', id, patch }
+   * @returns {Object} bulkWrite operation
+   */
+  _toBulkOperation(item) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return { op: undefined };
+    }
+
+    if (item.op === 'insert' && item.id === undefined && item.document && item.document.id !== undefined) {
+      return { ...item, id: item.document.id };
+    }
+
+    if (item.op === 'patch' && UpdateOperators.isUpdate(item.patch)) {
+      return { op: 'updateOne', id: item.id, update: item.patch, upsert: item.upsert };
+    }
+
+    return item;
+  }
+
+  /**
+   * Build the response entry of one bulk REST operation with an HTTP status:
+   * 201 created, 200 updated or deleted, 404 missing document, 409 unique index violation,
+   * 400 invalid operation (with the schema violations in errors) and 424 not executed after an earlier failure
+   * @param {Object} item - Request operation
+   * @param {Object} [result] - bulkWrite result of the operation (missing if it was not executed)
+   * @param {number} index - Operation index
+   * @returns {Object} Response entry as { index, op, id, status, data?, error? }
+   */
+  _toBulkItemResponse(item, result, index) {
+    const op = item && typeof item === 'object' ? item.op : undefined;
+
+    if (!result) {
+      return { index, op, id: item && item.id, status: 424, error: 'Not executed because an earlier operation failed' };
+    }
+
+    const { id } = result;
+
+    if (!result.success) {
+      const isConflict = result.error instanceof UniqueConstraintError || result.error instanceof ConflictError;
+      const response = { index, op, id, status: isConflict ? 409 : 400, error: result.error.message };
+      if (result.error instanceof ValidationError) response.errors = result.error.errors;
+      return response;
+    }
+
+    if (!result.matched && !result.document) {
+      return { index, op, id, status: 404, error: 'Document not found' };
+    }
+
+    if (op === 'delete') {
+      return { index, op, id, status: 200, data: { deleted: true } };
+    }
+
+    return { index, op, id, status: result.matched ? 200 : 201, data: op === 'insert' ? { id, ...result.document } : result.document };
+  }
+
   _setupWebSocket() {
     const self = this;
 
@@ -1071,11 +3120,11 @@ class JSLiteDB extends EventEmitter {
       };
 
       // Export all collections
-      for (const [collectionName, collectionData] of this.collectionData) {
-        backupData.collections[collectionName] = Object.fromEntries(collectionData);
+      for (const collectionName of this._getCollectionNames()) {
+        backupData.collections[collectionName] = Object.fromEntries(await this._peekCollection(collectionName));
       }
 
-      await fs.writeFile(backupPath, JSON.stringify(backupData, null, 2), "utf8");
+      await AtomicFile.write(backupPath, JSON.stringify(backupData, null, 2), { syncDirectory: this.fsyncDirectory });
       this.emit("backup", { backupPath }); // Emit event only after successful backup
     } catch (error) {
       throw new Error(`Failed to backup data: ${error.message}`);
@@ -1083,70 +3132,108 @@ class JSLiteDB extends EventEmitter {
   }
 
   /**
-   * Restore data from a backup file
+   * Restore data from a backup file. Runs under the write mutex and removes the journal of every collection,
+   * loaded or not, so no journal is replayed over the restored files. Collections missing from the backup
+   * lose their options and indexes.
    * @param {string} backupPath - Path to backup file
    */
   async restore(backupPath) {
-    // Store current state for potential rollback
-    const oldCollectionData = new Map(this.collectionData);
-    const oldCollectionFiles = new Map(this.collectionFiles);
-
+    let backupData;
     try {
       const content = await fs.readFile(backupPath, "utf8");
-      const backupData = JSON.parse(content);
+      backupData = JSON.parse(content);
 
       await this._ensureInitialized();
+    } catch (error) {
+      throw new Error(`Failed to restore data: ${error.message}`);
+    }
 
-      // Clear current data
-      this.collectionData.clear();
-      this.collectionFiles.clear();
-      this.cache.clear();
-
-      // Handle different backup formats
-      if (backupData.folderBased && backupData.collections) {
-        // New folder-based forma
-        for (const [collectionName, collectionDoc] of Object.entries(backupData.collections)) {
-          const dataMap = new Map();
-          for (const [id, document] of Object.entries(collectionDoc)) {
-            dataMap.set(id, document);
-          }
+    // Handle different backup formats: folder-based, or legacy key-value restored to the _default collection
+    const collections = backupData.folderBased && backupData.collections
+      ? backupData.collections
+      : { _default: backupData };
+    const restoredNames = new Set(Object.keys(collections));
 
-          this.collectionData.set(collectionName, dataMap);
-          await this._saveCollection(collectionName);
+    await this._acquireWriteMutex(async () => {
+      // Store current state for potential rollback
+      const oldCollectionData = new Map(this.collectionData);
+      const oldCollectionFiles = new Map(this.collectionFiles);
+      const oldCollectionOptions = new Map(this.collectionOptions);
+      const oldIndexes = new Map(this.indexes);
+
+      try {
+        // Clear current data
+        this.collectionData.clear();
+        this.collectionFiles.clear();
+        this.collectionAccess.clear();
+        this.documentCounts.clear();
+        this.writeQueue.clear();
+        this.dirtyCollections.clear();
+        this.schemaValidators.clear();
+        this.cache.clear();
+
+        for (const collectionName of Array.from(this.collectionOptions.keys())) {
+          if (!restoredNames.has(collectionName)) this.collectionOptions.delete(collectionName);
         }
-      } else {
-        // Legacy key-value format - restore to _default collection
-        const dataMap = new Map();
-        for (const [key, value] of Object.entries(backupData)) {
-          dataMap.set(key, value);
+        for (const collectionName of Array.from(this.indexes.keys())) {
+          if (!restoredNames.has(collectionName)) this.indexes.delete(collectionName);
         }
 
-        this.collectionData.set('_default', dataMap);
-        await this._saveCollection('_default');
-      }
+        for (const [collectionName, collectionDoc] of Object.entries(collections)) {
+          this.collectionData.set(collectionName, new Map(Object.entries(collectionDoc)));
+          await this._saveCollection(collectionName);
+        }
 
-      // Save collection index
-      await this._saveCollectionIndex();
+        // Journals of unloaded collections are not tracked in journalEntries, so look for them on disk
+        for (const file of await fs.readdir(this.folderPath)) {
+          if (file.endsWith(JOURNAL_SUFFIX)) {
+            await this._removeJournal(file.slice(0, -JOURNAL_SUFFIX.length));
+          }
+        }
+        this.journalEntries.clear();
 
-      // Emit event only after successful restore and save
-      this.emit("restore", { backupPath });
+        this._rebuildAllIndexes();
 
-    } catch (error) {
-      // Rollback changes if restore failed
-      this.collectionData = oldCollectionData;
-      this.collectionFiles = oldCollectionFiles;
+        // Save collection index
+        await this._saveCollectionIndex();
+      } catch (error) {
+        // Rollback changes if restore failed
+        this.collectionData = oldCollectionData;
+        this.collectionFiles = oldCollectionFiles;
+        this.collectionOptions = oldCollectionOptions;
+        this.indexes = oldIndexes;
+        this._rebuildAllIndexes();
+
+        throw new Error(`Failed to restore data: ${error.message}`);
+      }
+    });
 
-      throw new Error(`Failed to restore data: ${error.message}`);
-    }
+    // Emit event only after successful restore and save
+    this.emit("restore", { backupPath });
   }
 }
 
 // Export utilities for advanced usage
 JSLiteDB.IndexSystem = IndexSystem;
+JSLiteDB.SortedIndex = SortedIndex;
 JSLiteDB.Logger = Logger;
 JSLiteDB.Validator = Validator;
 JSLiteDB.WriteMutex = WriteMutex;
 JSLiteDB.Collection = Collection;
 JSLiteDB.QueryResult = QueryResult;
+JSLiteDB.QueryMatcher = QueryMatcher;
+JSLiteDB.AtomicFile = AtomicFile;
+JSLiteDB.LRUCache = LRUCache;
+JSLiteDB.UpdateOperators = UpdateOperators;
+JSLiteDB.Transaction = Transaction;
+JSLiteDB.SchemaValidator = SchemaValidator;
+JSLiteDB.MigrationRunner = MigrationRunner;
+JSLiteDB.AggregationPipeline = AggregationPipeline;
+JSLiteDB.JSLiteDBError = JSLiteDBError;
+JSLiteDB.UniqueConstraintError = UniqueConstraintError;
+JSLiteDB.ConflictError = ConflictError;
+JSLiteDB.ValidationError = ValidationError;
+JSLiteDB.UpdateOperatorError = UpdateOperatorError;
+JSLiteDB.MigrationError = MigrationError;
 
 module.exports = JSLiteDB;
\ No newline at end of file
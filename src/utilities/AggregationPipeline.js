@@ -0,0 +1,690 @@
+const QueryMatcher = require('./QueryMatcher');
+const SortedIndex = require('./SortedIndex');
+const Validator = require('./Validator');
+
+/**
+ * AggregationPipeline - Runs serializable MongoDB-style aggregation pipelines over documents
+ * Stages: $match, $sort, $skip, $limit, $group (with $sum, $avg, $min, $max, $count, $first, $last,
+ * $push and $addToSet accumulators), $project, $unwind, $addFields, $count, $facet and $lookup.
+ * The original { type } stages (match, sort, skip, limit and a final group) are accepted as well.
+ * Stages never modify their input documents: changed documents are copied along the changed paths.
+ */
+class AggregationPipeline {
+  /**
+   * Create a pipeline
+   * @param {Object[]} pipeline - Pipeline stages, e.g. [{ $match: { paid: true } }, { $group: { _id: '$country', total: { $sum: '$amount' } } }]
+   * @param {Object} [options={}] - Pipeline options
+   * @param {boolean} [options.allowFunctions=false] - Accept filter functions in match stages (not serializable)
+   * @throws {Error} If the pipeline is invalid
+   */
+  constructor(pipeline, options = {}) {
+    const validation = Validator.validatePipeline(pipeline, { allowFunctions: options.allowFunctions === true });
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    this.ignoredStages = [];
+    this.stages = AggregationPipeline._normalizeStages(pipeline, this.ignoredStages);
+  }
+
+  /**
+   * Run the pipeline over documents
+   * @param {Object[]} documents - Input documents (with their id)
+   * @param {Object} [options={}] - Run options
+   * @param {number} [options.startAt=0] - Index of the first stage to run, when the stages before it were
+   * already applied to the documents (e.g. by an index-assisted find)
+   * @param {Function} [options.lookup] - async (collectionName) => documents, required by $lookup stages
+   * @returns {Array|Object} Result documents (an object of document arrays for a final { type: 'group' } stage)
+   * @throws {Error} If a stage fails, e.g. when an expression divides by zero
+   */
+  async run(documents, options = {}) {
+    const context = { lookup: options.lookup, collections: new Map() };
+    return this._runStages(this.stages.slice(options.startAt || 0), documents, context);
+  }
+
+  /**
+   * Evaluate an aggregation expression against a document
+   * @param {*} expression - "$field.path" reference, operator object (e.g. { $multiply: ['$price', '$qty'] }),
+   * array or object of expressions, or a literal
+   * @param {Object} document - Document the field references resolve against
+   * @returns {*} The value
+   * @throws {Error} If an operator does not fit its operands (e.g. $add on a string)
+   */
+  static evaluate(expression, document) {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+      return AggregationPipeline._getValue(document, expression.slice(1));
+    }
+
+    if (Array.isArray(expression)) {
+      return expression.map(item => AggregationPipeline.evaluate(item, document));
+    }
+
+    if (!QueryMatcher._isPlainObject(expression)) {
+      return expression;
+    }
+
+    const [operator] = Object.keys(expression);
+    if (operator === undefined || !operator.startsWith('$')) {
+      const result = {};
+      for (const [key, value] of Object.entries(expression)) {
+        result[key] = AggregationPipeline.evaluate(value, document);
+      }
+      return result;
+    }
+
+    return AggregationPipeline._evaluateOperator(operator, expression[operator], document);
+  }
+
+  /**
+   * Project a document like a $project stage: { name: 1, 'address.city': 1 } keeps only these fields (and id),
+   * { blob: 0 } removes fields, and expression values add computed fields
+   * @param {Object} document - Document to project
+   * @param {Object} projection - Projection specification
+   * @returns {Object} The projected document
+   */
+  static project(document, projection) {
+    const isExcluded = value => value === 0 || value === false;
+    const exclusion = Object.entries(projection).every(([field, value]) => field === 'id' || isExcluded(value)) &&
+      Object.values(projection).some(isExcluded);
+
+    if (exclusion) {
+      const result = { ...document };
+      for (const field of Object.keys(projection)) {
+        AggregationPipeline._removePath(result, field.split('.'));
+      }
+      return result;
+    }
+
+    const result = {};
+    if (!isExcluded(projection.id) && document.id !== undefined) {
+      result.id = document.id;
+    }
+
+    for (const [field, value] of Object.entries(projection)) {
+      if (value === 1 || value === true) {
+        AggregationPipeline._includePath(document, result, field.split('.'));
+      } else if (!isExcluded(value)) {
+        AggregationPipeline._setValue(result, field, AggregationPipeline.evaluate(value, document));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Run stages one after the other
+   * @private
+   * @param {Object[]} stages - Normalized stages as { index, operator, spec }
+   * @param {Object[]} documents - Input documents
+   * @param {Object} context - Run context as { lookup, collections }
+   * @returns {Array|Object} Result of the last stage
+   */
+  async _runStages(stages, documents, context) {
+    let result = documents;
+
+    for (const stage of stages) {
+      try {
+        result = await this._runStage(stage, result, context);
+      } catch (error) {
+        throw new Error(`Aggregation stage ${stage.index} (${stage.operator}) failed: ${error.message}`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Run a single stage
+   * @private
+   * @param {Object} stage - Normalized stage as { index, operator, spec }
+   * @param {Object[]} documents - Input documents
+   * @param {Object} context - Run context as { lookup, collections }
+   * @returns {Array|Object} Stage result
+   */
+  async _runStage({ operator, spec }, documents, context) {
+    switch (operator) {
+      case '$match': {
+        if (typeof spec === 'function') {
+          return documents.filter(spec);
+        }
+        const matcher = new QueryMatcher(spec);
+        return documents.filter(document => matcher.matches(document, document.id));
+      }
+
+      case '$sort': {
+        const fields = Object.entries(spec).map(([field, direction]) => ({
+          field,
+          descending: direction === -1 || direction === 'desc'
+        }));
+
+        return documents.slice().sort((a, b) => {
+          for (const { field, descending } of fields) {
+            const comparison = SortedIndex.compareValues(
+              AggregationPipeline._getValue(a, field),
+              AggregationPipeline._getValue(b, field)
+            );
+            if (comparison !== 0) return descending ? -comparison : comparison;
+          }
+          return 0;
+        });
+      }
+
+      case '$skip':
+        return documents.slice(spec);
+
+      case '$limit':
+        return documents.slice(0, spec);
+
+      case '$group':
+        return this._group(documents, spec);
+
+      case '$project':
+        return documents.map(document => AggregationPipeline.project(document, spec));
+
+      case '$addFields':
+        return documents.map(document => {
+          const result = { ...document };
+          for (const [field, expression] of Object.entries(spec)) {
+            // Every expression sees the input document, not the fields added before it
+            AggregationPipeline._setValue(result, field, AggregationPipeline.evaluate(expression, document));
+          }
+          return result;
+        });
+
+      case '$unwind':
+        return this._unwind(documents, typeof spec === 'string' ? { path: spec } : spec);
+
+      case '$count':
+        return [{ [spec]: documents.length }];
+
+      case '$facet': {
+        const result = {};
+        for (const [name, stages] of Object.entries(spec)) {
+          result[name] = await this._runStages(stages, documents, context);
+        }
+        return [result];
+      }
+
+      case '$lookup':
+        return this._lookup(documents, spec, context);
+
+      case 'group': {
+        const groups = {};
+        for (const document of documents) {
+          const groupKey = AggregationPipeline._getValue(document, spec);
+          const key = groupKey !== undefined ? String(groupKey) : 'undefined';
+          if (!groups[key]) groups[key] = [];
+          groups[key].push(document);
+        }
+        return groups;
+      }
+    }
+
+    return documents;
+  }
+
+  /**
+   * Group documents by the _id expression and compute the accumulators of every group
+   * @private
+   * @param {Object[]} documents - Input documents
+   * @param {Object} spec - $group specification
+   * @returns {Object[]} One document per group as { _id, ...accumulated values }, in order of first appearance
+   */
+  _group(documents, spec) {
+    const accumulators = Object.entries(spec)
+      .filter(([field]) => field !== '_id')
+      .map(([field, accumulator]) => {
+        const [operator] = Object.keys(accumulator);
+        return { field, operator, argument: accumulator[operator] };
+      });
+
+    const groups = new Map();
+
+    for (const document of documents) {
+      const id = AggregationPipeline.evaluate(spec._id, document);
+      const key = AggregationPipeline._valueKey(id);
+
+      if (!groups.has(key)) {
+        groups.set(key, { id, states: accumulators.map(() => ({ count: 0, value: undefined, values: [] })) });
+      }
+
+      const { states } = groups.get(key);
+      accumulators.forEach(({ operator, argument }, i) => {
+        AggregationPipeline._accumulate(operator, states[i], AggregationPipeline.evaluate(argument, document));
+      });
+    }
+
+    return Array.from(groups.values(), ({ id, states }) => {
+      const result = { _id: id === undefined ? null : id };
+      accumulators.forEach(({ field, operator }, i) => {
+        result[field] = AggregationPipeline._finalize(operator, states[i]);
+      });
+      return result;
+    });
+  }
+
+  /**
+   * Add a value to the state of an accumulator
+   * @private
+   * @param {string} operator - Accumulator, e.g. "$sum"
+   * @param {Object} state - Accumulator state as { count, value, values }
+   * @param {*} value - Evaluated accumulator argument
+   */
+  static _accumulate(operator, state, value) {
+    const isMissing = value === undefined || value === null;
+
+    switch (operator) {
+      case '$sum':
+      case '$avg':
+        // Non-numeric values are ignored, like MongoDB does
+        if (typeof value === 'number') {
+          state.value = (state.value || 0) + value;
+          state.count++;
+        }
+        break;
+      case '$count':
+        state.count++;
+        break;
+      case '$min':
+      case '$max':
+        if (!isMissing) {
+          const comparison = state.count === 0 ? 0 : SortedIndex.compareValues(value, state.value);
+          if (state.count === 0 || (operator === '$min' ? comparison < 0 : comparison > 0)) {
+            state.value = value;
+          }
+          state.count++;
+        }
+        break;
+      case '$first':
+        if (state.count === 0) state.value = value;
+        state.count++;
+        break;
+      case '$last':
+        state.value = value;
+        break;
+      case '$push':
+        if (value !== undefined) state.values.push(value);
+        break;
+      case '$addToSet':
+        if (value !== undefined && !state.values.some(item => QueryMatcher.equals(item, value))) {
+          state.values.push(value);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Get the final value of an accumulator
+   * @private
+   * @param {string} operator - Accumulator, e.g. "$avg"
+   * @param {Object} state - Accumulator state as { count, value, values }
+   * @returns {*} Accumulated value
+   */
+  static _finalize(operator, state) {
+    switch (operator) {
+      case '$sum':
+        return state.value || 0;
+      case '$avg':
+        return state.count > 0 ? state.value / state.count : null;
+      case '$count':
+        return state.count;
+      case '$push':
+      case '$addToSet':
+        return state.values;
+      default:
+        return state.value === undefined ? null : state.value;
+    }
+  }
+
+  /**
+   * Output a document for every element of an array field
+   * @private
+   * @param {Object[]} documents - Input documents
+   * @param {Object} options - $unwind options as { path, preserveNullAndEmptyArrays, includeArrayIndex }
+   * @returns {Object[]} Unwound documents
+   */
+  _unwind(documents, options) {
+    const field = options.path.slice(1);
+    const results = [];
+
+    const output = (document, value, index) => {
+      const result = { ...document };
+      if (value !== undefined) AggregationPipeline._setValue(result, field, value);
+      if (options.includeArrayIndex) AggregationPipeline._setValue(result, options.includeArrayIndex, index);
+      results.push(result);
+    };
+
+    for (const document of documents) {
+      const value = AggregationPipeline._getValue(document, field);
+
+      if (Array.isArray(value) && value.length > 0) {
+        value.forEach((item, index) => output(document, item, index));
+      } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+        // A value that is not an array is treated as a single element array
+        output(document, undefined, null);
+      } else if (options.preserveNullAndEmptyArrays) {
+        output(document, undefined, null);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Join the documents of another collection whose foreignField equals the localField
+   * (an array on either side matches any of its elements)
+   * @private
+   * @param {Object[]} documents - Input documents
+   * @param {Object} spec - $lookup specification as { from, localField, foreignField, as }
+   * @param {Object} context - Run context as { lookup, collections }
+   * @returns {Object[]} Documents with the matching foreign documents in the as field
+   */
+  async _lookup(documents, spec, context) {
+    if (typeof context.lookup !== 'function') {
+      throw new Error('$lookup requires a lookup function to load collections');
+    }
+
+    if (!context.collections.has(spec.from)) {
+      context.collections.set(spec.from, await context.lookup(spec.from));
+    }
+
+    const keysOf = value => (Array.isArray(value) ? value : [value]).map(item => AggregationPipeline._valueKey(item));
+    const foreignByKey = new Map();
+
+    for (const foreign of context.collections.get(spec.from)) {
+      for (const key of new Set(keysOf(AggregationPipeline._getValue(foreign, spec.foreignField)))) {
+        if (!foreignByKey.has(key)) foreignByKey.set(key, []);
+        foreignByKey.get(key).push(foreign);
+      }
+    }
+
+    return documents.map(document => {
+      const matches = new Set();
+      for (const key of keysOf(AggregationPipeline._getValue(document, spec.localField))) {
+        for (const foreign of foreignByKey.get(key) || []) matches.add(foreign);
+      }
+
+      const result = { ...document };
+      AggregationPipeline._setValue(result, spec.as, Array.from(matches));
+      return result;
+    });
+  }
+
+  /**
+   * Evaluate an operator expression
+   * @private
+   * @param {string} operator - Expression operator, e.g. "$add"
+   * @param {*} argument - Operator argument
+   * @param {Object} document - Document the field references resolve against
+   * @returns {*} The value
+   */
+  static _evaluateOperator(operator, argument, document) {
+    if (operator === '$literal') return argument;
+
+    if (operator === '$cond') {
+      const [condition, then, otherwise] = Array.isArray(argument) ? argument : [argument.if, argument.then, argument.else];
+      return AggregationPipeline._isTruthy(AggregationPipeline.evaluate(condition, document))
+        ? AggregationPipeline.evaluate(then, document)
+        : AggregationPipeline.evaluate(otherwise, document);
+    }
+
+    const values = AggregationPipeline.evaluate(argument, document);
+    // Single operand operators also accept their operand wrapped in an array, e.g. { $toUpper: ['$name'] }
+    const operand = Array.isArray(argument) && argument.length === 1 ? values[0] : values;
+    const isMissing = value => value === undefined || value === null;
+    const numbers = () => {
+      if (values.some(isMissing)) return null;
+      const invalid = values.find(value => typeof value !== 'number');
+      if (invalid !== undefined) {
+        throw new Error(`${operator} only supports numbers, got ${typeof invalid}`);
+      }
+      return values;
+    };
+
+    switch (operator) {
+      case '$add':
+      case '$multiply': {
+        const operands = numbers();
+        if (operands === null) return null;
+        return operator === '$add'
+          ? operands.reduce((sum, value) => sum + value, 0)
+          : operands.reduce((product, value) => product * value, 1);
+      }
+      case '$subtract':
+      case '$divide':
+      case '$mod': {
+        const operands = numbers();
+        if (operands === null) return null;
+        const [a, b] = operands;
+        if (operator === '$subtract') return a - b;
+        if (b === 0) throw new Error(`${operator} by zero`);
+        return operator === '$divide' ? a / b : a % b;
+      }
+      case '$concat': {
+        if (values.some(isMissing)) return null;
+        const invalid = values.find(value => typeof value !== 'string');
+        if (invalid !== undefined) {
+          throw new Error(`$concat only supports strings, got ${typeof invalid}`);
+        }
+        return values.join('');
+      }
+      case '$toLower':
+        return isMissing(operand) ? '' : String(operand).toLowerCase();
+      case '$toUpper':
+        return isMissing(operand) ? '' : String(operand).toUpperCase();
+      case '$ifNull':
+        return isMissing(values[0]) ? values[1] : values[0];
+      case '$eq':
+        return QueryMatcher.equals(values[0] === undefined ? null : values[0], values[1] === undefined ? null : values[1]);
+      case '$ne':
+        return !QueryMatcher.equals(values[0] === undefined ? null : values[0], values[1] === undefined ? null : values[1]);
+      case '$gt':
+        return SortedIndex.compareValues(values[0], values[1]) > 0;
+      case '$gte':
+        return SortedIndex.compareValues(values[0], values[1]) >= 0;
+      case '$lt':
+        return SortedIndex.compareValues(values[0], values[1]) < 0;
+      case '$lte':
+        return SortedIndex.compareValues(values[0], values[1]) <= 0;
+      case '$in':
+        if (!Array.isArray(values[1])) {
+          throw new Error('$in requires an array as its second operand');
+        }
+        return values[1].some(item => QueryMatcher.equals(item, values[0]));
+      case '$and':
+        return values.every(value => AggregationPipeline._isTruthy(value));
+      case '$or':
+        return values.some(value => AggregationPipeline._isTruthy(value));
+      case '$not':
+        return !AggregationPipeline._isTruthy(operand);
+      case '$size':
+        if (!Array.isArray(operand)) {
+          throw new Error(`$size requires an array, got ${operand === null ? 'null' : typeof operand}`);
+        }
+        return operand.length;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Check whether an expression value counts as true (false, 0, null and missing values do not)
+   * @private
+   * @param {*} value - Value to check
+   * @returns {boolean} True if the value is truthy
+   */
+  static _isTruthy(value) {
+    return value !== false && value !== 0 && value !== null && value !== undefined;
+  }
+
+  /**
+   * Get the key that identifies equal values (missing values equal null)
+   * @private
+   * @param {*} value - Value
+   * @returns {string} Key
+   */
+  static _valueKey(value) {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  /**
+   * Extract a value using a dot notation path. Numeric segments index arrays, and other segments
+   * below an array collect the values of its object elements.
+   * @private
+   * @param {*} value - Value to extract from
+   * @param {string} pathStr - Dot notation path
+   * @returns {*} The extracted value or undefined
+   */
+  static _getValue(value, pathStr) {
+    const keys = pathStr.split('.');
+    let current = value;
+
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i];
+
+      if (Array.isArray(current) && !/^\d+$/.test(key)) {
+        const rest = keys.slice(i).join('.');
+        return current
+          .filter(item => QueryMatcher._isPlainObject(item))
+          .map(item => AggregationPipeline._getValue(item, rest))
+          .filter(item => item !== undefined);
+      }
+
+      if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, key)) {
+        return undefined;
+      }
+      current = current[key];
+    }
+
+    return current;
+  }
+
+  /**
+   * Set a value using a dot notation path, copying the nested objects along the path
+   * so that objects shared with the input document are never modified
+   * @private
+   * @param {Object} target - Object to set the value on (a copy owned by the caller)
+   * @param {string} pathStr - Dot notation path
+   * @param {*} value - Value to set
+   * @throws {Error} If the path contains a reserved segment (__proto__, constructor or prototype)
+   */
+  static _setValue(target, pathStr, value) {
+    const keys = pathStr.split('.');
+    const reserved = keys.find(key => Validator.isReservedPathSegment(key));
+    if (reserved) {
+      throw new Error(`Cannot set '${pathStr}': '${reserved}' is a reserved path segment`);
+    }
+
+    const field = keys.pop();
+    let current = target;
+
+    for (const key of keys) {
+      current[key] = QueryMatcher._isPlainObject(current[key]) ? { ...current[key] } : {};
+      current = current[key];
+    }
+
+    current[field] = value;
+  }
+
+  /**
+   * Copy the value at a path from a document to a projection result
+   * @private
+   * @param {Object} source - Document (or nested object) to copy from
+   * @param {Object} target - Projection result (or nested object) to copy to
+   * @param {string[]} keys - Path segments
+   */
+  static _includePath(source, target, keys) {
+    const [key, ...rest] = keys;
+    if (!QueryMatcher._isPlainObject(source) || !Object.prototype.hasOwnProperty.call(source, key)) return;
+
+    const value = source[key];
+
+    if (rest.length === 0) {
+      target[key] = value;
+    } else if (Array.isArray(value)) {
+      // Project every object element, merging with the paths included before
+      const existing = Array.isArray(target[key]) ? target[key] : [];
+      target[key] = value
+        .filter(item => QueryMatcher._isPlainObject(item))
+        .map((item, index) => {
+          const projected = QueryMatcher._isPlainObject(existing[index]) ? existing[index] : {};
+          AggregationPipeline._includePath(item, projected, rest);
+          return projected;
+        });
+    } else if (QueryMatcher._isPlainObject(value)) {
+      if (!QueryMatcher._isPlainObject(target[key])) target[key] = {};
+      AggregationPipeline._includePath(value, target[key], rest);
+    }
+  }
+
+  /**
+   * Remove the value at a path from a projection result, copying the nested objects along the path
+   * @private
+   * @param {Object} target - Projection result (a copy owned by the caller)
+   * @param {string[]} keys - Path segments
+   */
+  static _removePath(target, keys) {
+    const [key, ...rest] = keys;
+    if (!Object.prototype.hasOwnProperty.call(target, key)) return;
+
+    if (rest.length === 0) {
+      delete target[key];
+      return;
+    }
+
+    const removeFrom = item => {
+      if (!QueryMatcher._isPlainObject(item)) return item;
+      const copy = { ...item };
+      AggregationPipeline._removePath(copy, rest);
+      return copy;
+    };
+
+    target[key] = Array.isArray(target[key]) ? target[key].map(removeFrom) : removeFrom(target[key]);
+  }
+
+  /**
+   * Convert pipeline stages to { index, operator, spec } form, translating the original { type } stages
+   * and leaving out those of an unknown type
+   * @private
+   * @param {Object[]} pipeline - Validated pipeline stages
+   * @param {Object[]} [ignored=[]] - Receives the { type } stages left out
+   * @returns {Object[]} Normalized stages
+   */
+  static _normalizeStages(pipeline, ignored = []) {
+    const stages = pipeline.map((stage, index) => {
+      switch (stage.type) {
+        case 'match':
+          return { index, operator: '$match', spec: stage.filter || {} };
+        case 'sort':
+          return { index, operator: '$sort', spec: { [stage.field]: stage.direction === 'desc' ? -1 : 1 } };
+        case 'skip':
+        case 'limit':
+          return { index, operator: `$${stage.type}`, spec: stage.count };
+        case 'group':
+          return { index, operator: 'group', spec: stage.field };
+      }
+
+      const [operator] = Object.keys(stage);
+      const spec = stage[operator];
+
+      if (operator === undefined || !operator.startsWith('$')) {
+        ignored.push(stage);
+        return null;
+      }
+
+      if (operator === '$facet') {
+        const facets = {};
+        for (const [name, stages] of Object.entries(spec)) {
+          facets[name] = AggregationPipeline._normalizeStages(stages, ignored);
+        }
+        return { index, operator, spec: facets };
+      }
+
+      return { index, operator, spec };
+    });
+
+    return stages.filter(stage => stage !== null);
+  }
+}
+
+module.exports = AggregationPipeline;
\ No newline at end of file
@@ -0,0 +1,156 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const TEMP_FILE_PATTERN = /^(.+)\.\d+\.\d+\.tmp$/;
+
+let sequence = 0;
+
+/**
+ * AtomicFile - Crash-safe file writes
+ * Writes go to a temp file next to the target, are fsynced and then renamed over
+ * the target, so a crash leaves either the old or the new content, never a torn file.
+ */
+class AtomicFile {
+  /**
+   * Atomically replace the content of a file
+   * @param {string} filePath - Target file path
+   * @param {string} content - New file content
+   * @param {Object} [options={}] - Write options
+   * @param {boolean} [options.syncDirectory=false] - Also fsync the parent directory so the rename itself is durable
+   */
+  static async write(filePath, content, options = {}) {
+    const tempPath = `${filePath}.${process.pid}.${sequence++}.tmp`;
+
+    try {
+      const handle = await fs.open(tempPath, 'w');
+      try {
+        await handle.writeFile(content, 'utf8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+
+    if (options.syncDirectory) {
+      await AtomicFile.syncDirectory(path.dirname(filePath));
+    }
+  }
+
+  /**
+   * Append content to a file and fsync it. A failed append is cut off again, so the next one
+   * does not continue a partial write.
+   * @param {string} filePath - Target file path
+   * @param {string} content - Content to append
+   * @param {Object} [options={}] - Write options
+   * @param {boolean} [options.syncDirectory=false] - Also fsync the parent directory (only needed when the file is created)
+   */
+  static async append(filePath, content, options = {}) {
+    const handle = await fs.open(filePath, 'a');
+    let created = false;
+
+    try {
+      const { size } = await handle.stat();
+      created = size === 0;
+
+      try {
+        await handle.appendFile(content, 'utf8');
+        await handle.sync();
+      } catch (error) {
+        await handle.truncate(size).catch(() => {});
+        throw error;
+      }
+    } finally {
+      await handle.close();
+    }
+
+    if (options.syncDirectory && created) {
+      await AtomicFile.syncDirectory(path.dirname(filePath));
+    }
+  }
+
+  /**
+   * Flush a directory entry table to disk
+   * @param {string} dirPath - Directory path
+   */
+  static async syncDirectory(dirPath) {
+    let handle;
+    try {
+      handle = await fs.open(dirPath, 'r');
+      await handle.sync();
+    } catch (error) {
+      // Directories cannot be opened or synced on some platforms (e.g. Windows)
+      if (!['EISDIR', 'EPERM', 'EINVAL', 'EBADF'].includes(error.code)) throw error;
+    } finally {
+      if (handle) await handle.close();
+    }
+  }
+
+  /**
+   * Check whether a file name is a temp file left by write()
+   * @param {string} fileName - File name
+   * @returns {boolean} True for temp files
+   */
+  static isTempFile(fileName) {
+    return TEMP_FILE_PATTERN.test(fileName);
+  }
+
+  /**
+   * Recover temp files left in a directory by interrupted writes.
+   * A temp file holding valid content was fully written before the crash and is renamed
+   * over its target (the newest one wins); anything else is discarded.
+   * @param {string} dirPath - Directory to scan
+   * @param {Object} [options={}] - Recovery options
+   * @param {Function} [options.validate] - (content) => void, throws if the content is not valid
+   * @returns {Object[]} Recovered files as { file, target, action: 'restored' | 'discarded' }
+   */
+  static async recover(dirPath, options = {}) {
+    const validate = options.validate || (() => {});
+
+    let files;
+    try {
+      files = await fs.readdir(dirPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const tempFiles = [];
+    for (const file of files) {
+      const match = TEMP_FILE_PATTERN.exec(file);
+      if (!match) continue;
+
+      const filePath = path.join(dirPath, file);
+      const { mtimeMs } = await fs.stat(filePath);
+      tempFiles.push({ file, filePath, target: match[1], mtimeMs });
+    }
+
+    tempFiles.sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+    const results = [];
+    for (const { file, filePath, target } of tempFiles) {
+      let valid = true;
+      try {
+        validate(await fs.readFile(filePath, 'utf8'));
+      } catch (error) {
+        valid = false;
+      }
+
+      if (valid) {
+        await fs.rename(filePath, path.join(dirPath, target));
+      } else {
+        await fs.unlink(filePath);
+      }
+
+      results.push({ file, target, action: valid ? 'restored' : 'discarded' });
+    }
+
+    return results;
+  }
+}
+
+module.exports = AtomicFile;
\ No newline at end of file
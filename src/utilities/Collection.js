@@ -1,256 +1,561 @@
-const fs = require("fs").promises;
+const AggregationPipeline = require("./AggregationPipeline");
+const IndexSystem = require("./IndexSystem");
+const QueryMatcher = require("./QueryMatcher");
+const SortedIndex = require("./SortedIndex");
+const UpdateOperators = require("./UpdateOperators");
+const Validator = require("./Validator");
+const { ConflictError, ValidationError } = require("./Errors");
+
+const WRITE_OPERATIONS = ['insert', 'update', 'updateOne', 'patch', 'delete'];
 
 /**
  * Collection class - Represents a collection within JSLiteDB
  * Provides methods for CRUD operations on documents within a collection
  */
 class Collection {
-  constructor(db, name) {
+  /**
+   * @param {JSLiteDB} db - Database instance
+   * @param {string} name - Collection name
+   * @param {Transaction} [transaction=null] - Transaction the writes of this collection interface belong to
+   */
+  constructor(db, name, transaction = null) {
     this.db = db;
     this.name = name;
+    this.transaction = transaction;
   }
 
   /**
    * Insert a document into the collection
    * @param {Object|string|number} documentOrId - Document data (if no ID provided) or Document ID
-   * @param {Object} [document] - Document data (if ID is provided as first parameter)
+   * @param {Object} [document] - Document data (if ID is provided as first parameter), otherwise write options
+   * @param {Object} [options={}] - Write options (if ID is provided as first parameter)
+   * @param {boolean} [options.durable=false] - With the write queue or autosave enabled, resolve only once the write is on disk
+   * @param {*} [options.user] - Identity stored in createdBy/updatedBy (see the userStamps collection option)
    * @returns {Object} The inserted document with its ID
    */
-  async insert(documentOrId, document) {
-    await this.db._ensureInitialized();
+  async insert(documentOrId, document, options = {}) {
+    let id;
+    let doc;
 
-    return await this.db.writeMutex.acquire(async () => {
-      let id;
-      let doc;
-
-      // Handle different parameter combinations
-      if (document === undefined) {
-        // insert(document) - auto-generate ID
-        doc = documentOrId;
-        id = this.db._generateId();
-      } else {
-        // insert(id, document) - use provided ID
-        id = documentOrId;
-        doc = document;
-      }
+    // Handle different parameter combinations
+    if (document === undefined || (typeof documentOrId === 'object' && documentOrId !== null)) {
+      // insert(document[, options]) - auto-generate ID
+      doc = documentOrId;
+      options = document || {};
+      id = this.db._generateId();
+    } else {
+      // insert(id, document[, options]) - use provided ID
+      id = documentOrId;
+      doc = document;
+    }
 
-      const stringId = String(id);
+    const result = await this._writeOne({ op: 'insert', id, document: doc }, options);
+    return { id, ...result.document };
+  }
 
-      // Get or create collection data
-      let collectionData = this.db.collectionData.get(this.name);
-      if (!collectionData) {
-        collectionData = await this.db._loadCollection(this.name);
-      }
+  /**
+   * Update a document (upsert)
+   * @param {string|number} id - Document ID
+   * @param {Object} document - Document data
+   * @param {Object} [options={}] - Write options
+   * @param {boolean} [options.durable=false] - With the write queue or autosave enabled, resolve only once the write is on disk
+   * @param {number} [options.expectedRev] - Only write if the document is at this revision (see the revisions collection option)
+   * @param {*} [options.user] - Identity stored in createdBy/updatedBy (see the userStamps collection option)
+   * @returns {Object} The updated documen
+   * @throws {ConflictError} If expectedRev is not the current revision of the document
+   */
+  async update(id, document, options = {}) {
+    const result = await this._writeOne({ op: 'update', id, document, expectedRev: options.expectedRev }, options);
+    return result.document;
+  }
 
-      // Check if document already exists
-      if (collectionData.has(stringId)) {
-        throw new Error(`Document with id '${id}' already exists in collection '${this.name}'`);
-      }
+  /**
+   * Update fields of a document with update operators, atomically under the write mutex
+   * @param {string|number} id - Document ID
+   * @param {Object} update - Update operators, e.g. { $set: { name: 'x' }, $unset: { temp: '' }, $inc: { visits: 1 },
+   * $push: { tags: 'new' }, $pull: { tags: 'old' } }
+   * @param {Object} [options={}] - Write options
+   * @param {boolean} [options.upsert=false] - Apply the update to an empty document if the document does not exist
+   * @param {boolean} [options.durable=false] - With the write queue or autosave enabled, resolve only once the write is on disk
+   * @param {number} [options.expectedRev] - Only write if the document is at this revision
+   * @param {*} [options.user] - Identity stored in createdBy/updatedBy (see the userStamps collection option)
+   * @returns {Object|null} The updated document, or null if it does not exist
+   * @throws {Error} If the update is invalid or does not fit the document (e.g. $inc on a string)
+   * @throws {ConflictError} If expectedRev is not the current revision of the document
+   */
+  async updateOne(id, update, options = {}) {
+    new UpdateOperators(update); // Validate before taking the write lock
 
-      // Add document to collection
-      collectionData.set(stringId, doc);
+    const result = await this._writeOne({
+      op: 'updateOne', id, update, upsert: options.upsert, expectedRev: options.expectedRev
+    }, options);
+    return result.document || null;
+  }
 
-      // Update cache
-      this.db._addToCache(`${this.name}:${id}`, doc);
+  /**
+   * Apply a JSON Merge Patch (RFC 7386) to a document, atomically under the write mutex
+   * @param {string|number} id - Document ID
+   * @param {Object} patch - Merge patch: null removes a field, objects are merged and other values replace fields
+   * @param {Object} [options={}] - Write options (see updateOne)
+   * @returns {Object|null} The patched document, or null if it does not exist
+   */
+  async patch(id, patch, options = {}) {
+    if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+      throw new Error('Merge patch must be an object');
+    }
 
-      // Save collection to file
-      await this.db._saveCollection(this.name);
-      await this.db._saveCollectionIndex();
+    const result = await this._writeOne({
+      op: 'patch', id, patch, upsert: options.upsert, expectedRev: options.expectedRev
+    }, options);
+    return result.document || null;
+  }
 
-      this.db.emit('collection:insert', { collection: this.name, id, document: doc });
+  /**
+   * Insert several documents with a single write lock acquisition and a single persist.
+   * A document with an "id" field is stored under that ID, others get a generated ID.
+   * @param {Object[]} documents - Documents to insert
+   * @param {Object} [options={}] - Bulk write options (see bulkWrite)
+   * @returns {Object} Bulk write result (see bulkWrite)
+   */
+  async insertMany(documents, options = {}) {
+    if (!Array.isArray(documents)) {
+      throw new Error('insertMany requires an array of documents');
+    }
 
-      return { id, ...doc };
-    });
+    const operations = documents.map(document => ({
+      op: 'insert',
+      id: document && document.id !== undefined ? document.id : undefined,
+      document
+    }));
+
+    return this._write(() => operations, options);
   }
 
   /**
-   * Update a document (upsert)
-   * @param {string|number} id - Document ID
-   * @param {Object} document - Document data
-   * @returns {Object} The updated documen
+   * Apply update operators to every document matching a filter, with a single persist
+   * @param {Function|Object} filter - Filter function or query object (an empty query matches every document)
+   * @param {Object} update - Update operators (see updateOne)
+   * @param {Object} [options={}] - Bulk write options (see bulkWrite)
+   * @returns {Object} Bulk write result with one entry per matching document (see bulkWrite)
+   * @throws {Error} If the update is invalid
    */
-  async update(id, document) {
-    await this.db._ensureInitialized();
+  async updateMany(filter, update, options = {}) {
+    new UpdateOperators(update); // Validate before taking the write lock
 
-    return await this.db.writeMutex.acquire(async () => {
-      const stringId = String(id);
+    return this._write(collectionData =>
+      this._getMatchingIds(collectionData, filter).map(id => ({ op: 'updateOne', id, update })), options);
+  }
 
-      // Get or create collection data
-      let collectionData = this.db.collectionData.get(this.name);
-      if (!collectionData) {
-        collectionData = await this.db._loadCollection(this.name);
-      }
+  /**
+   * Delete every document matching a filter, with a single persist
+   * @param {Function|Object} filter - Filter function or query object (an empty query matches every document)
+   * @param {Object} [options={}] - Bulk write options (see bulkWrite)
+   * @returns {Object} Bulk write result with one entry per deleted document (see bulkWrite)
+   */
+  async deleteMany(filter, options = {}) {
+    return this._write(collectionData =>
+      this._getMatchingIds(collectionData, filter).map(id => ({ op: 'delete', id })), options);
+  }
 
-      // Update document in collection
-      collectionData.set(stringId, document);
+  /**
+   * Run a batch of mixed write operations with a single write lock acquisition and a single persist
+   * @param {Object[]} operations - Operations, each one of:
+   * { op: 'insert', id?, document }, { op: 'update', id, document } (replace or create),
+   * { op: 'updateOne', id, update, upsert? }, { op: 'patch', id, patch, upsert? } or { op: 'delete', id };
+   * every operation but insert also accepts expectedRev (see update)
+   * @param {Object} [options={}] - Bulk write options
+   * @param {boolean} [options.ordered=true] - Stop at the first failed operation; when false, failed operations are skipped
+   * @param {boolean} [options.durable=false] - With the write queue or autosave enabled, resolve only once the writes are on disk
+   * @param {*} [options.user] - Identity stored in createdBy/updatedBy of the written documents
+   * @returns {Object} Result as { results, insertedIds, insertedCount, modifiedCount, deletedCount, errorCount }, where
+   * results holds { index, op, id, success, matched, document?, error? } for each executed operation.
+   * Updates and deletes of missing documents succeed with matched: false.
+   */
+  async bulkWrite(operations, options = {}) {
+    if (!Array.isArray(operations)) {
+      throw new Error('bulkWrite requires an array of operations');
+    }
 
-      // Update cache
-      this.db._addToCache(`${this.name}:${id}`, document);
+    return this._write(() => operations, options);
+  }
 
-      // Save collection to file
-      await this.db._saveCollection(this.name);
-      await this.db._saveCollectionIndex();
+  /**
+   * Get the options of this collection (see JSLiteDB#collection)
+   * @returns {Object} Collection options
+   */
+  getOptions() {
+    return { ...this.db._getCollectionOptions(this.name) };
+  }
 
-      this.db.emit('collection:update', { collection: this.name, id, document });
+  /**
+   * Set the JSON Schema that inserted and updated documents must match, and persist it in the metadata file.
+   * Documents already in the collection are not revalidated.
+   * @param {Object|boolean|null} schema - JSON Schema (null removes the schema)
+   * @param {Object} [options={}] - Schema validation options
+   * @param {boolean} [options.useDefaults=true] - Fill in missing properties from their "default"
+   * @param {boolean|string} [options.coerceTypes=false] - Convert values to the expected types (e.g. "42" to 42);
+   * "array" also wraps scalars into arrays and unwraps single-item arrays
+   * @returns {boolean} True if the schema or its options changed
+   * @throws {Error} If the schema or the options are invalid
+   */
+  async setSchema(schema, options = {}) {
+    await this.db._ensureInitialized();
 
-      return document;
+    const changed = this.db._setCollectionOptions(this.name, {
+      schema,
+      schemaOptions: schema === null || Object.keys(options).length === 0 ? null : options
     });
+
+    if (changed) {
+      await this.db._acquireWriteMutex(() => this.db._saveCollectionIndex());
+    }
+    return changed;
+  }
+
+  /**
+   * Get the JSON Schema of this collection
+   * @returns {Object|boolean|null} The schema, or null if the collection has none
+   */
+  getSchema() {
+    const { schema } = this.db._getCollectionOptions(this.name);
+    return schema === undefined ? null : schema;
   }
 
   /**
    * Find a document by ID
    * @param {string|number} id - Document ID
-   * @returns {Object|null} The document or null if not found
+   * @param {Object} [options={}] - Find options
+   * @param {Object} [options.projection] - Fields to return (see find)
+   * @returns {Object|null} A copy of the document, or null if not found
+   * @throws {Error} If the projection is invalid
    */
-  async findById(id) {
+  async findById(id, options = {}) {
     await this.db._ensureInitialized();
+    this._validateProjection(options.projection);
 
-    const cacheKey = `${this.name}:${id}`;
-    if (this.db.cache.has(cacheKey)) {
-      return this.db.cache.get(cacheKey);
+    const stringId = String(id);
+    const cached = this.db.cache.get(`${this.name}:${stringId}`);
+    if (cached !== undefined) {
+      return this._copyResult(cached, options.projection);
     }
 
-    const collectionData = this.db.collectionData.get(this.name);
+    const collectionData = await this.db._getCollectionData(this.name);
     if (!collectionData) return null;
 
-    const document = collectionData.get(String(id));
+    const document = collectionData.get(stringId);
     if (!document) return null;
 
-    this.db._addToCache(cacheKey, document);
-    return document;
+    this.db._addToCache(this.name, stringId, document);
+    return this._copyResult(document, options.projection);
   }
 
   /**
    * Find documents in the collection
    * @param {Object} options - Query options
-   * @param {Function} [options.filter] - Filter function
+   * @param {Function|Object} [options.filter] - Filter function or query object (e.g. { age: { $gte: 18 } })
+   * @param {Object|Object[]} [options.sort] - Sort config(s) as { field, direction: 'asc'|'desc' }
    * @param {number} [options.limit] - Limit number of results
    * @param {number} [options.skip=0] - Skip number of results
+   * @param {string} [options.cursor] - Continue after the position of a cursor returned by findPage (same filter and sort);
+   * documents with equal sort values are then ordered by ID
+   * @param {Object} [options.projection] - Fields to return: { name: 1, 'address.city': 1 } keeps only these (and id),
+   * { blob: 0 } leaves fields out, and expressions such as { total: { $add: ['$price', '$tax'] } } add computed fields
    * @returns {Array} Array of documents with id
+   * @throws {Error} If the cursor or the projection is invalid
    */
   async find(options = {}) {
+    return this._find(options);
+  }
+
+  /**
+   * Find one page of documents. Pages are ordered by the sort fields and then by ID, and each page
+   * returns an opaque cursor for the next one, so paging stays consistent while documents are inserted
+   * or removed, which skip-based paging does not.
+   * @param {Object} options - Query options
+   * @param {Function|Object} [options.filter] - Filter function or query object
+   * @param {Object|Object[]} [options.sort] - Sort config(s) as { field, direction: 'asc'|'desc' }
+   * @param {number} options.limit - Page size
+   * @param {string} [options.cursor] - Cursor of the previous page (omit for the first page)
+   * @param {boolean} [options.total=false] - Also count all documents matching the filter
+   * @param {Object} [options.projection] - Fields to return (see find)
+   * @returns {Object} { documents, nextCursor, hasMore, total? }, where nextCursor is null on the last page
+   * @throws {Error} If the limit is missing or the cursor is invalid
+   * @example
+   * let page = await users.findPage({ sort: { field: 'createdAt', direction: 'desc' }, limit: 50 });
+   * while (page.hasMore) {
+   *   page = await users.findPage({ sort: { field: 'createdAt', direction: 'desc' }, limit: 50, cursor: page.nextCursor });
+   * }
+   */
+  async findPage(options = {}) {
+    return this._findPage(options);
+  }
+
+  /**
+   * Find documents, counting the documents examined
+   * @private
+   * @param {Object} options - Query options (see find)
+   * @param {Object} [stats] - Statistics whose scanned count is incremented for every document examined
+   * @returns {Array} Array of documents with id
+   */
+  async _find(options = {}, stats = null) {
+    const entries = await this._findEntries(options, stats, options.cursor !== undefined);
+    return entries.map(([id, document]) => this._toResult(id, document, options.projection));
+  }
+
+  /**
+   * Find one page of documents, counting the documents examined
+   * @private
+   * @param {Object} options - Query options (see findPage)
+   * @param {Object} [stats] - Statistics whose scanned count is incremented for every document examined
+   * @returns {Object} { documents, nextCursor, hasMore, total? }
+   */
+  async _findPage(options = {}, stats = null) {
+    const { limit } = options;
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new Error('findPage requires a positive integer limit');
+    }
+
+    // One extra document tells whether there is a next page
+    const entries = await this._findEntries({ ...options, limit: limit + 1 }, stats, true);
+    const hasMore = entries.length > limit;
+    if (hasMore) entries.pop();
+
+    const page = {
+      documents: entries.map(([id, document]) => this._toResult(id, document, options.projection)),
+      nextCursor: hasMore ? this._encodeCursor(entries[entries.length - 1], this._normalizeSort(options.sort)) : null,
+      hasMore
+    };
+
+    if (options.total) {
+      page.total = await this.count({ filter: options.filter });
+    }
+
+    return page;
+  }
+
+  /**
+   * Find the [id, document] entries matching query options
+   * @private
+   * @param {Object} options - Query options (see find)
+   * @param {Object} [stats] - Statistics whose scanned count is incremented for every document examined
+   * @param {boolean} [paged=false] - Order documents with equal sort values by ID, as cursors require
+   * @returns {Array<[string, Object]>} Matching entries
+   */
+  async _findEntries(options, stats = null, paged = false) {
     await this.db._ensureInitialized();
+    this._validateProjection(options.projection);
 
-    const { limit, skip = 0, filter } = options;
-    const collectionData = this.db.collectionData.get(this.name);
+    const { limit, skip = 0 } = options;
+    const predicate = this._createPredicate(options.filter);
+    const sort = this._normalizeSort(options.sort);
+    const after = options.cursor !== undefined ? this._decodeCursor(options.cursor, sort) : null;
+    const collectionData = await this.db._getCollectionData(this.name);
 
     if (!collectionData) return [];
 
+    const entries = paged
+      ? this._iteratePage(collectionData, options.filter, predicate, sort, after, limit ? skip + limit : Infinity, stats)
+      : this._iterate(collectionData, options.filter, predicate, sort, stats);
+
     const results = [];
     let skipped = 0;
 
-    for (const [id, document] of collectionData) {
+    for (const entry of entries) {
+      if (limit && results.length >= limit) break;
+
       if (skipped < skip) {
         skipped++;
         continue;
       }
 
-      if (limit && results.length >= limit) break;
-
-      // Apply filter if provided
-      if (!filter || (typeof filter === 'function' && filter(document, id))) {
-        results.push({
-          id: id,
-          ...document
-        });
-      }
+      results.push(entry);
     }
 
     return results;
   }
 
+  /**
+   * Build a find result from a stored document. A projection is applied to the stored document
+   * directly, so fields left out are never copied.
+   * @private
+   * @param {string} id - Document ID
+   * @param {Object} document - Stored document
+   * @param {Object} [projection] - Fields to return (see find)
+   * @returns {Object} A copy of the document with its id
+   */
+  _toResult(id, document, projection) {
+    const copy = this._copyResult(document, projection);
+    return projection && (projection.id === 0 || projection.id === false) ? copy : { id: id, ...copy };
+  }
+
+  /**
+   * Copy a stored document for a read, so changes to the result never reach the store or its indexes
+   * @private
+   * @param {Object} document - Stored document
+   * @param {Object} [projection] - Fields to return (see find)
+   * @returns {Object} Deep copy of the (projected) document
+   */
+  _copyResult(document, projection) {
+    return UpdateOperators._clone(projection ? AggregationPipeline.project(document, projection) : document);
+  }
+
+  /**
+   * Throw if a projection is given and invalid
+   * @private
+   * @param {Object} [projection] - Fields to return (see find)
+   * @throws {Error} If the projection is invalid
+   */
+  _validateProjection(projection) {
+    if (projection === undefined) return;
+
+    const validation = Validator.validateProjection(projection);
+    if (!validation.valid) {
+      throw new Error(`Invalid projection: ${validation.error}`);
+    }
+  }
+
   /**
    * Find one document matching criteria
-   * @param {Function} filter - Filter function
+   * @param {Function|Object} filter - Filter function or query object
+   * @param {Object} [options={}] - Find options
+   * @param {Object} [options.projection] - Fields to return (see find)
    * @returns {Object|null} First matching document or null
    */
-  async findOne(filter) {
-    const results = await this.find({ limit: 1, filter });
+  async findOne(filter, options = {}) {
+    const results = await this.find({ limit: 1, filter, projection: options.projection });
     return results[0] || null;
   }
 
   /**
    * Delete a documen
    * @param {string|number} id - Document ID
+   * @param {Object} [options={}] - Write options
+   * @param {boolean} [options.durable=false] - With the write queue or autosave enabled, resolve only once the write is on disk
+   * @param {number} [options.expectedRev] - Only delete if the document is at this revision
    * @returns {boolean} True if document existed and was deleted
+   * @throws {ConflictError} If expectedRev is not the current revision of the document
    */
-  async delete(id) {
-    await this.db._ensureInitialized();
-
-    return await this.db.writeMutex.acquire(async () => {
-      const collectionData = this.db.collectionData.get(this.name);
-      if (!collectionData || !collectionData.has(String(id))) {
-        return false;
-      }
-
-      // Get document before deletion for even
-      const document = collectionData.get(String(id));
-
-      // Remove from collection
-      collectionData.delete(String(id));
-
-      // Remove from cache
-      this.db.cache.delete(`${this.name}:${id}`);
-
-      // Save collection to file
-      await this.db._saveCollection(this.name);
-
-      // Clean up empty collection
-      if (collectionData.size === 0) {
-        this.db.collectionData.delete(this.name);
-        const filePath = this.db.collectionFiles.get(this.name);
-        if (filePath) {
-          try {
-            await fs.unlink(filePath);
-          } catch (error) {
-            // File might not exist, that's ok
-          }
-        }
-        this.db.collectionFiles.delete(this.name);
-      }
-
-      await this.db._saveCollectionIndex();
-
-      this.db.emit('collection:delete', { collection: this.name, id, document });
-
-      return true;
-    });
+  async delete(id, options = {}) {
+    const result = await this._writeOne({ op: 'delete', id, expectedRev: options.expectedRev }, options);
+    return result.matched;
   }
 
   /**
    * Count documents in the collection
-   * @param {Function|Object} [options] - Optional filter function or options objec
-   * @param {Function} [options.filter] - Filter function when using options objec
+   * @param {Function|Object} [options] - Optional filter function, query object or options objec
+   * @param {Function|Object} [options.filter] - Filter function or query object when using options objec
    * @returns {number} Number of documents
    */
   async count(options) {
     await this.db._ensureInitialized();
 
-    const collectionData = this.db.collectionData.get(this.name);
+    const collectionData = await this.db._getCollectionData(this.name);
     if (!collectionData) return 0;
 
-    // Handle both direct filter function and options objec
-    let filter;
+    // Handle direct filter function, query object and options objec
+    let filter = options;
 
-    if (typeof options === 'function') {
-      filter = options;
-    } else if (options && typeof options.filter === 'function') {
+    if (options && typeof options === 'object' && Object.prototype.hasOwnProperty.call(options, 'filter')) {
       filter = options.filter;
     }
 
-    if (!filter) return collectionData.size;
+    const predicate = this._createPredicate(filter);
+    if (!predicate) return collectionData.size;
 
     // Count with filter
     let count = 0;
-    for (const [id, document] of collectionData) {
-      if (filter(document, id)) {
-        count++;
-      }
+    for (const entry of this._iterate(collectionData, filter, predicate)) {
+      count++;
     }
 
     return count;
   }
 
+  /**
+   * Create an index on a field of this collection so queries avoid full scans
+   * @param {string|string[]} fields - Field to index (supports dot notation), or several fields for a compound index
+   * @param {Object} [options={}] - Index options
+   * @param {string} [options.type='hash'] - 'hash' for equality lookups, 'sorted' to also serve range queries and sorting
+   * @param {boolean} [options.unique=false] - Reject inserts and updates that would duplicate an indexed value
+   * @param {boolean} [options.sparse=false] - Leave documents missing the field(s) out of the index
+   * @returns {string} The index name (the fields joined by commas)
+   * @throws {UniqueConstraintError} If a unique index is created over duplicate values
+   * @throws {Error} If called on a collection of a transaction (the transaction holds the write mutex)
+   */
+  async createIndex(fields, options = {}) {
+    this._assertNoTransaction();
+
+    const fieldList = Array.isArray(fields) ? fields : [fields];
+    if (fieldList.length === 0) {
+      throw new Error('Invalid index field: at least one field is required');
+    }
+
+    for (const field of fieldList) {
+      const validation = Validator.validateFieldName(field);
+      if (!validation.valid) {
+        throw new Error(`Invalid index field: ${validation.error}`);
+      }
+    }
+
+    if (options.type !== undefined && !['hash', 'sorted'].includes(options.type)) {
+      throw new Error('Index type must be either "hash" or "sorted"');
+    }
+
+    if (options.type === 'sorted' && fieldList.length > 1) {
+      throw new Error('Sorted indexes support a single field');
+    }
+
+    await this.db._ensureInitialized();
+
+    return await this.db._acquireWriteMutex(async () => {
+      // Build the index over the documents on disk, not just an empty unloaded collection
+      await this.db._getCollectionData(this.name);
+      const index = this.db._ensureIndex(this.name, fieldList.length === 1 ? fieldList[0] : fieldList, options);
+      await this.db._saveCollectionIndex();
+      return index.field;
+    });
+  }
+
+  /**
+   * Drop an index from this collection
+   * @param {string|string[]} fields - Index name or indexed field(s)
+   * @returns {boolean} True if the index existed and was dropped
+   */
+  async dropIndex(fields) {
+    this._assertNoTransaction();
+    await this.db._ensureInitialized();
+
+    return await this.db._acquireWriteMutex(async () => {
+      const collectionIndexes = this.db.indexes.get(this.name);
+      if (!collectionIndexes || !collectionIndexes.delete(IndexSystem.getName(fields))) {
+        return false;
+      }
+
+      await this.db._saveCollectionIndex();
+      return true;
+    });
+  }
+
+  /**
+   * Get the index names of this collection
+   * @returns {string[]} Index names (compound indexes list their fields joined by commas)
+   */
+  getIndexes() {
+    return Array.from(this.db._getCollectionIndexes(this.name).keys());
+  }
+
+  /**
+   * Get the definition and statistics of every index of this collection
+   * @returns {Object[]} Indexes as { name, fields, type, unique, sparse, stats }
+   */
+  getIndexStats() {
+    return Array.from(this.db._getCollectionIndexes(this.name), ([name, index]) => ({
+      name,
+      ...index.getDefinition(),
+      stats: index.getStats()
+    }));
+  }
+
   /**
    * Stream through all documents in the collection
    * @returns {AsyncGenerator} Async generator of documents
@@ -258,64 +563,926 @@ class Collection {
   async *stream() {
     await this.db._ensureInitialized();
 
-    const collectionData = this.db.collectionData.get(this.name);
+    const collectionData = await this.db._getCollectionData(this.name);
     if (!collectionData) return;
 
     for (const [id, document] of collectionData) {
-      yield {
-        id: id,
-        ...document
-      };
+      yield this._toResult(id, document);
     }
   }
 
   /**
-   * Aggregate operations on the collection
-   * @param {Array} operations - Array of aggregation operations
-   * @returns {*} Aggregation resul
+   * Aggregate the documents of the collection with a pipeline of stages
+   * @param {Array} operations - Pipeline stages (see AggregationPipeline), e.g.
+   * [{ $match: { status: 'paid' } }, { $group: { _id: '$country', revenue: { $sum: '$total' } } }, { $sort: { revenue: -1 } }]
+   * @returns {Array|Object} Result documents (an object of document arrays for a final { type: 'group' } stage)
+   * @throws {Error} If the pipeline is invalid or a stage fails
    */
   async aggregate(operations) {
+    return this._aggregate(operations);
+  }
+
+  /**
+   * Run an aggregation pipeline, counting the documents examined
+   * @private
+   * @param {Array} operations - Pipeline stages (see aggregate)
+   * @param {Object} [stats] - Statistics whose scanned count is incremented for every document examined
+   * @returns {Array|Object} Aggregation result
+   */
+  async _aggregate(operations, stats = null) {
     await this.db._ensureInitialized();
 
-    const docs = await this.find();
-    let result = docs;
+    const pipeline = new AggregationPipeline(operations, { allowFunctions: true });
+    if (pipeline.ignoredStages.length > 0) {
+      this.db.logger.warn(`Ignoring aggregation stages of unknown type in '${this.name}'`, {
+        types: pipeline.ignoredStages.map(stage => stage.type)
+      });
+    }
 
-    for (const operation of operations) {
-      switch (operation.type) {
-        case 'match':
-          if (typeof operation.filter === 'function') {
-            result = result.filter(operation.filter);
-          }
-          break;
-        case 'sort':
-          result = result.sort((a, b) => {
-            const aVal = this.db._getNestedValue(a, operation.field);
-            const bVal = this.db._getNestedValue(b, operation.field);
-            const comparison = aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
-            return operation.direction === 'desc' ? -comparison : comparison;
-          });
-          break;
-        case 'limit':
-          result = result.slice(0, operation.count);
-          break;
-        case 'skip':
-          result = result.slice(operation.count);
-          break;
-        case 'group':
-          const groups = {};
-          result.forEach(doc => {
-            const groupKey = this.db._getNestedValue(doc, operation.field);
-            const key = groupKey !== undefined ? String(groupKey) : 'undefined';
-            if (!groups[key]) groups[key] = [];
-            groups[key].push(doc);
-          });
-          result = groups;
-          break;
+    // Leading $match/$sort/$skip/$limit stages run as a single (index-assisted) find
+    const { findOptions, pushedDown } = this._pushDownStages(pipeline.stages);
+    const documents = await this._find(findOptions, stats);
+
+    return pipeline.run(documents, {
+      startAt: pushedDown,
+      lookup: from => this.db.collection(from)._find({}, stats)
+    });
+  }
+
+  /**
+   * Run a single write operation, throwing its error if it fails
+   * @private
+   * @param {Object} operation - Write operation (see bulkWrite)
+   * @param {Object} options - Write options
+   * @returns {Object} The operation result
+   */
+  async _writeOne(operation, options) {
+    const { results } = await this._write(() => [operation], { durable: options.durable, user: options.user });
+
+    if (!results[0].success) {
+      throw results[0].error;
+    }
+
+    return results[0];
+  }
+
+  /**
+   * Apply write operations under a single write mutex acquisition, then persist all their changes at once
+   * and emit their events
+   * @private
+   * @param {Function} getOperations - (collectionData) => operations, called while holding the write mutex
+   * (collectionData is null if the collection does not exist)
+   * @param {Object} options - Bulk write options (see bulkWrite)
+   * @returns {Object} Bulk write result (see bulkWrite)
+   */
+  async _write(getOperations, options) {
+    await this.db._ensureInitialized();
+
+    // The transaction already holds the write mutex; it persists and emits on commit
+    if (this.transaction) {
+      this.transaction._assertActive();
+
+      const { bulkResult, applied } = await this._applyOperations(getOperations, options);
+      this.transaction._stage(this.name, applied);
+      return bulkResult;
+    }
+
+    let changeCount = 0;
+
+    const result = await this.db._acquireWriteMutex(async () => {
+      const { bulkResult, collectionData, applied } = await this._applyOperations(getOperations, options);
+
+      if (applied.length > 0) {
+        await this._persistWrite(collectionData, applied.map(({ change }) => change));
+      }
+
+      for (const { event } of applied) {
+        this.db.emit(...event);
       }
+
+      changeCount = applied.length;
+      return bulkResult;
+    });
+
+    if (changeCount > 0 && options.durable) {
+      await this.db.flush();
     }
 
     return result;
   }
+
+  /**
+   * Apply write operations to the collection in memory. Must be called while holding the write mutex.
+   * @private
+   * @param {Function} getOperations - (collectionData) => operations (see _write)
+   * @param {Object} options - Bulk write options (see bulkWrite)
+   * @returns {Object} { bulkResult, collectionData, applied }, where applied holds { change, previous, event }
+   * for each operation that changed a document
+   */
+  async _applyOperations(getOperations, options) {
+    const ordered = options.ordered !== false;
+    // Every document of a batch gets the same timestamp
+    const context = { user: options.user, timestamp: new Date().toISOString() };
+
+    let collectionData = await this.db._getCollectionData(this.name);
+    const operations = getOperations(collectionData);
+
+    // Only create the collection for operations that can add documents
+    if (!collectionData && operations.some(operation => this._createsDocument(operation))) {
+      collectionData = await this.db._getCollectionData(this.name, { create: true });
+    }
+
+    const bulkResult = {
+      results: [],
+      insertedIds: [],
+      insertedCount: 0,
+      modifiedCount: 0,
+      deletedCount: 0,
+      errorCount: 0
+    };
+    const applied = [];
+
+    for (let index = 0; index < operations.length; index++) {
+      const operation = operations[index] || {};
+
+      try {
+        const { result, change, previous, event } = this._applyOperation(collectionData, operation, context);
+        bulkResult.results.push({ index, op: operation.op, ...result });
+
+        if (change) {
+          applied.push({ change, previous, event });
+
+          if (operation.op === 'insert') {
+            bulkResult.insertedIds.push(result.id);
+            bulkResult.insertedCount++;
+          } else if (operation.op === 'delete') {
+            bulkResult.deletedCount++;
+          } else {
+            bulkResult.modifiedCount++;
+          }
+        }
+      } catch (error) {
+        bulkResult.results.push({ index, op: operation.op, id: operation.id, success: false, error });
+        bulkResult.errorCount++;
+
+        if (ordered) break;
+      }
+    }
+
+    return { bulkResult, collectionData, applied };
+  }
+
+  /**
+   * Apply one write operation to the collection documents, indexes and cache (not to disk)
+   * @private
+   * @param {Map<string, Object>|null} collectionData - Collection data (null if the collection does not exist)
+   * @param {Object} operation - Write operation (see bulkWrite)
+   * @param {Object} context - Write context as { user, timestamp }
+   * @returns {Object} { result, change, previous, event }; change, previous (the replaced document, undefined for new
+   * documents) and event are missing if nothing changed
+   * @throws {Error} If the operation is invalid or violates a constraint
+   */
+  _applyOperation(collectionData, operation, context) {
+    const { op } = operation;
+
+    if (!WRITE_OPERATIONS.includes(op)) {
+      throw new Error(`Unknown write operation '${op}'. Must be one of: ${WRITE_OPERATIONS.join(', ')}`);
+    }
+
+    const id = op === 'insert' && (operation.id === undefined || operation.id === null)
+      ? this.db._generateId()
+      : operation.id;
+
+    if (id === undefined || id === null) {
+      throw new Error(`Operation '${op}' requires an id`);
+    }
+
+    const stringId = String(id);
+    const current = collectionData ? collectionData.get(stringId) : undefined;
+
+    if (operation.expectedRev !== undefined && op !== 'insert') {
+      this._checkRevision(stringId, current, operation.expectedRev);
+    }
+
+    if (op === 'delete' || ((op === 'updateOne' || op === 'patch') && !operation.upsert)) {
+      if (current === undefined) {
+        return { result: { id, success: true, matched: false } };
+      }
+    }
+
+    if (op === 'delete') {
+      // Remove from collection, indexes and cache
+      collectionData.delete(stringId);
+      this.db._unindexDocument(this.name, stringId, current);
+      this.db._invalidateCache(this.name, stringId);
+
+      return {
+        result: { id, success: true, matched: true },
+        change: { op: 'delete', id: stringId },
+        previous: current,
+        event: ['collection:delete', { collection: this.name, id, document: current }]
+      };
+    }
+
+    let document;
+    if (op === 'updateOne') {
+      document = new UpdateOperators(operation.update).apply(current);
+    } else if (op === 'patch') {
+      if (operation.patch === null || typeof operation.patch !== 'object' || Array.isArray(operation.patch)) {
+        throw new Error('Merge patch must be an object');
+      }
+      document = UpdateOperators.mergePatch(current === undefined ? {} : current, operation.patch);
+    } else {
+      document = operation.document;
+      if (document === null || typeof document !== 'object' || Array.isArray(document)) {
+        throw new Error('Document must be an object');
+      }
+    }
+
+    if (op === 'insert' && current !== undefined) {
+      throw new Error(`Document with id '${id}' already exists in collection '${this.name}'`);
+    }
+
+    document = this._validateDocument(id, document);
+    document = this._applyMetadata(document, current, context);
+
+    this.db._checkUniqueIndexes(this.name, stringId, document);
+
+    // Store the document and update its indexes
+    this.db._unindexDocument(this.name, stringId, current);
+    collectionData.set(stringId, document);
+    this.db._indexDocument(this.name, stringId, document);
+
+    if (op === 'insert') {
+      this.db._addToCache(this.name, stringId, document);
+    } else {
+      // Drop the cached previous version; the next findById caches the new one
+      this.db._invalidateCache(this.name, stringId);
+    }
+
+    return {
+      result: { id, success: true, matched: current !== undefined, document },
+      change: { op: 'set', id: stringId, document },
+      previous: current,
+      event: [op === 'insert' ? 'collection:insert' : 'collection:update', { collection: this.name, id, document }]
+    };
+  }
+
+  /**
+   * Set the metadata fields maintained by the collection options (timestamps, userStamps and revisions)
+   * on a document being written. Creation fields are carried over from the current document.
+   * @private
+   * @param {Object} document - Document to write
+   * @param {Object|undefined} current - Current document (undefined if the write creates it)
+   * @param {Object} context - Write context as { user, timestamp }
+   * @returns {Object} The document with its metadata fields
+   */
+  _applyMetadata(document, current, context) {
+    const options = this.db._getCollectionOptions(this.name);
+    const metadata = {};
+
+    if (options.timestamps) {
+      // Documents written before timestamps were enabled have no known creation time
+      const createdAt = current ? current.createdAt : context.timestamp;
+      if (createdAt !== undefined) metadata.createdAt = createdAt;
+      metadata.updatedAt = context.timestamp;
+    }
+
+    if (options.userStamps) {
+      const user = context.user !== undefined ? context.user : null;
+      const createdBy = current ? current.createdBy : user;
+      if (createdBy !== undefined) metadata.createdBy = createdBy;
+      metadata.updatedBy = user;
+    }
+
+    if (options.revisions) {
+      const currentRev = current ? current._rev : undefined;
+      metadata._rev = Number.isInteger(currentRev) ? currentRev + 1 : 1;
+    }
+
+    return Object.keys(metadata).length > 0 ? { ...document, ...metadata } : document;
+  }
+
+  /**
+   * Validate a document being written against the schema of the collection.
+   * Metadata fields maintained by the collection options are not part of the validated document.
+   * @private
+   * @param {string|number} id - Document ID
+   * @param {Object} document - Document to write
+   * @returns {Object} The document with schema defaults and type coercions applied
+   * @throws {ValidationError} If the document does not match the schema
+   */
+  _validateDocument(id, document) {
+    const validator = this.db._getSchemaValidator(this.name);
+    if (!validator) return document;
+
+    const options = this.db._getCollectionOptions(this.name);
+    const metadataFields = [
+      ...(options.timestamps ? ['createdAt', 'updatedAt'] : []),
+      ...(options.userStamps ? ['createdBy', 'updatedBy'] : []),
+      ...(options.revisions ? ['_rev'] : [])
+    ];
+
+    const content = { ...document };
+    const metadata = {};
+    for (const field of metadataFields) {
+      if (field in content) metadata[field] = content[field];
+      delete content[field];
+    }
+
+    const { valid, value, errors } = validator.validate(content);
+    if (!valid) {
+      const [first] = errors;
+      const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+
+      throw new ValidationError(
+        `Document '${id}' does not match the schema of collection '${this.name}': ` +
+        `${first.path || '(document)'} ${first.message}${more}`,
+        { collection: this.name, id, errors }
+      );
+    }
+
+    return { ...value, ...metadata };
+  }
+
+  /**
+   * Check the revision a write expects against the current document
+   * @private
+   * @param {string} id - Document ID
+   * @param {Object|undefined} current - Current document (undefined if it does not exist)
+   * @param {number} expectedRev - Expected revision
+   * @throws {ConflictError} If the document does not exist or is at another revision
+   */
+  _checkRevision(id, current, expectedRev) {
+    const currentRev = current && current._rev !== undefined ? current._rev : null;
+
+    if (currentRev !== expectedRev) {
+      const found = current === undefined ? 'but the document does not exist'
+        : currentRev === null ? 'but the document has no revision' : `found ${currentRev}`;
+
+      throw new ConflictError(
+        `Revision conflict on document '${id}' in collection '${this.name}': expected revision ${expectedRev}, ${found}`,
+        { collection: this.name, id, expectedRev, currentRev }
+      );
+    }
+  }
+
+  /**
+   * Check whether a write operation can add a document to the collection
+   * @private
+   * @param {Object} operation - Write operation
+   * @returns {boolean} True for inserts, replacements and upserts
+   */
+  _createsDocument(operation) {
+    if (!operation) return false;
+    return operation.op === 'insert' || operation.op === 'update' ||
+      ((operation.op === 'updateOne' || operation.op === 'patch') && Boolean(operation.upsert));
+  }
+
+  /**
+   * Persist the changes of a write, removing the collection if it has become empty
+   * @private
+   * @param {Map<string, Object>} collectionData - Collection data
+   * @param {Object[]} changes - Changes to persist
+   */
+  async _persistWrite(collectionData, changes) {
+    if (collectionData.size === 0) {
+      this.db.collectionData.delete(this.name);
+      this.db.collectionAccess.delete(this.name);
+      await this.db._deleteCollectionFiles(this.name);
+      await this.db._saveCollectionIndex();
+    } else {
+      await this.db._persistChanges(this.name, changes);
+    }
+  }
+
+  /**
+   * Throw for index changes through a transaction collection, which would wait for the write mutex the transaction holds
+   * @private
+   */
+  _assertNoTransaction() {
+    if (this.transaction) {
+      throw new Error('Indexes cannot be created or dropped inside a transaction');
+    }
+  }
+
+  /**
+   * Get the IDs of the documents matching a filter
+   * @private
+   * @param {Map<string, Object>|null} collectionData - Collection data
+   * @param {Function|Object} [filter] - Filter function or query object
+   * @returns {string[]} Matching document IDs
+   */
+  _getMatchingIds(collectionData, filter) {
+    if (!collectionData) return [];
+
+    const predicate = this._createPredicate(filter);
+    return Array.from(this._iterate(collectionData, filter, predicate), ([id]) => id);
+  }
+
+  /**
+   * Find the leading aggregation stages that find() can execute directly
+   * (a query-object match, then sort, skip and limit, in that order)
+   * @private
+   * @param {Object[]} stages - Normalized pipeline stages as { operator, spec }
+   * @returns {Object} { findOptions, pushedDown } where pushedDown is the number of stages covered
+   */
+  _pushDownStages(stages) {
+    const findOptions = {};
+    const order = ['$match', '$sort', '$skip', '$limit'];
+    let position = 0;
+    let i = 0;
+
+    for (; i < stages.length; i++) {
+      const { operator, spec } = stages[i];
+      const stagePosition = order.indexOf(operator);
+
+      if (stagePosition < position ||
+        (operator === '$match' && !QueryMatcher.isQuery(spec)) ||
+        (operator === '$limit' && !(spec > 0))) {
+        break;
+      }
+
+      if (operator === '$match') findOptions.filter = spec;
+      if (operator === '$sort') {
+        findOptions.sort = Object.entries(spec).map(([field, direction]) => ({
+          field,
+          direction: direction === -1 || direction === 'desc' ? 'desc' : 'asc'
+        }));
+      }
+      if (operator === '$skip') findOptions.skip = spec;
+      if (operator === '$limit') findOptions.limit = spec;
+
+      position = stagePosition + 1;
+    }
+
+    return { findOptions, pushedDown: i };
+  }
+
+  /**
+   * Iterate the [id, document] pairs matching a filter, in sort order when requested
+   * @private
+   * @param {Map<string, Object>} collectionData - Collection data
+   * @param {Function|Object} [filter] - Filter function or query object
+   * @param {Function|null} predicate - Predicate built from the filter
+   * @param {Object[]} [sort=[]] - Normalized sort configs
+   * @param {Object} [stats] - Statistics whose scanned count is incremented for every document examined
+   * @returns {Iterable<[string, Object]>} Matching entries
+   */
+  *_iterate(collectionData, filter, predicate, sort = [], stats = null) {
+    if (sort.length === 0) {
+      for (const [id, document] of this._scan(collectionData, filter)) {
+        if (stats) stats.scanned++;
+        if (!predicate || predicate(document, id)) {
+          yield [id, document];
+        }
+      }
+      return;
+    }
+
+    const orderedIds = this._getOrderedIds(filter, sort);
+
+    if (orderedIds) {
+      for (const id of orderedIds) {
+        const document = collectionData.get(id);
+        if (document !== undefined && stats) stats.scanned++;
+        if (document !== undefined && (!predicate || predicate(document, id))) {
+          yield [id, document];
+        }
+      }
+      return;
+    }
+
+    const matches = Array.from(this._iterate(collectionData, filter, predicate, [], stats));
+    yield* matches.sort(this._createComparator(sort));
+  }
+
+  /**
+   * Iterate the [id, document] pairs matching a filter in page order: by the sort fields, then by ID.
+   * A sorted index is entered at the cursor position; without one, only the first count matches after
+   * the cursor are kept while scanning, so a page never sorts every match.
+   * @private
+   * @param {Map<string, Object>} collectionData - Collection data
+   * @param {Function|Object} [filter] - Filter function or query object
+   * @param {Function|null} predicate - Predicate built from the filter
+   * @param {Object[]} sort - Normalized sort configs
+   * @param {Array|null} after - Sort key of a cursor: only entries after it are returned
+   * @param {number} [count=Infinity] - Number of entries the caller needs
+   * @param {Object} [stats] - Statistics whose scanned count is incremented for every document examined
+   * @returns {Iterable<[string, Object]>} Matching entries
+   */
+  *_iteratePage(collectionData, filter, predicate, sort, after, count = Infinity, stats = null) {
+    const compare = (a, b) => this._compareSortKeys(sort, a, b);
+    const isAfter = item => !after || compare(item.key, after) > 0;
+    const release = (items) => items
+      .filter(isAfter)
+      .sort((a, b) => compare(a.key, b.key))
+      .map(item => item.entry);
+
+    const orderedIds = this._getOrderedIds(filter, sort, after);
+
+    if (!orderedIds) {
+      // Sorted by key, which is unique as it ends with the ID
+      const selected = [];
+
+      for (const entry of this._iterate(collectionData, filter, predicate, [], stats)) {
+        const item = { entry, key: this._getSortKey(entry, sort) };
+        if (!isAfter(item)) continue;
+        if (selected.length >= count && compare(item.key, selected[selected.length - 1].key) > 0) continue;
+
+        let low = 0;
+        let high = selected.length;
+        while (low < high) {
+          const middle = (low + high) >> 1;
+          if (compare(selected[middle].key, item.key) < 0) {
+            low = middle + 1;
+          } else {
+            high = middle;
+          }
+        }
+
+        selected.splice(low, 0, item);
+        if (selected.length > count) selected.pop();
+      }
+
+      yield* selected.map(item => item.entry);
+      return;
+    }
+
+    // The index orders by the field value only: documents with equal values are ordered by ID as a group
+    let group = [];
+
+    for (const id of orderedIds) {
+      const document = collectionData.get(id);
+      if (document === undefined) continue;
+      if (stats) stats.scanned++;
+      if (predicate && !predicate(document, id)) continue;
+
+      const item = { entry: [id, document], key: this._getSortKey([id, document], sort) };
+      if (group.length > 0 && SortedIndex.compareValues(group[0].key[0], item.key[0]) !== 0) {
+        yield* release(group);
+        group = [];
+      }
+      group.push(item);
+    }
+
+    yield* release(group);
+  }
+
+  /**
+   * Iterate the [id, document] pairs that may match a filter, using an index when possible
+   * @private
+   * @param {Map<string, Object>} collectionData - Collection data
+   * @param {Function|Object} [filter] - Filter function or query object
+   * @returns {Iterable<[string, Object]>} Candidate entries (still to be matched against the filter)
+   */
+  *_scan(collectionData, filter) {
+    const candidateIds = this._getCandidateIds(filter);
+
+    if (!candidateIds) {
+      yield* collectionData;
+      return;
+    }
+
+    for (const id of candidateIds) {
+      const document = collectionData.get(id);
+      if (document !== undefined) {
+        yield [id, document];
+      }
+    }
+  }
+
+  /**
+   * Use the collection indexes to narrow down the documents a query can match
+   * @private
+   * @param {Function|Object} [filter] - Filter function or query object
+   * @returns {Set<string>|null} Candidate IDs, or null when no index applies
+   */
+  _getCandidateIds(filter) {
+    if (!this.db.enableIndexing || !QueryMatcher.isQuery(filter)) {
+      return null;
+    }
+
+    const collectionIndexes = this.db._getCollectionIndexes(this.name);
+    if (collectionIndexes.size === 0) {
+      return null;
+    }
+
+    let best = null;
+
+    const consider = (query) => {
+      for (const [field, condition] of Object.entries(query)) {
+        if (field === '$and') {
+          condition.forEach(consider);
+          continue;
+        }
+
+        const index = collectionIndexes.get(field);
+        if (!index) continue;
+
+        let ids = null;
+        const values = this._getEqualityValues(condition, !index.sparse);
+
+        if (values) {
+          ids = new Set();
+          for (const value of values) {
+            for (const id of index.get(value)) {
+              ids.add(id);
+            }
+          }
+        } else if (index.type === 'sorted' && !index.multikey) {
+          const bounds = this._getRangeBounds(condition);
+          if (bounds) {
+            ids = new Set(index.range(bounds));
+          }
+        }
+
+        if (ids && (!best || ids.size < best.size)) {
+          best = ids;
+        }
+      }
+
+      for (const index of collectionIndexes.values()) {
+        if (index.fields.length < 2 || index.multikey) continue;
+
+        const values = [];
+        for (const field of index.fields) {
+          const fieldValues = Object.prototype.hasOwnProperty.call(query, field)
+            ? this._getEqualityValues(query[field], !index.sparse)
+            : null;
+          if (!fieldValues || fieldValues.length !== 1) break;
+          values.push(fieldValues[0]);
+        }
+
+        if (values.length !== index.fields.length) continue;
+        if (index.sparse && values.every(value => value === null)) continue;
+
+        const ids = index.get(index.getKey(values));
+        if (!best || ids.size < best.size) {
+          best = ids;
+        }
+      }
+    };
+
+    consider(filter);
+
+    return best;
+  }
+
+  /**
+   * Get the values an index can look up for a field condition
+   * @private
+   * @param {*} condition - Literal value or operator object
+   * @param {boolean} [allowNull=false] - Whether null can be looked up (non-sparse indexes hold missing fields as null)
+   * @returns {Array|null} Primitive values to look up, or null if the condition is not an equality match
+   */
+  _getEqualityValues(condition, allowNull = false) {
+    const isIndexable = (value) => ['string', 'number', 'boolean'].includes(typeof value) ||
+      (allowNull && value === null);
+
+    if (isIndexable(condition)) {
+      return [condition];
+    }
+
+    if (!QueryMatcher.isQuery(condition)) {
+      return null;
+    }
+
+    if (isIndexable(condition.$eq)) {
+      return [condition.$eq];
+    }
+
+    if (Array.isArray(condition.$in) && condition.$in.every(isIndexable)) {
+      return condition.$in;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the range bounds a sorted index can look up for a field condition
+   * @private
+   * @param {*} condition - Literal value or operator object
+   * @returns {Object|null} Bounds as { gt, gte, lt, lte }, or null if the condition is not a range
+   */
+  _getRangeBounds(condition) {
+    if (!QueryMatcher.isQuery(condition)) {
+      return null;
+    }
+
+    const bounds = {};
+    let type = null;
+
+    for (const operator of ['$gt', '$gte', '$lt', '$lte']) {
+      const operand = condition[operator];
+      if (operand === undefined) continue;
+
+      if (!['number', 'string'].includes(typeof operand) || (type && typeof operand !== type)) {
+        return null;
+      }
+
+      type = typeof operand;
+      bounds[operator.slice(1)] = operand;
+    }
+
+    return type ? bounds : null;
+  }
+
+  /**
+   * Get document IDs in sort order from a sorted index, when one can serve the sort
+   * @private
+   * @param {Function|Object} [filter] - Filter function or query object
+   * @param {Object[]} sort - Normalized sort configs
+   * @param {Array|null} [after=null] - Sort key of a cursor: IDs start at its sort value
+   * @returns {Iterable<string>|null} Ordered IDs, or null when no index applies
+   */
+  _getOrderedIds(filter, sort, after = null) {
+    if (!this.db.enableIndexing || sort.length !== 1) {
+      return null;
+    }
+
+    const index = this.db._getCollectionIndexes(this.name).get(sort[0].field);
+    if (!index || index.type !== 'sorted' || index.multikey) {
+      return null;
+    }
+
+    // A selective equality/range lookup is cheaper to sort in memory
+    if (this._getCandidateIds(filter)) {
+      return null;
+    }
+
+    return after ? index.entriesFrom(after[0], sort[0].direction) : index.entries(sort[0].direction);
+  }
+
+  /**
+   * Normalize and validate sort options
+   * @private
+   * @param {Object|Object[]} [sort] - Sort config(s) as { field, direction }
+   * @returns {Object[]} Sort configs with explicit directions
+   */
+  _normalizeSort(sort) {
+    if (sort === undefined || sort === null) {
+      return [];
+    }
+
+    const configs = Array.isArray(sort) ? sort : [sort];
+
+    return configs.map(config => {
+      const field = config && config.field;
+      const direction = (config && config.direction) || 'asc';
+
+      const fieldResult = Validator.validateFieldName(field);
+      if (!fieldResult.valid) {
+        throw new Error(`Invalid sort: ${fieldResult.error}`);
+      }
+
+      const directionResult = Validator.validateSortDirection(direction);
+      if (!directionResult.valid) {
+        throw new Error(`Invalid sort: ${directionResult.error}`);
+      }
+
+      return { field, direction };
+    });
+  }
+
+  /**
+   * Build a comparator for [id, document] entries
+   * @private
+   * @param {Object[]} sort - Normalized sort configs
+   * @returns {Function} Comparator function
+   */
+  _createComparator(sort) {
+    return (a, b) => {
+      for (const { field, direction } of sort) {
+        const comparison = SortedIndex.compareValues(this._getSortValue(a, field), this._getSortValue(b, field));
+        if (comparison !== 0) {
+          return direction === 'desc' ? -comparison : comparison;
+        }
+      }
+      return 0;
+    };
+  }
+
+  /**
+   * Get the value an entry is sorted by for a field
+   * @private
+   * @param {Array} entry - [id, document] entry
+   * @param {string} field - Sort field
+   * @returns {*} The field value (the ID for an 'id' field the document does not have)
+   */
+  _getSortValue([id, document], field) {
+    const value = this.db._getNestedValue(document, field);
+    return value === undefined && field === 'id' ? id : value;
+  }
+
+  /**
+   * Get the page order key of an entry: its sort values followed by its ID
+   * @private
+   * @param {Array} entry - [id, document] entry
+   * @param {Object[]} sort - Normalized sort configs
+   * @returns {Array} Sort key
+   */
+  _getSortKey(entry, sort) {
+    return sort.map(({ field }) => this._getSortValue(entry, field)).concat(entry[0]);
+  }
+
+  /**
+   * Compare two page order keys
+   * @private
+   * @param {Object[]} sort - Normalized sort configs
+   * @param {Array} a - First key
+   * @param {Array} b - Second key
+   * @returns {number} Negative, zero or positive
+   */
+  _compareSortKeys(sort, a, b) {
+    for (let i = 0; i < sort.length; i++) {
+      const comparison = SortedIndex.compareValues(a[i], b[i]);
+      if (comparison !== 0) {
+        return sort[i].direction === 'desc' ? -comparison : comparison;
+      }
+    }
+    return SortedIndex.compareValues(a[sort.length], b[sort.length]);
+  }
+
+  /**
+   * Encode the position of an entry as an opaque cursor
+   * @private
+   * @param {Array} entry - [id, document] entry
+   * @param {Object[]} sort - Normalized sort configs
+   * @returns {string} Cursor (base64url encoded JSON)
+   */
+  _encodeCursor(entry, sort) {
+    const cursor = { sort: this._getSortSignature(sort), key: this._getSortKey(entry, sort) };
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor into the sort key of its position
+   * @private
+   * @param {*} cursor - Cursor returned by findPage
+   * @param {Object[]} sort - Normalized sort configs of the query
+   * @returns {Array} Sort key
+   * @throws {Error} If the cursor is malformed or was created for another sort order
+   */
+  _decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error('Invalid cursor');
+    }
+
+    if (!decoded || !Array.isArray(decoded.key) || decoded.key.length !== sort.length + 1 ||
+      typeof decoded.key[sort.length] !== 'string') {
+      throw new Error('Invalid cursor');
+    }
+
+    if (decoded.sort !== this._getSortSignature(sort)) {
+      throw new Error('Invalid cursor: it was created for a different sort order');
+    }
+
+    return decoded.key;
+  }
+
+  /**
+   * Describe a sort order, to tie cursors to the sort they were created for
+   * @private
+   * @param {Object[]} sort - Normalized sort configs
+   * @returns {string} Signature such as "createdAt:desc,name:asc"
+   */
+  _getSortSignature(sort) {
+    return sort.map(({ field, direction }) => `${field}:${direction}`).join(',');
+  }
+
+  /**
+   * Build a (document, id) predicate from a filter function or query object
+   * @private
+   * @param {Function|Object} [filter] - Filter function or query object
+   * @returns {Function|null} Predicate, or null when no filtering is needed
+   */
+  _createPredicate(filter) {
+    if (typeof filter === 'function') {
+      return filter;
+    }
+
+    if (filter === undefined || filter === null) {
+      return null;
+    }
+
+    if (!QueryMatcher.isQuery(filter)) {
+      throw new Error('Filter must be a function or a query object');
+    }
+
+    if (Object.keys(filter).length === 0) {
+      return null;
+    }
+
+    const matcher = new QueryMatcher(filter, {
+      getValue: (obj, pathStr) => this.db._getNestedValue(obj, pathStr)
+    });
+
+    return (document, id) => matcher.matches(document, id);
+  }
 }
 
 module.exports = Collection;
\ No newline at end of file
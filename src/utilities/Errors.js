@@ -0,0 +1,116 @@
+/**
+ * JSLiteDB error classes
+ * Specific error types let callers (and the REST API) react to failures without parsing messages
+ */
+
+/**
+ * Base class for all JSLiteDB errors
+ * @extends Error
+ */
+class JSLiteDBError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details={}] - Additional error details, copied onto the error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Thrown when a write would create a duplicate value in a unique index
+ * @extends JSLiteDBError
+ */
+class UniqueConstraintError extends JSLiteDBError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Violation details
+   * @param {string} details.collection - Collection name
+   * @param {string} details.index - Index name
+   * @param {string[]} details.fields - Indexed fields
+   * @param {Array} [details.duplicates] - Duplicate values and the IDs holding them
+   */
+  constructor(message, details) {
+    super(message, details);
+  }
+}
+
+/**
+ * Thrown when a write expects a document revision that is not the current one
+ * @extends JSLiteDBError
+ */
+class ConflictError extends JSLiteDBError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Conflict details
+   * @param {string} details.collection - Collection name
+   * @param {string} details.id - Document ID
+   * @param {number} details.expectedRev - Revision the write expected
+   * @param {number|null} details.currentRev - Current revision (null if the document does not exist or has none)
+   */
+  constructor(message, details) {
+    super(message, details);
+  }
+}
+
+/**
+ * Thrown when a document does not match the JSON Schema of its collection
+ * @extends JSLiteDBError
+ */
+class ValidationError extends JSLiteDBError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Validation details
+   * @param {string} details.collection - Collection name
+   * @param {string} details.id - Document ID
+   * @param {Object[]} details.errors - Schema violations as { path, keyword, message }
+   */
+  constructor(message, details) {
+    super(message, details);
+  }
+}
+
+/**
+ * Thrown when an update operator does not fit the document, e.g. $inc on a string field
+ * @extends JSLiteDBError
+ */
+class UpdateOperatorError extends JSLiteDBError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Update details
+   * @param {string} details.path - Field path the update failed on
+   * @param {string} [details.operator] - Update operator, e.g. '$inc'
+   */
+  constructor(message, details) {
+    super(message, details);
+  }
+}
+
+/**
+ * Thrown when a migration fails
+ * @extends JSLiteDBError
+ */
+class MigrationError extends JSLiteDBError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {string} details.migration - ID of the failed migration
+   * @param {string} details.direction - 'up' or 'down'
+   * @param {string[]} details.completed - IDs of the migrations completed before the failure
+   * @param {Error} details.cause - Error thrown by the migration
+   */
+  constructor(message, details) {
+    super(message, details);
+  }
+}
+
+module.exports = {
+  JSLiteDBError,
+  UniqueConstraintError,
+  ConflictError,
+  ValidationError,
+  UpdateOperatorError,
+  MigrationError
+};
\ No newline at end of file
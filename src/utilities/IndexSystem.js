@@ -4,40 +4,72 @@
  */
 class IndexSystem {
   /**
-   * Create a new index for a specific field
-   * @param {string} field - The field to index (supports dot notation)
+   * Create a new index for a field, or a compound index for several fields
+   * @param {string|string[]} field - The field(s) to index (supports dot notation)
+   * @param {Object} [options={}] - Index options
+   * @param {boolean} [options.unique=false] - Reject documents sharing an indexed value
+   * @param {boolean} [options.sparse=false] - Skip documents missing the field(s) instead of indexing them as null
    */
-  constructor(field) {
-    this.field = field;
+  constructor(field, options = {}) {
+    this.fields = Array.isArray(field) ? field : [field];
+    this.field = IndexSystem.getName(this.fields);
+    this.unique = Boolean(options.unique);
+    this.sparse = Boolean(options.sparse);
+    this.type = 'hash';
     this.index = new Map();
+    this.keyValues = new Map(); // Map<key, indexed values> so removals don't depend on document state
+    this.multikey = false; // True once an array value has been indexed
   }
 
   /**
-   * Add an entry to the index
+   * Get the name of an index over a list of fields
+   * @param {string|string[]} fields - Indexed field(s)
+   * @returns {string} Index name (fields joined by commas)
+   */
+  static getName(fields) {
+    return Array.isArray(fields) ? fields.join(',') : fields;
+  }
+
+  /**
+   * Add an entry to the index. Array fields are indexed by each of their elements.
    * @param {string} key - The document key
    * @param {*} value - The document value
    */
   add(key, value) {
-    const fieldValue = this._getValueByPath(value, this.field);
-    if (fieldValue !== undefined) {
+    if (this.keyValues.has(key)) {
+      this.remove(key);
+    }
+
+    const fieldValues = this._getIndexValues(value);
+    if (fieldValues.length === 0) return;
+
+    for (const fieldValue of fieldValues) {
       if (!this.index.has(fieldValue)) {
         this.index.set(fieldValue, new Set());
+        this._onValueAdded(fieldValue);
       }
       this.index.get(fieldValue).add(key);
     }
+
+    this.keyValues.set(key, fieldValues);
   }
 
   /**
    * Remove an entry from the index
    * @param {string} key - The document key
-   * @param {*} value - The document value
+   * @param {*} [value] - The document value (only used for keys the index has no record of)
    */
   remove(key, value) {
-    const fieldValue = this._getValueByPath(value, this.field);
-    if (fieldValue !== undefined && this.index.has(fieldValue)) {
-      this.index.get(fieldValue).delete(key);
-      if (this.index.get(fieldValue).size === 0) {
-        this.index.delete(fieldValue);
+    const fieldValues = this.keyValues.get(key) || this._getIndexValues(value);
+    this.keyValues.delete(key);
+
+    for (const fieldValue of fieldValues) {
+      if (this.index.has(fieldValue)) {
+        this.index.get(fieldValue).delete(key);
+        if (this.index.get(fieldValue).size === 0) {
+          this.index.delete(fieldValue);
+          this._onValueRemoved(fieldValue);
+        }
       }
     }
   }
@@ -56,6 +88,19 @@ class IndexSystem {
    */
   clear() {
     this.index.clear();
+    this.keyValues.clear();
+    this.multikey = false;
+  }
+
+  /**
+   * Rebuild the index from a set of documents
+   * @param {Iterable<[string, *]>} entries - Iterable of [key, document] pairs
+   */
+  rebuild(entries) {
+    this.clear();
+    for (const [key, value] of entries) {
+      this.add(key, value);
+    }
   }
 
   /**
@@ -74,6 +119,66 @@ class IndexSystem {
     return Array.from(this.index.keys());
   }
 
+  /**
+   * Get the index value for a list of field values (one per indexed field)
+   * @param {*[]} values - Field values, in index field order
+   * @returns {*} The value to look up with get()
+   */
+  getKey(values) {
+    if (this.fields.length === 1) {
+      return values[0] === undefined ? null : values[0];
+    }
+
+    return JSON.stringify(values.map(value => value === undefined ? null : value));
+  }
+
+  /**
+   * Find another key already holding one of a document's indexed values
+   * @param {string} key - The document key
+   * @param {*} value - The document value
+   * @returns {Object|null} The conflict as { value, key }, or null if there is none
+   */
+  findConflict(key, value) {
+    for (const fieldValue of this._getIndexValues(value)) {
+      for (const otherKey of this.get(fieldValue)) {
+        if (otherKey !== key) {
+          return { value: fieldValue, key: otherKey };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the indexed values held by more than one key
+   * @returns {Array<{value: *, keys: string[]}>} Duplicate values
+   */
+  getDuplicates() {
+    const duplicates = [];
+
+    for (const [value, keys] of this.index) {
+      if (keys.size > 1) {
+        duplicates.push({ value, keys: Array.from(keys) });
+      }
+    }
+
+    return duplicates;
+  }
+
+  /**
+   * Get the definition of the index
+   * @returns {Object} { fields, type, unique, sparse }
+   */
+  getDefinition() {
+    return {
+      fields: [...this.fields],
+      type: this.type,
+      unique: this.unique,
+      sparse: this.sparse
+    };
+  }
+
   /**
    * Check if a value exists in the index
    * @param {*} value - The value to check
@@ -90,6 +195,10 @@ class IndexSystem {
   getStats() {
     const stats = {
       field: this.field,
+      fields: [...this.fields],
+      type: this.type,
+      unique: this.unique,
+      sparse: this.sparse,
       uniqueValues: this.index.size,
       totalDocuments: 0,
       distribution: {}
@@ -104,6 +213,47 @@ class IndexSystem {
     return stats;
   }
 
+  /**
+   * Get the values a document contributes to the index
+   * @private
+   * @param {*} value - The document value
+   * @returns {*[]} Distinct indexed values (empty when the field is missing)
+   */
+  _getIndexValues(value) {
+    if (value === undefined) return [];
+
+    if (this.fields.length > 1) {
+      const fieldValues = this.fields.map(field => this._getValueByPath(value, field));
+      if (this.sparse && fieldValues.every(fieldValue => fieldValue === undefined)) return [];
+      if (fieldValues.some(Array.isArray)) this.multikey = true;
+      return [this.getKey(fieldValues)];
+    }
+
+    const fieldValue = this._getValueByPath(value, this.field);
+    if (fieldValue === undefined) return this.sparse ? [] : [null];
+
+    if (Array.isArray(fieldValue)) {
+      this.multikey = true;
+      return Array.from(new Set(fieldValue));
+    }
+
+    return [fieldValue];
+  }
+
+  /**
+   * Hook called when a distinct value enters the index
+   * @protected
+   * @param {*} fieldValue - The new value
+   */
+  _onValueAdded(fieldValue) {}
+
+  /**
+   * Hook called when the last key of a value leaves the index
+   * @protected
+   * @param {*} fieldValue - The removed value
+   */
+  _onValueRemoved(fieldValue) {}
+
   /**
    * Extract value from object using dot notation path
    * @private
@@ -0,0 +1,176 @@
+/**
+ * LRUCache - A least recently used cache bounded by entry count and, optionally, by size in bytes
+ * Entries are kept in a Map in recency order: reads move an entry to the end and
+ * evictions take from the front. Hits, misses and evictions are counted for statistics.
+ */
+class LRUCache {
+  /**
+   * Create a new cache
+   * @param {Object} [options={}] - Cache options
+   * @param {number} [options.maxItems=1000] - Maximum number of entries
+   * @param {number} [options.maxBytes=0] - Maximum total size of the entries in bytes (0 for no size limit)
+   * @param {Function} [options.sizeOf] - (value) => size in bytes, defaults to the length of the value as JSON
+   */
+  constructor(options = {}) {
+    this.maxItems = options.maxItems || 1000;
+    this.maxBytes = options.maxBytes || 0;
+    this.sizeOf = options.sizeOf || LRUCache.jsonSize;
+    this.entries = new Map(); // Map<key, { value, size }>, least recently used first
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Estimate the size of a value as the UTF-8 length of its JSON representation
+   * @param {*} value - Value to measure
+   * @returns {number} Size in bytes
+   */
+  static jsonSize(value) {
+    const json = JSON.stringify(value);
+    return json === undefined ? 0 : Buffer.byteLength(json, 'utf8');
+  }
+
+  /**
+   * Number of cached entries
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Get a cached value and mark it as most recently used
+   * @param {string} key - Cache key
+   * @returns {*} The cached value, or undefined on a miss
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Check whether a key is cached, without affecting recency or statistics
+   * @param {string} key - Cache key
+   * @returns {boolean} True if the key is cached
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Cache a value as the most recently used entry, evicting least recently used entries to stay within bounds.
+   * Values larger than maxBytes on their own are not cached.
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   */
+  set(key, value) {
+    this.delete(key);
+
+    const size = this.maxBytes > 0 ? this.sizeOf(value) : 0;
+    if (this.maxBytes > 0 && size > this.maxBytes) return;
+
+    this.entries.set(key, { value, size });
+    this.bytes += size;
+
+    while (this.entries.size > this.maxItems || (this.maxBytes > 0 && this.bytes > this.maxBytes)) {
+      this._evictOldest();
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   * @returns {boolean} True if the entry existed
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  /**
+   * Remove every entry whose key starts with a prefix
+   * @param {string} prefix - Key prefix
+   * @returns {number} Number of removed entries
+   */
+  deletePrefix(prefix) {
+    let removed = 0;
+    for (const key of Array.from(this.entries.keys())) {
+      if (key.startsWith(prefix)) {
+        this.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Remove all entries. Statistics are kept.
+   */
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Iterate the cached keys, least recently used first
+   * @returns {Iterator<string>} Cache keys
+   */
+  keys() {
+    return this.entries.keys();
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Statistics as { size, maxItems, bytes, maxBytes, hits, misses, evictions, hitRate }
+   * (bytes are only measured when maxBytes is set)
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+
+    return {
+      size: this.entries.size,
+      maxItems: this.maxItems,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hitRate: lookups > 0 ? this.hits / lookups : 0
+    };
+  }
+
+  /**
+   * Reset the hit, miss and eviction counters
+   */
+  resetStats() {
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Evict the least recently used entry
+   * @private
+   */
+  _evictOldest() {
+    const oldestKey = this.entries.keys().next().value;
+    this.delete(oldestKey);
+    this.evictions++;
+  }
+}
+
+module.exports = LRUCache;
\ No newline at end of file
@@ -0,0 +1,253 @@
+const fs = require('fs').promises;
+const path = require('path');
+const AtomicFile = require('./AtomicFile');
+const { MigrationError } = require('./Errors');
+
+const MIGRATION_EXTENSIONS = ['.js', '.cjs'];
+
+/**
+ * MigrationRunner - Applies and rolls back versioned migrations
+ * A migration is a module exporting up(db) and, to support rollback, down(db). Migrations run in the order
+ * of their IDs (file names without the extension), and the IDs of the applied ones are recorded, in the
+ * order they were applied, in a hidden metadata file next to the collection files.
+ * A migration is only recorded once it completed: one that throws halfway stays pending, so migrations
+ * should be safe to run again or do their writes through db.transaction().
+ */
+class MigrationRunner {
+  /**
+   * Create a runner. Use db.migrate(), db.rollbackMigrations() and db.getMigrationStatus() instead of calling this directly.
+   * @param {JSLiteDB} db - Database instance
+   * @param {Object} options - Migration source
+   * @param {string} [options.dir] - Directory of migration files
+   * @param {Object[]} [options.migrations] - Migrations as { id, up, down } (instead of dir)
+   * @throws {Error} If the options are invalid
+   */
+  constructor(db, options = {}) {
+    if ((options.dir === undefined) === (options.migrations === undefined)) {
+      throw new Error('Migrations require either a dir or a migrations array');
+    }
+
+    if (options.dir !== undefined && typeof options.dir !== 'string') {
+      throw new Error('Migrations dir must be a string');
+    }
+
+    if (options.migrations !== undefined && !Array.isArray(options.migrations)) {
+      throw new Error('Migrations must be an array');
+    }
+
+    this.db = db;
+    this.dir = options.dir !== undefined ? path.resolve(options.dir) : null;
+    this.migrations = options.migrations || null;
+  }
+
+  /**
+   * Run the pending migrations in order
+   * @param {Object} [options={}] - Run options
+   * @param {string} [options.to] - Stop after this migration
+   * @returns {string[]} IDs of the applied migrations
+   * @throws {MigrationError} If a migration throws (the migrations before it stay applied)
+   */
+  async up(options = {}) {
+    const migrations = await this._loadMigrations();
+    const applied = await this._readApplied();
+    const appliedIds = new Set(applied.map(entry => entry.id));
+
+    let pending = migrations.filter(migration => !appliedIds.has(migration.id));
+
+    if (options.to !== undefined) {
+      const target = migrations.findIndex(migration => migration.id === options.to);
+      if (target === -1) {
+        throw new Error(`Unknown migration '${options.to}'`);
+      }
+      pending = pending.filter(migration => migrations.indexOf(migration) <= target);
+    }
+
+    const completed = [];
+
+    for (const migration of pending) {
+      await this._run(migration, 'up', completed);
+
+      applied.push({ id: migration.id, appliedAt: new Date().toISOString() });
+      await this._writeApplied(applied);
+      completed.push(migration.id);
+    }
+
+    return completed;
+  }
+
+  /**
+   * Roll back applied migrations, most recently applied first
+   * @param {Object} [options={}] - Rollback options
+   * @param {number} [options.steps=1] - Number of migrations to roll back (Infinity for all)
+   * @param {string} [options.to] - Roll back every migration applied after this one instead
+   * @returns {string[]} IDs of the rolled back migrations
+   * @throws {MigrationError} If a migration throws (the migrations before it stay rolled back)
+   * @throws {Error} If a migration to roll back is missing or has no down function
+   */
+  async down(options = {}) {
+    const migrations = await this._loadMigrations();
+    const applied = await this._readApplied();
+
+    let count;
+    if (options.to !== undefined) {
+      const target = applied.findIndex(entry => entry.id === options.to);
+      if (target === -1) {
+        throw new Error(`Migration '${options.to}' is not applied`);
+      }
+      count = applied.length - target - 1;
+    } else {
+      const steps = options.steps === undefined ? 1 : options.steps;
+      if (!(Number.isInteger(steps) || steps === Infinity) || steps < 0) {
+        throw new Error('Rollback steps must be a non-negative integer');
+      }
+      count = Math.min(steps, applied.length);
+    }
+
+    const toRollBack = applied.slice(applied.length - count).reverse().map(entry => {
+      const migration = migrations.find(candidate => candidate.id === entry.id);
+      if (!migration) {
+        throw new Error(`Migration '${entry.id}' is applied but was not found`);
+      }
+      if (typeof migration.down !== 'function') {
+        throw new Error(`Migration '${entry.id}' cannot be rolled back: it has no down function`);
+      }
+      return migration;
+    });
+
+    const completed = [];
+
+    for (const migration of toRollBack) {
+      await this._run(migration, 'down', completed);
+
+      applied.pop();
+      await this._writeApplied(applied);
+      completed.push(migration.id);
+    }
+
+    return completed;
+  }
+
+  /**
+   * Get the state of every known migration, followed by applied migrations that were not found
+   * @returns {Object[]} Migrations as { id, applied, appliedAt, missing }, in run order
+   */
+  async status() {
+    const migrations = await this._loadMigrations();
+    const applied = await this._readApplied();
+    const appliedAt = new Map(applied.map(entry => [entry.id, entry.appliedAt]));
+    const known = new Set(migrations.map(migration => migration.id));
+
+    return migrations
+      .map(({ id }) => ({ id, applied: appliedAt.has(id), appliedAt: appliedAt.get(id) || null, missing: false }))
+      .concat(applied
+        .filter(entry => !known.has(entry.id))
+        .map(entry => ({ id: entry.id, applied: true, appliedAt: entry.appliedAt, missing: true })));
+  }
+
+  /**
+   * Run one direction of a migration
+   * @private
+   * @param {Object} migration - Migration as { id, up, down }
+   * @param {string} direction - 'up' or 'down'
+   * @param {string[]} completed - IDs of the migrations completed before this one
+   * @throws {MigrationError} If the migration throws
+   */
+  async _run(migration, direction, completed) {
+    const startTime = Date.now();
+
+    try {
+      await migration[direction](this.db);
+    } catch (error) {
+      throw new MigrationError(
+        `Migration '${migration.id}' failed (${direction}): ${error.message}`,
+        { migration: migration.id, direction, completed: completed.slice(), cause: error }
+      );
+    }
+
+    this.db.logger.info(`Migration '${migration.id}' ${direction === 'up' ? 'applied' : 'rolled back'}`, {
+      duration: Date.now() - startTime
+    });
+    this.db.emit(`migration:${direction}`, { id: migration.id });
+  }
+
+  /**
+   * Load the migrations, sorted by ID
+   * @private
+   * @returns {Object[]} Migrations as { id, up, down }
+   * @throws {Error} If a migration is invalid or an ID is used twice
+   */
+  async _loadMigrations() {
+    const migrations = this.dir !== null ? await this._loadDirectory() : this.migrations;
+    const ids = new Set();
+
+    for (const migration of migrations) {
+      if (!migration || typeof migration.id !== 'string' || migration.id === '') {
+        throw new Error('Every migration requires a non-empty string id');
+      }
+      if (typeof migration.up !== 'function') {
+        throw new Error(`Migration '${migration.id}' must export an up function`);
+      }
+      if (migration.down !== undefined && typeof migration.down !== 'function') {
+        throw new Error(`Migration '${migration.id}' has a down export that is not a function`);
+      }
+      if (ids.has(migration.id)) {
+        throw new Error(`Duplicate migration id '${migration.id}'`);
+      }
+      ids.add(migration.id);
+    }
+
+    return migrations.slice().sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  }
+
+  /**
+   * Load the migration files of the migrations directory (hidden files are skipped)
+   * @private
+   * @returns {Object[]} Migrations as { id, up, down }
+   */
+  async _loadDirectory() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Migrations directory not found: ${this.dir}`);
+      }
+      throw error;
+    }
+
+    return files
+      .filter(file => !file.startsWith('.') && MIGRATION_EXTENSIONS.includes(path.extname(file)))
+      .map(file => {
+        const module = require(path.join(this.dir, file));
+        return { id: path.basename(file, path.extname(file)), up: module.up, down: module.down };
+      });
+  }
+
+  /**
+   * Read the applied migrations from the metadata file
+   * @private
+   * @returns {Object[]} Applied migrations as { id, appliedAt }, in the order they were applied
+   */
+  async _readApplied() {
+    try {
+      const content = await fs.readFile(this.db.migrationsFilePath, 'utf8');
+      return JSON.parse(content).applied;
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Write the applied migrations to the metadata file
+   * @private
+   * @param {Object[]} applied - Applied migrations as { id, appliedAt }
+   */
+  async _writeApplied(applied) {
+    await AtomicFile.write(this.db.migrationsFilePath, JSON.stringify({ applied }, null, 2), {
+      syncDirectory: this.db.fsyncDirectory
+    });
+  }
+}
+
+module.exports = MigrationRunner;
\ No newline at end of file
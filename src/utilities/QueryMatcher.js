@@ -0,0 +1,269 @@
+const Validator = require('./Validator');
+
+/**
+ * QueryMatcher - Evaluates MongoDB-style query objects against documents
+ * Supports comparison, set, element, regex and logical operators with dot notation paths
+ */
+class QueryMatcher {
+  /**
+   * Create a matcher for a query object
+   * @param {Object} query - Query object, e.g. { age: { $gte: 18 }, "address.city": "Oslo" }
+   * @param {Object} [options={}] - Matcher options
+   * @param {Function} [options.getValue] - Custom (object, path) => value resolver for dot notation paths
+   * @throws {Error} If the query is not a valid query object
+   */
+  constructor(query, options = {}) {
+    const validation = Validator.validateQuery(query);
+    if (!validation.valid) {
+      throw new Error(`Invalid query: ${validation.error}`);
+    }
+
+    this.query = query;
+    this.getValue = options.getValue || ((obj, pathStr) => this._getValueByPath(obj, pathStr));
+  }
+
+  /**
+   * Check whether a value is a query object (as opposed to a filter function)
+   * @param {*} value - Value to check
+   * @returns {boolean} True if value is a plain object
+   */
+  static isQuery(value) {
+    return QueryMatcher._isPlainObject(value);
+  }
+
+  /**
+   * Check whether a document matches the query
+   * @param {Object} document - The document to test
+   * @param {string} [id] - The document ID, used when querying the "id" field
+   * @returns {boolean} True if the document matches
+   */
+  matches(document, id) {
+    return this._matchQuery(this.query, document, id);
+  }
+
+  /**
+   * Match a (sub)query against a document
+   * @private
+   * @param {Object} query - Query object
+   * @param {Object} document - Document to test
+   * @param {string} [id] - Document ID
+   * @returns {boolean} True if the document matches
+   */
+  _matchQuery(query, document, id) {
+    for (const [key, condition] of Object.entries(query)) {
+      switch (key) {
+        case '$and':
+          if (!condition.every(subQuery => this._matchQuery(subQuery, document, id))) return false;
+          break;
+        case '$or':
+          if (!condition.some(subQuery => this._matchQuery(subQuery, document, id))) return false;
+          break;
+        case '$not':
+          if (this._matchQuery(condition, document, id)) return false;
+          break;
+        default:
+          if (!this._matchCondition(this._resolve(document, key, id), condition)) return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Resolve a field path on a document, falling back to the document ID for "id"
+   * @private
+   * @param {Object} document - Document
+   * @param {string} pathStr - Dot notation path
+   * @param {string} [id] - Document ID
+   * @returns {*} The resolved value
+   */
+  _resolve(document, pathStr, id) {
+    const value = this.getValue(document, pathStr);
+    if (value === undefined && pathStr === 'id' && id !== undefined) {
+      return id;
+    }
+    return value;
+  }
+
+  /**
+   * Match a field condition (literal value or operator expression)
+   * @private
+   * @param {*} value - The field value
+   * @param {*} condition - Literal value or operator object
+   * @returns {boolean} True if the value satisfies the condition
+   */
+  _matchCondition(value, condition) {
+    if (condition instanceof RegExp) {
+      return this._matchOperator(value, '$regex', condition);
+    }
+
+    if (!QueryMatcher._isOperatorObject(condition)) {
+      return this._matchOperator(value, '$eq', condition);
+    }
+
+    for (const [operator, operand] of Object.entries(condition)) {
+      if (operator === '$options') continue;
+
+      const target = operator === '$regex' && condition.$options
+        ? new RegExp(operand, condition.$options)
+        : operand;
+
+      if (!this._matchOperator(value, operator, target)) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Apply a single operator to a field value
+   * @private
+   * @param {*} value - The field value
+   * @param {string} operator - Operator name (e.g. "$gt")
+   * @param {*} operand - Operator argument
+   * @returns {boolean} True if the operator matches
+   */
+  _matchOperator(value, operator, operand) {
+    switch (operator) {
+      case '$eq':
+        return this._matchesAny(value, item => QueryMatcher.equals(item, operand));
+      case '$ne':
+        return !this._matchesAny(value, item => QueryMatcher.equals(item, operand));
+      case '$gt':
+        return this._matchesAny(value, item => this._compare(item, operand) > 0);
+      case '$gte':
+        return this._matchesAny(value, item => this._compare(item, operand) >= 0);
+      case '$lt':
+        return this._matchesAny(value, item => this._compare(item, operand) < 0);
+      case '$lte':
+        return this._matchesAny(value, item => this._compare(item, operand) <= 0);
+      case '$in':
+        return operand.some(candidate => this._matchCondition(value, candidate instanceof RegExp ? candidate : { $eq: candidate }));
+      case '$nin':
+        return !operand.some(candidate => this._matchCondition(value, candidate instanceof RegExp ? candidate : { $eq: candidate }));
+      case '$exists':
+        return (value !== undefined) === Boolean(operand);
+      case '$regex': {
+        const regex = operand instanceof RegExp ? operand : new RegExp(operand);
+        return this._matchesAny(value, item => typeof item === 'string' && regex.test(item));
+      }
+      case '$not':
+        return !this._matchCondition(value, operand);
+      case '$elemMatch':
+        return Array.isArray(value) && value.some(item =>
+          QueryMatcher._isOperatorObject(operand) || !QueryMatcher._isPlainObject(item)
+            ? this._matchCondition(item, operand)
+            : this._matchQuery(operand, item)
+        );
+      case '$size':
+        return Array.isArray(value) && value.length === operand;
+      default:
+        throw new Error(`Unsupported query operator: ${operator}`);
+    }
+  }
+
+  /**
+   * Test a predicate against a value, or against any element when the value is an array
+   * @private
+   * @param {*} value - Field value
+   * @param {Function} predicate - Predicate to apply
+   * @returns {boolean} True if the predicate matches
+   */
+  _matchesAny(value, predicate) {
+    if (predicate(value)) return true;
+    return Array.isArray(value) && value.some(predicate);
+  }
+
+  /**
+   * Compare two values of the same type
+   * @private
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {number} Negative, zero or positive; NaN when the values are not comparable
+   */
+  _compare(a, b) {
+    if (a instanceof Date) a = a.getTime();
+    if (b instanceof Date) b = b.getTime();
+
+    if (a === null || a === undefined || b === null || b === undefined || typeof a !== typeof b) {
+      return NaN;
+    }
+
+    if (typeof a === 'number' || typeof a === 'string' || typeof a === 'boolean') {
+      return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    return NaN;
+  }
+
+  /**
+   * Deep equality check used by $eq/$ne/$in/$nin. A null operand also matches missing fields.
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {boolean} True if the values are equal
+   */
+  static equals(a, b) {
+    if (b === null) return a === null || a === undefined;
+    if (a === b) return true;
+
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length === b.length && a.every((item, index) => QueryMatcher.equals(item, b[index]));
+    }
+
+    if (QueryMatcher._isPlainObject(a) && QueryMatcher._isPlainObject(b)) {
+      const aKeys = Object.keys(a);
+      const bKeys = Object.keys(b);
+      return aKeys.length === bKeys.length &&
+        aKeys.every(key => Object.prototype.hasOwnProperty.call(b, key) && QueryMatcher.equals(a[key], b[key]));
+    }
+
+    return false;
+  }
+
+  /**
+   * Check whether a value is a plain object
+   * @private
+   * @param {*} value - Value to check
+   * @returns {boolean} True if value is a plain object
+   */
+  static _isPlainObject(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+  }
+
+  /**
+   * Check whether a value is an operator expression such as { $gt: 5 }
+   * @private
+   * @param {*} value - Value to check
+   * @returns {boolean} True if every key of the object is an operator
+   */
+  static _isOperatorObject(value) {
+    if (!QueryMatcher._isPlainObject(value)) return false;
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys.every(key => key.startsWith('$'));
+  }
+
+  /**
+   * Extract value from object using dot notation path
+   * @private
+   * @param {Object} obj - The object to extract from
+   * @param {string} pathStr - The dot notation path
+   * @returns {*} The extracted value or undefined
+   */
+  _getValueByPath(obj, pathStr) {
+    const keys = pathStr.split(".");
+    let result = obj;
+    for (const key of keys) {
+      if (result && Object.prototype.hasOwnProperty.call(result, key)) {
+        result = result[key];
+      } else {
+        return undefined;
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = QueryMatcher;
\ No newline at end of file
@@ -0,0 +1,468 @@
+const QueryMatcher = require('./QueryMatcher');
+const UpdateOperators = require('./UpdateOperators');
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+const FORMATS = {
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  time: /^\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/i,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uri: /^[a-z][a-z\d+.-]*:[^\s]*$/i,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+};
+
+const SCHEMA_KEYWORDS = ['properties', 'additionalProperties', 'items', 'not'];
+const SCHEMA_LIST_KEYWORDS = ['allOf', 'anyOf', 'oneOf'];
+const NUMBER_KEYWORDS = ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf'];
+const COUNT_KEYWORDS = ['minLength', 'maxLength', 'minItems', 'maxItems', 'minProperties', 'maxProperties'];
+
+/**
+ * SchemaValidator - Validates documents against a JSON Schema
+ * Supports the commonly used keywords: type, enum, const, properties, required, additionalProperties,
+ * items, string/number/array/object bounds, pattern, format, allOf, anyOf, oneOf and not.
+ * Unknown keywords (e.g. title, description, $schema) are ignored. Validation can fill in defaults
+ * and coerce values to the expected types; the input document is never modified.
+ */
+class SchemaValidator {
+  /**
+   * Create a validator for a schema
+   * @param {Object|boolean} schema - JSON Schema
+   * @param {Object} [options={}] - Validation options
+   * @param {boolean} [options.useDefaults=true] - Fill in missing properties from their "default"
+   * @param {boolean|string} [options.coerceTypes=false] - Convert scalars to the expected type (e.g. "42" to 42);
+   * "array" also wraps scalars into arrays and unwraps single-item arrays
+   * @throws {Error} If the schema or the options are invalid
+   */
+  constructor(schema, options = {}) {
+    const validation = SchemaValidator.validateSchema(schema);
+    if (!validation.valid) {
+      throw new Error(`Invalid schema: ${validation.error}`);
+    }
+
+    if (![undefined, true, false, 'array'].includes(options.coerceTypes)) {
+      throw new Error('Invalid schema options: coerceTypes must be true, false or "array"');
+    }
+
+    this.schema = schema;
+    this.useDefaults = options.useDefaults !== false;
+    this.coerceTypes = options.coerceTypes || false;
+    this.patterns = new Map(); // Map<pattern, RegExp>
+  }
+
+  /**
+   * Check that a value is a schema this validator supports
+   * @param {*} schema - Schema to check
+   * @param {string} [path='#'] - Location of the schema, for error messages
+   * @returns {Object} Validation result with { valid: boolean, error?: string }
+   */
+  static validateSchema(schema, path = '#') {
+    const invalid = (error) => ({ valid: false, error: `${path}: ${error}` });
+
+    if (typeof schema === 'boolean') return { valid: true };
+    if (!QueryMatcher._isPlainObject(schema)) return invalid('schema must be an object or a boolean');
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const unknownType = types.find(type => !TYPES.includes(type));
+      if (types.length === 0 || unknownType !== undefined) {
+        return invalid(`type must be one of: ${TYPES.join(', ')}`);
+      }
+    }
+
+    if (schema.enum !== undefined && !Array.isArray(schema.enum)) return invalid('enum must be an array');
+
+    if (schema.required !== undefined &&
+      (!Array.isArray(schema.required) || !schema.required.every(key => typeof key === 'string'))) {
+      return invalid('required must be an array of property names');
+    }
+
+    for (const keyword of NUMBER_KEYWORDS) {
+      if (schema[keyword] !== undefined && typeof schema[keyword] !== 'number') return invalid(`${keyword} must be a number`);
+    }
+
+    for (const keyword of COUNT_KEYWORDS) {
+      if (schema[keyword] !== undefined && !(Number.isInteger(schema[keyword]) && schema[keyword] >= 0)) {
+        return invalid(`${keyword} must be a non-negative integer`);
+      }
+    }
+
+    if (schema.pattern !== undefined) {
+      try {
+        SchemaValidator._compilePattern(schema.pattern);
+      } catch (error) {
+        return invalid(`pattern is not a valid regular expression: ${schema.pattern}`);
+      }
+    }
+
+    if (schema.format !== undefined && !FORMATS[schema.format]) {
+      return invalid(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    if (schema.properties !== undefined) {
+      if (!QueryMatcher._isPlainObject(schema.properties)) return invalid('properties must be an object');
+
+      for (const [key, propertySchema] of Object.entries(schema.properties)) {
+        const result = this.validateSchema(propertySchema, `${path}/properties/${key}`);
+        if (!result.valid) return result;
+      }
+    }
+
+    for (const keyword of SCHEMA_KEYWORDS.filter(keyword => keyword !== 'properties')) {
+      if (schema[keyword] === undefined) continue;
+      const result = this.validateSchema(schema[keyword], `${path}/${keyword}`);
+      if (!result.valid) return result;
+    }
+
+    for (const keyword of SCHEMA_LIST_KEYWORDS) {
+      if (schema[keyword] === undefined) continue;
+      if (!Array.isArray(schema[keyword]) || schema[keyword].length === 0) return invalid(`${keyword} must be a non-empty array`);
+
+      for (let i = 0; i < schema[keyword].length; i++) {
+        const result = this.validateSchema(schema[keyword][i], `${path}/${keyword}/${i}`);
+        if (!result.valid) return result;
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate a value against the schema
+   * @param {*} value - Value to validate
+   * @returns {Object} { valid, value, errors }, where value is a copy with defaults and coercions applied
+   * and errors holds { path, keyword, message } with dot notation paths ('' for the value itself)
+   */
+  validate(value) {
+    const errors = [];
+    const copy = this.useDefaults || this.coerceTypes ? UpdateOperators._clone(value) : value;
+    const result = this._validate(this.schema, copy, '', errors);
+
+    return { valid: errors.length === 0, value: result, errors };
+  }
+
+  /**
+   * Validate a value against a (sub)schema, collecting errors
+   * @private
+   * @param {Object|boolean} schema - Schema
+   * @param {*} value - Value to validate, modified in place by defaults
+   * @param {string} path - Dot notation path of the value
+   * @param {Object[]} errors - Collected errors
+   * @returns {*} The value, coerced if needed
+   */
+  _validate(schema, value, path, errors) {
+    const fail = (keyword, message) => errors.push({ path, keyword, message });
+
+    if (schema === true) return value;
+    if (schema === false) {
+      fail('false', 'is not allowed');
+      return value;
+    }
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+      if (!types.some(type => this._isType(value, type))) {
+        const coerced = this.coerceTypes ? this._coerce(value, types) : null;
+        if (!coerced) {
+          fail('type', `must be ${types.join(' or ')}`);
+          return value;
+        }
+        value = coerced.value;
+      }
+    }
+
+    if (schema.const !== undefined && !QueryMatcher.equals(value, schema.const)) {
+      fail('const', `must be equal to ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.enum !== undefined && !schema.enum.some(allowed => QueryMatcher.equals(value, allowed))) {
+      fail('enum', `must be one of: ${schema.enum.map(allowed => JSON.stringify(allowed)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      this._validateString(schema, value, fail);
+    } else if (typeof value === 'number') {
+      this._validateNumber(schema, value, fail);
+    } else if (Array.isArray(value)) {
+      this._validateArray(schema, value, path, errors, fail);
+    } else if (QueryMatcher._isPlainObject(value)) {
+      this._validateObject(schema, value, path, errors, fail);
+    }
+
+    if (schema.allOf) {
+      for (const subschema of schema.allOf) {
+        value = this._validate(subschema, value, path, errors);
+      }
+    }
+
+    // Alternatives are only checked: their defaults and coercions are not applied
+    const matches = (subschema) => {
+      const subErrors = [];
+      this._validate(subschema, UpdateOperators._clone(value), path, subErrors);
+      return subErrors.length === 0;
+    };
+
+    if (schema.anyOf && !schema.anyOf.some(matches)) {
+      fail('anyOf', 'must match at least one of the allowed schemas');
+    }
+
+    if (schema.oneOf && schema.oneOf.filter(matches).length !== 1) {
+      fail('oneOf', 'must match exactly one of the allowed schemas');
+    }
+
+    if (schema.not !== undefined && matches(schema.not)) {
+      fail('not', 'must not match the excluded schema');
+    }
+
+    return value;
+  }
+
+  /**
+   * Check the string keywords of a schema
+   * @private
+   * @param {Object} schema - Schema
+   * @param {string} value - String value
+   * @param {Function} fail - (keyword, message) => void
+   */
+  _validateString(schema, value, fail) {
+    const length = Array.from(value).length;
+
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail('minLength', `must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail('maxLength', `must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !this._getPattern(schema.pattern).test(value)) {
+      fail('pattern', `must match pattern ${schema.pattern}`);
+    }
+    if (schema.format !== undefined && !FORMATS[schema.format].test(value)) {
+      fail('format', `must be a valid ${schema.format}`);
+    }
+  }
+
+  /**
+   * Check the number keywords of a schema
+   * @private
+   * @param {Object} schema - Schema
+   * @param {number} value - Number value
+   * @param {Function} fail - (keyword, message) => void
+   */
+  _validateNumber(schema, value, fail) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+      fail('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  /**
+   * Check the array keywords of a schema and validate the items
+   * @private
+   * @param {Object} schema - Schema
+   * @param {Array} value - Array value, whose items are replaced by their coerced values
+   * @param {string} path - Dot notation path of the array
+   * @param {Object[]} errors - Collected errors
+   * @param {Function} fail - (keyword, message) => void
+   */
+  _validateArray(schema, value, path, errors, fail) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+
+    if (schema.items !== undefined) {
+      for (let i = 0; i < value.length; i++) {
+        value[i] = this._validate(schema.items, value[i], SchemaValidator._joinPath(path, i), errors);
+      }
+    }
+
+    if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => QueryMatcher.equals(other, item)) !== i)) {
+      fail('uniqueItems', 'must not contain duplicate items');
+    }
+  }
+
+  /**
+   * Check the object keywords of a schema, fill in defaults and validate the properties
+   * @private
+   * @param {Object} schema - Schema
+   * @param {Object} value - Object value, modified in place by defaults and coercions
+   * @param {string} path - Dot notation path of the object
+   * @param {Object[]} errors - Collected errors
+   * @param {Function} fail - (keyword, message) => void
+   */
+  _validateObject(schema, value, path, errors, fail) {
+    const properties = schema.properties || {};
+
+    if (this.useDefaults) {
+      for (const [key, propertySchema] of Object.entries(properties)) {
+        if (value[key] === undefined && propertySchema && propertySchema.default !== undefined) {
+          value[key] = UpdateOperators._clone(propertySchema.default);
+        }
+      }
+    }
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: SchemaValidator._joinPath(path, key), keyword: 'required', message: 'is required' });
+      }
+    }
+
+    const keys = Object.keys(value);
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      fail('minProperties', `must have at least ${schema.minProperties} properties`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      fail('maxProperties', `must have at most ${schema.maxProperties} properties`);
+    }
+
+    for (const key of keys) {
+      const propertyPath = SchemaValidator._joinPath(path, key);
+
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        value[key] = this._validate(properties[key], value[key], propertyPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: propertyPath, keyword: 'additionalProperties', message: 'is not allowed' });
+      } else if (schema.additionalProperties !== undefined) {
+        value[key] = this._validate(schema.additionalProperties, value[key], propertyPath, errors);
+      }
+    }
+  }
+
+  /**
+   * Check whether a value has a JSON Schema type
+   * @private
+   * @param {*} value - Value to check
+   * @param {string} type - JSON Schema type
+   * @returns {boolean} True if the value has the type
+   */
+  _isType(value, type) {
+    switch (type) {
+      case 'string': return typeof value === 'string';
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'integer': return Number.isInteger(value);
+      case 'boolean': return typeof value === 'boolean';
+      case 'object': return QueryMatcher._isPlainObject(value);
+      case 'array': return Array.isArray(value);
+      case 'null': return value === null;
+      default: return false;
+    }
+  }
+
+  /**
+   * Convert a value to the first of the expected types it can represent
+   * @private
+   * @param {*} value - Value to convert
+   * @param {string[]} types - Expected types
+   * @returns {Object|null} { value } with the converted value, or null if no conversion applies
+   */
+  _coerce(value, types) {
+    if (this.coerceTypes === 'array') {
+      if (Array.isArray(value) && value.length === 1 && !types.includes('array')) {
+        if (types.some(type => this._isType(value[0], type))) return { value: value[0] };
+        return this._coerce(value[0], types);
+      }
+
+      if (!Array.isArray(value) && types.includes('array')) {
+        return { value: [value] };
+      }
+    }
+
+    for (const type of types) {
+      const coerced = this._coerceScalar(value, type);
+      if (coerced) return coerced;
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert a scalar to a scalar type
+   * @private
+   * @param {*} value - Value to convert
+   * @param {string} type - Target type
+   * @returns {Object|null} { value } with the converted value, or null if the value cannot be converted
+   */
+  _coerceScalar(value, type) {
+    const isNumeric = typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+
+    switch (type) {
+      case 'string':
+        if (typeof value === 'number' || typeof value === 'boolean') return { value: String(value) };
+        if (value === null) return { value: '' };
+        break;
+      case 'number':
+      case 'integer': {
+        let number = null;
+        if (isNumeric) number = Number(value);
+        if (typeof value === 'boolean') number = value ? 1 : 0;
+        if (value === null) number = 0;
+        if (number !== null && (type === 'number' || Number.isInteger(number))) return { value: number };
+        break;
+      }
+      case 'boolean':
+        if (value === 'true' || value === 1) return { value: true };
+        if (value === 'false' || value === 0 || value === null) return { value: false };
+        break;
+      case 'null':
+        if (value === '' || value === 0 || value === false) return { value: null };
+        break;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the compiled RegExp of a pattern
+   * @private
+   * @param {string} pattern - Pattern source
+   * @returns {RegExp} Compiled pattern
+   */
+  _getPattern(pattern) {
+    let regex = this.patterns.get(pattern);
+    if (!regex) {
+      regex = SchemaValidator._compilePattern(pattern);
+      this.patterns.set(pattern, regex);
+    }
+    return regex;
+  }
+
+  /**
+   * Compile a pattern as a unicode RegExp. Schema checks and validation both compile through here,
+   * so a pattern accepted by validateSchema never fails to compile while validating.
+   * @private
+   * @param {string} pattern - Pattern source
+   * @returns {RegExp} Compiled pattern
+   * @throws {SyntaxError} If the pattern is not a valid unicode regular expression
+   */
+  static _compilePattern(pattern) {
+    return new RegExp(pattern, 'u');
+  }
+
+  /**
+   * Append a property name or array index to a dot notation path
+   * @private
+   * @param {string} path - Parent path ('' for the root)
+   * @param {string|number} key - Property name or index
+   * @returns {string} Child path
+   */
+  static _joinPath(path, key) {
+    return path ? `${path}.${key}` : String(key);
+  }
+}
+
+module.exports = SchemaValidator;
\ No newline at end of file
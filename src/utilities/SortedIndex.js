@@ -0,0 +1,376 @@
+const IndexSystem = require('./IndexSystem');
+
+const MAX_LEVEL = 32;
+const PROBABILITY = 0.25;
+
+/**
+ * SortedIndex - An ordered index for range queries and sorted scans
+ * Keeps the distinct field values in a skip list next to the hash index, giving
+ * O(log n) range lookups, ordered iteration and min/max queries.
+ * @extends IndexSystem
+ */
+class SortedIndex extends IndexSystem {
+  /**
+   * Create a new sorted index for a specific field
+   * @param {string} field - The field to index (supports dot notation)
+   * @param {Object} [options={}] - Index options (see IndexSystem)
+   */
+  constructor(field, options = {}) {
+    if (Array.isArray(field) && field.length > 1) {
+      throw new Error('Sorted indexes support a single field');
+    }
+
+    super(field, options);
+    this.type = 'sorted';
+    this.missing = new Set(); // Keys of documents without an indexed value (sparse index or empty array)
+    this._resetList();
+  }
+
+  /**
+   * Compare two values using a total order across types:
+   * missing/null < numbers < strings < booleans < objects
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {number} Negative, zero or positive
+   */
+  static compareValues(a, b) {
+    const rankA = SortedIndex._typeRank(a);
+    const rankB = SortedIndex._typeRank(b);
+
+    if (rankA !== rankB) return rankA - rankB;
+    if (rankA === 0) return 0;
+
+    if (rankA === 4) {
+      a = JSON.stringify(a);
+      b = JSON.stringify(b);
+    }
+
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  /**
+   * Add an entry to the index
+   * @param {string} key - The document key
+   * @param {*} value - The document value
+   */
+  add(key, value) {
+    super.add(key, value);
+
+    if (!this.keyValues.has(key)) {
+      this.missing.add(key);
+    }
+  }
+
+  /**
+   * Remove an entry from the index
+   * @param {string} key - The document key
+   * @param {*} [value] - The document value
+   */
+  remove(key, value) {
+    this.missing.delete(key);
+    super.remove(key, value);
+  }
+
+  /**
+   * Clear the entire index
+   */
+  clear() {
+    super.clear();
+    this.missing.clear();
+    this._resetList();
+  }
+
+  /**
+   * Get the keys whose value falls within a range, in index order.
+   * Bounds only match values of the same type (e.g. numeric bounds never match strings).
+   * @param {Object} bounds - Range bounds
+   * @param {*} [bounds.gt] - Exclusive lower bound
+   * @param {*} [bounds.gte] - Inclusive lower bound
+   * @param {*} [bounds.lt] - Exclusive upper bound
+   * @param {*} [bounds.lte] - Inclusive upper bound
+   * @param {string} [direction='asc'] - Iteration order ('asc' or 'desc')
+   * @returns {Generator<string>} Matching keys
+   */
+  *range(bounds = {}, direction = 'asc') {
+    const lower = bounds.gt !== undefined ? { value: bounds.gt, inclusive: false }
+      : bounds.gte !== undefined ? { value: bounds.gte, inclusive: true } : null;
+    const upper = bounds.lt !== undefined ? { value: bounds.lt, inclusive: false }
+      : bounds.lte !== undefined ? { value: bounds.lte, inclusive: true } : null;
+
+    const rank = SortedIndex._typeRank((lower || upper || {}).value);
+    if (lower && upper && SortedIndex._typeRank(upper.value) !== rank) return;
+
+    const inRange = (value) => {
+      if (lower || upper) {
+        if (SortedIndex._typeRank(value) !== rank) return false;
+      }
+      if (lower) {
+        const cmp = SortedIndex.compareValues(value, lower.value);
+        if (cmp < 0 || (cmp === 0 && !lower.inclusive)) return false;
+      }
+      if (upper) {
+        const cmp = SortedIndex.compareValues(value, upper.value);
+        if (cmp > 0 || (cmp === 0 && !upper.inclusive)) return false;
+      }
+      return true;
+    };
+
+    let node;
+    if (direction === 'desc') {
+      node = upper
+        ? this._lastBefore(value => {
+          const cmp = SortedIndex.compareValues(value, upper.value);
+          return cmp < 0 || (cmp === 0 && upper.inclusive);
+        })
+        : lower ? this._lastBefore(value => SortedIndex._typeRank(value) <= rank) : this.tail;
+
+      while (node && node !== this.head && inRange(node.value)) {
+        yield* this.index.get(node.value);
+        node = node.backward;
+      }
+    } else {
+      node = lower
+        ? this._lastBefore(value => {
+          const cmp = SortedIndex.compareValues(value, lower.value);
+          return cmp < 0 || (cmp === 0 && !lower.inclusive);
+        }).forward[0]
+        : upper ? this._lastBefore(value => SortedIndex._typeRank(value) < rank).forward[0] : this.head.forward[0];
+
+      while (node && inRange(node.value)) {
+        yield* this.index.get(node.value);
+        node = node.forward[0];
+      }
+    }
+  }
+
+  /**
+   * Iterate all keys in field order. Documents without an indexed value come first
+   * in ascending order and last in descending order.
+   * @param {string} [direction='asc'] - Iteration order ('asc' or 'desc')
+   * @returns {Generator<string>} Keys in order
+   */
+  *entries(direction = 'asc') {
+    if (direction === 'desc') {
+      yield* this.range({}, 'desc');
+      yield* this.missing;
+    } else {
+      yield* this.missing;
+      yield* this.range({}, 'asc');
+    }
+  }
+
+  /**
+   * Iterate keys in field order, starting at the keys whose value equals a given value
+   * (or the first value after it) and continuing across value types, as entries() orders them.
+   * Seeking costs O(log n), so resuming a scan does not walk the values before the start.
+   * @param {*} value - Value to start at (inclusive)
+   * @param {string} [direction='asc'] - Iteration order ('asc' or 'desc')
+   * @returns {Generator<string>} Keys in order
+   */
+  *entriesFrom(value, direction = 'asc') {
+    if (direction === 'desc') {
+      for (let node = this._lastBefore(current => SortedIndex.compareValues(current, value) <= 0);
+        node !== this.head; node = node.backward) {
+        yield* this.index.get(node.value);
+      }
+      yield* this.missing;
+      return;
+    }
+
+    // Documents without an indexed value sort as missing values, before everything else
+    if (SortedIndex._typeRank(value) === 0) {
+      yield* this.missing;
+    }
+
+    for (let node = this._lastBefore(current => SortedIndex.compareValues(current, value) < 0).forward[0];
+      node; node = node.forward[0]) {
+      yield* this.index.get(node.value);
+    }
+  }
+
+  /**
+   * Get the smallest indexed value
+   * @returns {*} The minimum value, or undefined if the index is empty
+   */
+  min() {
+    const first = this.head.forward[0];
+    return first ? first.value : undefined;
+  }
+
+  /**
+   * Get the largest indexed value
+   * @returns {*} The maximum value, or undefined if the index is empty
+   */
+  max() {
+    return this.tail ? this.tail.value : undefined;
+  }
+
+  /**
+   * Get all indexed values in ascending order
+   * @returns {*[]} Array of all indexed values
+   */
+  getIndexedValues() {
+    const values = [];
+    for (let node = this.head.forward[0]; node; node = node.forward[0]) {
+      values.push(node.value);
+    }
+    return values;
+  }
+
+  /**
+   * Get statistics about the index
+   * @returns {Object} Index statistics
+   */
+  getStats() {
+    return {
+      ...super.getStats(),
+      missingDocuments: this.missing.size,
+      min: this.min(),
+      max: this.max()
+    };
+  }
+
+  /**
+   * Insert a distinct value into the skip list
+   * @protected
+   * @param {*} fieldValue - The new value
+   */
+  _onValueAdded(fieldValue) {
+    const newNode = { value: fieldValue, seq: this.sequence++, forward: null, backward: null };
+    const update = this._findPredecessors(newNode);
+
+    const level = this._randomLevel();
+    if (level > this.level) {
+      for (let i = this.level; i < level; i++) {
+        update[i] = this.head;
+      }
+      this.level = level;
+    }
+
+    newNode.forward = new Array(level).fill(null);
+    newNode.backward = update[0];
+    for (let i = 0; i < level; i++) {
+      newNode.forward[i] = update[i].forward[i];
+      update[i].forward[i] = newNode;
+    }
+
+    if (newNode.forward[0]) {
+      newNode.forward[0].backward = newNode;
+    } else {
+      this.tail = newNode;
+    }
+
+    this.nodes.set(fieldValue, newNode);
+  }
+
+  /**
+   * Remove a distinct value from the skip list
+   * @protected
+   * @param {*} fieldValue - The removed value
+   */
+  _onValueRemoved(fieldValue) {
+    const target = this.nodes.get(fieldValue);
+    if (!target) return;
+
+    const update = this._findPredecessors(target);
+
+    for (let i = 0; i < this.level; i++) {
+      if (update[i].forward[i] !== target) break;
+      update[i].forward[i] = target.forward[i];
+    }
+
+    if (target.forward[0]) {
+      target.forward[0].backward = target.backward;
+    } else {
+      this.tail = target.backward === this.head ? null : target.backward;
+    }
+
+    while (this.level > 1 && !this.head.forward[this.level - 1]) {
+      this.level--;
+    }
+
+    this.nodes.delete(fieldValue);
+  }
+
+  /**
+   * Find, on every level, the last node ordered before a given node
+   * @private
+   * @param {Object} target - Node to position (ordered by value, then insertion sequence)
+   * @returns {Object[]} Predecessor node per level
+   */
+  _findPredecessors(target) {
+    const update = new Array(MAX_LEVEL);
+    let node = this.head;
+
+    for (let i = this.level - 1; i >= 0; i--) {
+      while (node.forward[i] && (SortedIndex.compareValues(node.forward[i].value, target.value) ||
+        node.forward[i].seq - target.seq) < 0) {
+        node = node.forward[i];
+      }
+      update[i] = node;
+    }
+
+    return update;
+  }
+
+  /**
+   * Find the last node whose value satisfies a "before target" predicate
+   * @private
+   * @param {Function} isBefore - Predicate that is true for values preceding the target position
+   * @returns {Object} The last preceding node (the head sentinel if none)
+   */
+  _lastBefore(isBefore) {
+    let node = this.head;
+
+    for (let i = this.level - 1; i >= 0; i--) {
+      while (node.forward[i] && isBefore(node.forward[i].value)) {
+        node = node.forward[i];
+      }
+    }
+
+    return node;
+  }
+
+  /**
+   * Reset the skip list to an empty state
+   * @private
+   */
+  _resetList() {
+    this.head = { value: undefined, seq: -1, forward: new Array(MAX_LEVEL).fill(null), backward: null };
+    this.tail = null;
+    this.level = 1;
+    this.sequence = 0;
+    this.nodes = new Map(); // Map<value, skip list node>
+  }
+
+  /**
+   * Pick a random level for a new skip list node
+   * @private
+   * @returns {number} Node level
+   */
+  _randomLevel() {
+    let level = 1;
+    while (level < MAX_LEVEL && Math.random() < PROBABILITY) {
+      level++;
+    }
+    return level;
+  }
+
+  /**
+   * Rank a value's type for cross-type ordering
+   * @private
+   * @param {*} value - Value to rank
+   * @returns {number} Type rank
+   */
+  static _typeRank(value) {
+    if (value === undefined || value === null) return 0;
+    switch (typeof value) {
+      case 'number': return 1;
+      case 'string': return 2;
+      case 'boolean': return 3;
+      default: return 4;
+    }
+  }
+}
+
+module.exports = SortedIndex;
\ No newline at end of file
@@ -0,0 +1,135 @@
+const Collection = require('./Collection');
+
+/**
+ * Transaction - Groups writes to several collections into one atomic unit
+ * Writes made through tx.collection() are applied in memory while the transaction holds the write mutex,
+ * but nothing is persisted and no events are emitted before the commit. A rollback restores every
+ * document the transaction touched to the version it had when the transaction started.
+ */
+class Transaction {
+  /**
+   * Create a transaction. Use db.transaction() instead of calling this directly.
+   * @param {JSLiteDB} db - Database instance (whose write mutex the caller holds)
+   */
+  constructor(db) {
+    this.db = db;
+    this.state = 'active'; // 'active', 'committed' or 'rolledBack'
+    this.changes = new Map(); // Map<collection, changes to persist on commit>
+    this.originals = new Map(); // Map<collection, Map<id, document before the transaction (undefined if new)>>
+    this.events = []; // [event, payload] pairs emitted on commit
+  }
+
+  /**
+   * Get a collection interface whose writes are part of this transaction
+   * @param {string} name - Collection name
+   * @returns {Collection} Collection interface bound to the transaction
+   */
+  collection(name) {
+    this._assertActive();
+    return new Collection(this.db, name, this);
+  }
+
+  /**
+   * Whether the transaction still accepts writes
+   * @returns {boolean} True until the transaction commits or rolls back
+   */
+  get isActive() {
+    return this.state === 'active';
+  }
+
+  /**
+   * Throw if the transaction has already committed or rolled back
+   * @private
+   */
+  _assertActive() {
+    if (!this.isActive) {
+      throw new Error('Transaction is no longer active');
+    }
+  }
+
+  /**
+   * Record the writes applied by a transaction collection
+   * @private
+   * @param {string} collectionName - Collection name
+   * @param {Object[]} applied - Applied operations as { change, previous, event }
+   */
+  _stage(collectionName, applied) {
+    if (applied.length === 0) return;
+
+    if (!this.changes.has(collectionName)) {
+      this.changes.set(collectionName, []);
+      this.originals.set(collectionName, new Map());
+    }
+
+    const changes = this.changes.get(collectionName);
+    const originals = this.originals.get(collectionName);
+
+    for (const { change, previous, event } of applied) {
+      // Only the version from before the first write is restored on rollback
+      if (!originals.has(change.id)) {
+        originals.set(change.id, previous);
+      }
+      changes.push(change);
+      this.events.push(event);
+    }
+  }
+
+  /**
+   * Persist the staged changes of every collection atomically, then emit their events.
+   * If the redo log cannot be written the transaction is rolled back. Once the log is written the
+   * transaction is committed: a failure while updating the collection files is thrown, and the files
+   * are completed from the log on the next start.
+   * @private
+   */
+  async _commit() {
+    this._assertActive();
+
+    try {
+      await this.db._writeTransactionLog(this.changes);
+    } catch (error) {
+      this._rollback();
+      throw error;
+    }
+
+    this.state = 'committed';
+    await this.db._applyTransactionLog(this.changes);
+
+    for (const [event, payload] of this.events) {
+      this.db.emit(event, payload);
+    }
+  }
+
+  /**
+   * Restore the documents, indexes and cache entries touched by the transaction.
+   * Collections created by the transaction are removed again.
+   * @private
+   */
+  _rollback() {
+    for (const [collectionName, originals] of this.originals) {
+      const collectionData = this.db.collectionData.get(collectionName);
+      if (!collectionData) continue;
+
+      for (const [id, original] of originals) {
+        this.db._unindexDocument(collectionName, id, collectionData.get(id));
+
+        if (original === undefined) {
+          collectionData.delete(id);
+        } else {
+          collectionData.set(id, original);
+          this.db._indexDocument(collectionName, id, original);
+        }
+
+        this.db._invalidateCache(collectionName, id);
+      }
+
+      if (collectionData.size === 0 && !this.db.collectionFiles.has(collectionName)) {
+        this.db.collectionData.delete(collectionName);
+        this.db.collectionAccess.delete(collectionName);
+      }
+    }
+
+    this.state = 'rolledBack';
+  }
+}
+
+module.exports = Transaction;
\ No newline at end of file
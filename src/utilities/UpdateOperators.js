@@ -0,0 +1,210 @@
+const QueryMatcher = require('./QueryMatcher');
+const Validator = require('./Validator');
+const { UpdateOperatorError } = require('./Errors');
+
+/**
+ * UpdateOperators - Applies MongoDB-style update operators and JSON Merge Patches to documents
+ * Supports $set, $unset, $inc, $push and $pull with dot notation paths.
+ * Documents are never modified in place: every update returns a new document.
+ */
+class UpdateOperators {
+  /**
+   * Create an updater for an update operator object
+   * @param {Object} update - Update object, e.g. { $set: { name: 'x' }, $inc: { visits: 1 }, $push: { tags: 'new' } }
+   * @throws {Error} If the update is not a valid update operator object
+   */
+  constructor(update) {
+    const validation = Validator.validateUpdate(update);
+    if (!validation.valid) {
+      throw new Error(`Invalid update: ${validation.error}`);
+    }
+
+    this.update = update;
+  }
+
+  /**
+   * Check whether a value is an update operator object (every key is an operator)
+   * @param {*} value - Value to check
+   * @returns {boolean} True if value is a non-empty object of operators
+   */
+  static isUpdate(value) {
+    if (!QueryMatcher._isPlainObject(value)) return false;
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys.every(key => key.startsWith('$'));
+  }
+
+  /**
+   * Apply a JSON Merge Patch (RFC 7386) to a document: null removes a field,
+   * objects are merged recursively and any other value replaces the field. Reserved keys
+   * (__proto__, constructor, prototype) are ignored.
+   * @param {*} target - The document to patch
+   * @param {*} patch - The merge patch
+   * @returns {*} The patched document
+   */
+  static mergePatch(target, patch) {
+    if (!QueryMatcher._isPlainObject(patch)) {
+      return UpdateOperators._clone(patch);
+    }
+
+    const result = QueryMatcher._isPlainObject(target) ? { ...target } : {};
+
+    for (const [key, value] of Object.entries(patch)) {
+      // A parsed JSON "__proto__" key would otherwise replace the prototype of the result
+      if (Validator.isReservedPathSegment(key)) continue;
+
+      if (value === null) {
+        delete result[key];
+      } else {
+        result[key] = UpdateOperators.mergePatch(result[key], value);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Apply the update to a document
+   * @param {Object} document - The current document
+   * @returns {Object} The updated document
+   * @throws {UpdateOperatorError} If an operator does not fit the current field value (e.g. $inc on a string)
+   */
+  apply(document) {
+    const result = UpdateOperators._clone(document || {});
+
+    for (const [operator, fields] of Object.entries(this.update)) {
+      for (const [pathStr, operand] of Object.entries(fields)) {
+        this._applyOperator(result, operator, pathStr, operand);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Apply a single operator to a field of a document
+   * @private
+   * @param {Object} document - Document to modify in place
+   * @param {string} operator - Operator name (e.g. "$inc")
+   * @param {string} pathStr - Dot notation path of the field
+   * @param {*} operand - Operator argument
+   */
+  _applyOperator(document, operator, pathStr, operand) {
+    const keys = pathStr.split('.');
+    const field = keys.pop();
+    const parent = this._resolveParent(document, keys, pathStr, operator !== '$unset' && operator !== '$pull');
+    if (!parent) return;
+
+    const current = parent[field];
+
+    switch (operator) {
+      case '$set':
+        parent[field] = UpdateOperators._clone(operand);
+        break;
+      case '$unset':
+        delete parent[field];
+        break;
+      case '$inc':
+        if (current !== undefined && typeof current !== 'number') {
+          throw new UpdateOperatorError(`Cannot apply $inc to non-numeric field '${pathStr}'`, { path: pathStr, operator });
+        }
+        parent[field] = (current || 0) + operand;
+        break;
+      case '$push': {
+        if (current !== undefined && !Array.isArray(current)) {
+          throw new UpdateOperatorError(`Cannot apply $push to non-array field '${pathStr}'`, { path: pathStr, operator });
+        }
+        const isEach = QueryMatcher._isPlainObject(operand) && Object.prototype.hasOwnProperty.call(operand, '$each');
+        const items = isEach ? operand.$each : [operand];
+        parent[field] = (current || []).concat(items.map(item => UpdateOperators._clone(item)));
+        break;
+      }
+      case '$pull': {
+        if (current === undefined) break;
+        if (!Array.isArray(current)) {
+          throw new UpdateOperatorError(`Cannot apply $pull to non-array field '${pathStr}'`, { path: pathStr, operator });
+        }
+        parent[field] = current.filter(item => !this._matchesPullCondition(item, operand));
+        break;
+      }
+    }
+  }
+
+  /**
+   * Find the object holding the last segment of a path
+   * @private
+   * @param {Object} document - Document to walk
+   * @param {string[]} keys - Path segments leading to the parent object
+   * @param {string} pathStr - Full path, for error messages
+   * @param {boolean} create - Create missing intermediate objects
+   * @returns {Object|null} The parent object, or null if it is missing (or not an object) and create is false
+   * @throws {UpdateOperatorError} If create is true and a path segment holds a value that is not an object
+   */
+  _resolveParent(document, keys, pathStr, create) {
+    let current = document;
+
+    for (const key of keys) {
+      const isObject = current[key] !== null && typeof current[key] === 'object' && !Array.isArray(current[key]);
+
+      if (!isObject) {
+        // Nothing to remove below a missing or non-object field
+        if (!create) return null;
+
+        if (current[key] !== undefined && current[key] !== null) {
+          throw new UpdateOperatorError(`Cannot update '${pathStr}': '${key}' is not an object`, { path: pathStr });
+        }
+        current[key] = {};
+      }
+      current = current[key];
+    }
+
+    return current;
+  }
+
+  /**
+   * Check whether an array element matches a $pull condition
+   * @private
+   * @param {*} item - Array element
+   * @param {*} condition - Value, operator expression or query for object elements
+   * @returns {boolean} True if the element should be removed
+   */
+  _matchesPullCondition(item, condition) {
+    if (QueryMatcher._isPlainObject(condition) && !QueryMatcher._isOperatorObject(condition) &&
+      QueryMatcher._isPlainObject(item)) {
+      return new QueryMatcher(condition).matches(item);
+    }
+
+    if (QueryMatcher._isOperatorObject(condition) || condition instanceof RegExp) {
+      return new QueryMatcher({ value: condition }).matches({ value: item });
+    }
+
+    return QueryMatcher.equals(item, condition);
+  }
+
+  /**
+   * Deep copy a document value (plain objects, arrays and dates)
+   * @private
+   * @param {*} value - Value to copy
+   * @returns {*} The copy
+   */
+  static _clone(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => UpdateOperators._clone(item));
+    }
+
+    if (value instanceof Date) {
+      return new Date(value.getTime());
+    }
+
+    if (value !== null && typeof value === 'object') {
+      const copy = {};
+      for (const [key, item] of Object.entries(value)) {
+        copy[key] = UpdateOperators._clone(item);
+      }
+      return copy;
+    }
+
+    return value;
+  }
+}
+
+module.exports = UpdateOperators;
\ No newline at end of file
@@ -1,3 +1,6 @@
+// Path segments that would reach an object's prototype when assigned through dot notation
+const RESERVED_PATH_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
 /**
  * Validator - Input validation utility for JSLiteDB
  * Provides validation for API parameters
@@ -58,9 +61,23 @@ class Validator {
       };
     }
 
+    const reserved = field.split('.').find(segment => this.isReservedPathSegment(segment));
+    if (reserved) {
+      return { valid: false, error: `Field name cannot contain the reserved segment '${reserved}'` };
+    }
+
     return { valid: true };
   }
 
+  /**
+   * Check whether a path segment or object key is reserved (__proto__, constructor or prototype)
+   * @param {string} segment - Path segment or key
+   * @returns {boolean} True if assigning it could modify a prototype
+   */
+  static isReservedPathSegment(segment) {
+    return RESERVED_PATH_SEGMENTS.includes(segment);
+  }
+
   /**
    * Validate sort direction
    * @param {*} direction - The sort direction to validate
@@ -85,7 +102,8 @@ class Validator {
   static validateQueryOperator(operator) {
     const validOperators = [
       '=', '==', '!=', '>', '<', '>=', '<=',
-      'in', 'contains', 'startsWith', 'endsWith'
+      'in', 'contains', 'startsWith', 'endsWith',
+      ...this.getQueryObjectOperators()
     ];
 
     if (!validOperators.includes(operator)) {
@@ -98,13 +116,303 @@ class Validator {
     return { valid: true };
   }
 
+  /**
+   * Get the operators supported in query objects
+   * @returns {string[]} Operator names
+   */
+  static getQueryObjectOperators() {
+    return [
+      '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin',
+      '$exists', '$regex', '$options', '$and', '$or', '$not', '$elemMatch', '$size'
+    ];
+  }
+
+  /**
+   * Validate a MongoDB-style query object
+   * @param {*} query - The query object to validate
+   * @returns {Object} Validation result with { valid: boolean, error?: string }
+   */
+  static validateQuery(query) {
+    if (query === null || typeof query !== 'object' || Array.isArray(query)) {
+      return { valid: false, error: 'Query must be an object' };
+    }
+
+    for (const [key, condition] of Object.entries(query)) {
+      if (key === '$and' || key === '$or') {
+        if (!Array.isArray(condition) || condition.length === 0) {
+          return { valid: false, error: `${key} requires a non-empty array of queries` };
+        }
+
+        for (const subQuery of condition) {
+          const result = this.validateQuery(subQuery);
+          if (!result.valid) return result;
+        }
+        continue;
+      }
+
+      if (key === '$not') {
+        const result = this.validateQuery(condition);
+        if (!result.valid) return result;
+        continue;
+      }
+
+      if (key.startsWith('$')) {
+        return { valid: false, error: `Unsupported top-level operator: ${key}` };
+      }
+
+      const fieldResult = this.validateFieldName(key);
+      if (!fieldResult.valid) return fieldResult;
+
+      const conditionResult = this._validateCondition(key, condition);
+      if (!conditionResult.valid) return conditionResult;
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate a field condition within a query object
+   * @private
+   * @param {string} field - Field the condition applies to
+   * @param {*} condition - Literal value or operator object
+   * @returns {Object} Validation result with { valid: boolean, error?: string }
+   */
+  static _validateCondition(field, condition) {
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition) || condition instanceof RegExp) {
+      return { valid: true };
+    }
+
+    const operators = Object.keys(condition).filter(key => key.startsWith('$'));
+    if (operators.length === 0) {
+      return { valid: true };
+    }
+
+    if (operators.length !== Object.keys(condition).length) {
+      return { valid: false, error: `Cannot mix operators and fields in condition for '${field}'` };
+    }
+
+    const supported = this.getQueryObjectOperators();
+
+    for (const operator of operators) {
+      const operand = condition[operator];
+
+      if (!supported.includes(operator) || operator === '$and' || operator === '$or') {
+        return { valid: false, error: `Unsupported operator '${operator}' for field '${field}'` };
+      }
+
+      if ((operator === '$in' || operator === '$nin') && !Array.isArray(operand)) {
+        return { valid: false, error: `${operator} for field '${field}' requires an array` };
+      }
+
+      if (operator === '$size' && (!Number.isInteger(operand) || operand < 0)) {
+        return { valid: false, error: `$size for field '${field}' requires a non-negative integer` };
+      }
+
+      if (operator === '$regex' && typeof operand !== 'string' && !(operand instanceof RegExp)) {
+        return { valid: false, error: `$regex for field '${field}' requires a string or RegExp` };
+      }
+
+      if (operator === '$regex' && typeof operand === 'string') {
+        try {
+          new RegExp(operand, condition.$options);
+        } catch (error) {
+          return { valid: false, error: `Invalid $regex for field '${field}': ${error.message}` };
+        }
+      }
+
+      if (operator === '$options' && condition.$regex === undefined) {
+        return { valid: false, error: `$options for field '${field}' requires $regex` };
+      }
+
+      if (operator === '$not' || operator === '$elemMatch') {
+        if (operand === null || typeof operand !== 'object' || Array.isArray(operand)) {
+          return { valid: false, error: `${operator} for field '${field}' requires an object` };
+        }
+
+        const isOperatorObject = Object.keys(operand).every(key => key.startsWith('$'));
+        const result = isOperatorObject || operator === '$not'
+          ? this._validateCondition(field, operand)
+          : this.validateQuery(operand);
+        if (!result.valid) return result;
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate an index specification such as { fields: ['a', 'b'], unique: true }
+   * @param {*} spec - The index specification to validate
+   * @returns {Object} Validation result with { valid: boolean, error?: string }
+   */
+  static validateIndexSpec(spec) {
+    if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+      return { valid: false, error: 'Index specification must be an object' };
+    }
+
+    const allowedKeys = ['fields', 'unique', 'sparse', 'sorted'];
+    const unknownKey = Object.keys(spec).find(key => !allowedKeys.includes(key));
+    if (unknownKey) {
+      return { valid: false, error: `Unknown index option '${unknownKey}'. Must be one of: ${allowedKeys.join(', ')}` };
+    }
+
+    const fields = Array.isArray(spec.fields) ? spec.fields : [spec.fields];
+    if (fields.length === 0) {
+      return { valid: false, error: 'Index fields cannot be empty' };
+    }
+
+    for (const field of fields) {
+      const result = this.validateFieldName(field);
+      if (!result.valid) {
+        return { valid: false, error: `Invalid index field: ${result.error}` };
+      }
+    }
+
+    if (new Set(fields).size !== fields.length) {
+      return { valid: false, error: 'Index fields must be distinct' };
+    }
+
+    for (const option of ['unique', 'sparse', 'sorted']) {
+      if (spec[option] !== undefined && typeof spec[option] !== 'boolean') {
+        return { valid: false, error: `Index option '${option}' must be a boolean` };
+      }
+    }
+
+    if (spec.sorted && fields.length > 1) {
+      return { valid: false, error: 'Sorted indexes support a single field' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate collection options such as { revisions: true, timestamps: true }
+   * @param {*} options - The collection options to validate
+   * @returns {Object} Validation result with { valid: boolean, error?: string }
+   */
+  static validateCollectionOptions(options) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+      return { valid: false, error: 'Collection options must be an object' };
+    }
+
+    const allowedKeys = ['revisions', 'timestamps', 'userStamps', 'schema', 'schemaOptions'];
+    const unknownKey = Object.keys(options).find(key => !allowedKeys.includes(key));
+    if (unknownKey) {
+      return { valid: false, error: `Unknown collection option '${unknownKey}'. Must be one of: ${allowedKeys.join(', ')}` };
+    }
+
+    for (const option of ['revisions', 'timestamps', 'userStamps']) {
+      if (options[option] !== undefined && typeof options[option] !== 'boolean') {
+        return { valid: false, error: `Collection option '${option}' must be a boolean` };
+      }
+    }
+
+    // The schema itself is checked by SchemaValidator; null removes it
+    const { schema, schemaOptions } = options;
+    if (schema !== undefined && schema !== null && typeof schema !== 'boolean' &&
+      (typeof schema !== 'object' || Array.isArray(schema))) {
+      return { valid: false, error: "Collection option 'schema' must be an object, a boolean or null" };
+    }
+
+    if (schemaOptions !== undefined && schemaOptions !== null) {
+      if (typeof schemaOptions !== 'object' || Array.isArray(schemaOptions)) {
+        return { valid: false, error: "Collection option 'schemaOptions' must be an object or null" };
+      }
+
+      const allowedSchemaKeys = ['useDefaults', 'coerceTypes'];
+      const unknownSchemaKey = Object.keys(schemaOptions).find(key => !allowedSchemaKeys.includes(key));
+      if (unknownSchemaKey) {
+        return { valid: false, error: `Unknown schema option '${unknownSchemaKey}'. Must be one of: ${allowedSchemaKeys.join(', ')}` };
+      }
+
+      if (schemaOptions.useDefaults !== undefined && typeof schemaOptions.useDefaults !== 'boolean') {
+        return { valid: false, error: "Schema option 'useDefaults' must be a boolean" };
+      }
+
+      if (![undefined, true, false, 'array'].includes(schemaOptions.coerceTypes)) {
+        return { valid: false, error: "Schema option 'coerceTypes' must be true, false or \"array\"" };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Get the supported update operators
+   * @returns {string[]} Operator names
+   */
+  static getUpdateOperators() {
+    return ['$set', '$unset', '$inc', '$push', '$pull'];
+  }
+
+  /**
+   * Validate an update operator object such as { $set: { name: 'x' }, $inc: { count: 1 } }
+   * @param {*} update - The update to validate
+   * @returns {Object} Validation result with { valid: boolean, error?: string }
+   */
+  static validateUpdate(update) {
+    if (update === null || typeof update !== 'object' || Array.isArray(update)) {
+      return { valid: false, error: 'Update must be an object' };
+    }
+
+    const operators = Object.keys(update);
+    if (operators.length === 0) {
+      return { valid: false, error: 'Update must contain at least one operator' };
+    }
+
+    const supported = this.getUpdateOperators();
+    const paths = [];
+
+    for (const operator of operators) {
+      if (!operator.startsWith('$')) {
+        return { valid: false, error: `Update must only contain operators, found field '${operator}'` };
+      }
+
+      if (!supported.includes(operator)) {
+        return { valid: false, error: `Unsupported update operator '${operator}'. Must be one of: ${supported.join(', ')}` };
+      }
+
+      const fields = update[operator];
+      if (fields === null || typeof fields !== 'object' || Array.isArray(fields)) {
+        return { valid: false, error: `${operator} requires an object of fields` };
+      }
+
+      for (const [field, operand] of Object.entries(fields)) {
+        const fieldResult = this.validateFieldName(field);
+        if (!fieldResult.valid) return fieldResult;
+
+        if (operator === '$inc' && (typeof operand !== 'number' || !Number.isFinite(operand))) {
+          return { valid: false, error: `$inc for field '${field}' requires a number` };
+        }
+
+        if (operator === '$push' && operand !== null && typeof operand === 'object' &&
+          Object.prototype.hasOwnProperty.call(operand, '$each') && !Array.isArray(operand.$each)) {
+          return { valid: false, error: `$each for field '${field}' requires an array` };
+        }
+
+        if (operator === '$pull') {
+          const conditionResult = this._validateCondition(field, operand);
+          if (!conditionResult.valid) return conditionResult;
+        }
+
+        const conflict = paths.find(path => path === field || path.startsWith(`${field}.`) || field.startsWith(`${path}.`));
+        if (conflict) {
+          return { valid: false, error: `Conflicting update paths '${conflict}' and '${field}'` };
+        }
+        paths.push(field);
+      }
+    }
+
+    return { valid: true };
+  }
+
   /**
    * Validate aggregation operation
    * @param {*} operation - The aggregation operation to validate
    * @returns {Object} Validation result with { valid: boolean, error?: string }
    */
   static validateAggregationOperation(operation) {
-    const validOperations = ['count', 'sum', 'avg', 'min', 'max'];
+    const validOperations = ['count', 'sum', 'avg', 'min', 'max', 'first', 'last', 'push', 'addToSet'];
 
     if (!validOperations.includes(operation)) {
       return {
@@ -116,6 +424,366 @@ class Validator {
     return { valid: true };
   }
 
+  /**
+   * Get the operators supported in aggregation expressions
+   * @returns {string[]} Operator names
+   */
+  static getExpressionOperators() {
+    return [
+      '$literal', '$add', '$subtract', '$multiply', '$divide', '$mod', '$concat', '$toLower', '$toUpper',
+      '$ifNull', '$cond', '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$and', '$or', '$not', '$size'
+    ];
+  }
+
+  /**
+   * Validate an aggregation expression: a "$field.path" reference, a literal, an array or object of
+   * expressions, or an operator object such as { $add: ['$price', '$tax'] }
+   * @param {*} expression - The expression to validate
+   * @returns {Object} Validation result with { valid: boolean, error?: string }
+   */
+  static validateExpression(expression) {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+      const result = this.validateFieldName(expression.slice(1));
+      return result.valid ? result : { valid: false, error: `Invalid field reference '${expression}': ${result.error}` };
+    }
+
+    if (Array.isArray(expression)) {
+      for (const item of expression) {
+        const result = this.validateExpression(item);
+        if (!result.valid) return result;
+      }
+      return { valid: true };
+    }
+
+    if (expression === null || typeof expression !== 'object') {
+      return { valid: true };
+    }
+
+    const keys = Object.keys(expression);
+    const operators = keys.filter(key => key.startsWith('$'));
+
+    if (operators.length === 0) {
+      const reserved = keys.find(key => this.isReservedPathSegment(key));
+      if (reserved) {
+        return { valid: false, error: `Expression object cannot contain the reserved key '${reserved}'` };
+      }
+      return this.validateExpression(Object.values(expression));
+    }
+
+    if (keys.length > 1) {
+      return { valid: false, error: `Expression operator ${operators[0]} must be the only key of its object` };
+    }
+
+    const operator = operators[0];
+    const argument = expression[operator];
+
+    if (!this.getExpressionOperators().includes(operator)) {
+      return { valid: false, error: `Unsupported expression operator '${operator}'` };
+    }
+
+    if (operator === '$literal') {
+      return { valid: true };
+    }
+
+    const binary = ['$subtract', '$divide', '$mod', '$ifNull', '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in'];
+    if (binary.includes(operator) && (!Array.isArray(argument) || argument.length !== 2)) {
+      return { valid: false, error: `${operator} requires an array of 2 expressions` };
+    }
+
+    if (['$add', '$multiply', '$concat', '$and', '$or'].includes(operator) && !Array.isArray(argument)) {
+      return { valid: false, error: `${operator} requires an array of expressions` };
+    }
+
+    if (operator === '$cond') {
+      const isObject = argument !== null && typeof argument === 'object' && !Array.isArray(argument);
+      const parts = isObject ? [argument.if, argument.then, argument.else] : argument;
+
+      if (!Array.isArray(parts) || parts.length !== 3 || parts.includes(undefined)) {
+        return { valid: false, error: '$cond requires [if, then, else] or { if, then, else }' };
+      }
+      return this.validateExpression(parts);
+    }
+
+    return this.validateExpression(argument);
+  }
+
+  /**
+   * Validate a projection such as { name: 1, 'address.city': 1 } (inclusion), { blob: 0 } (exclusion)
+   * or { name: 1, total: { $add: ['$price', '$tax'] } } (computed fields count as included)
+   * @param {*} projection - The projection to validate
+   * @returns {Object} Validation result with { valid: boolean, error?: string }
+   */
+  static validateProjection(projection) {
+    if (projection === null || typeof projection !== 'object' || Array.isArray(projection) ||
+      Object.keys(projection).length === 0) {
+      return { valid: false, error: 'Projection must be a non-empty object' };
+    }
+
+    let inclusion = false;
+    let exclusion = false;
+
+    for (const [field, value] of Object.entries(projection)) {
+      const fieldResult = this.validateFieldName(field);
+      if (!fieldResult.valid) return fieldResult;
+
+      if (value === 0 || value === false) {
+        if (field !== 'id') exclusion = true;
+      } else if (value === 1 || value === true) {
+        inclusion = true;
+      } else {
+        const expressionResult = this.validateExpression(value);
+        if (!expressionResult.valid) return expressionResult;
+        inclusion = true;
+      }
+    }
+
+    return inclusion && exclusion
+      ? { valid: false, error: 'Projection cannot mix included and excluded fields (except id)' }
+      : { valid: true };
+  }
+
+  /**
+   * Validate a serializable aggregation pipeline for Collection.aggregate. Stages are MongoDB-style
+   * ({ $match }, { $group }, { $project }, { $unwind }, { $addFields }, { $count }, { $facet }, { $lookup },
+   * { $sort }, { $skip }, { $limit }) or the original { type } stages, such as
+   * [{ $match: { active: true } }, { $group: { _id: '$role', total: { $sum: '$amount' } } }]
+   * @param {*} pipeline - The pipeline to validate
+   * @param {Object} [options={}] - Validation options
+   * @param {boolean} [options.allowFunctions=false] - Accept filter functions in match stages
+   * @returns {Object} Validation result with { valid: boolean, error?: string }
+   */
+  static validatePipeline(pipeline, options = {}) {
+    if (!Array.isArray(pipeline)) {
+      return { valid: false, error: 'Pipeline must be an array of stages' };
+    }
+
+    for (let i = 0; i < pipeline.length; i++) {
+      const result = this._validateStage(pipeline[i], i === pipeline.length - 1, options);
+      if (!result.valid) {
+        return { valid: false, error: `Invalid pipeline stage ${i}: ${result.error}` };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate a single aggregation pipeline stage
+   * @private
+   * @param {*} stage - The stage to validate
+   * @param {boolean} isLast - Whether the stage ends its pipeline
+   * @param {Object} options - Validation options (see validatePipeline)
+   * @returns {Object} Validation result with { valid: boolean, error?: string }
+   */
+  static _validateStage(stage, isLast, options) {
+    if (stage === null || typeof stage !== 'object' || Array.isArray(stage)) {
+      return { valid: false, error: 'stage must be an object' };
+    }
+
+    const stageOperators = [
+      '$match', '$sort', '$skip', '$limit', '$group', '$project', '$unwind', '$addFields', '$count', '$facet', '$lookup'
+    ];
+    const keys = Object.keys(stage);
+
+    if (keys.length === 1 && keys[0].startsWith('$')) {
+      if (!stageOperators.includes(keys[0])) {
+        return { valid: false, error: `Unsupported stage '${keys[0]}'. Must be one of: ${stageOperators.join(', ')}` };
+      }
+      return this._validateStageSpec(keys[0], stage[keys[0]], options);
+    }
+
+    if (keys.some(key => key.startsWith('$'))) {
+      return { valid: false, error: 'stage must have a single $ operator' };
+    }
+
+    const stageTypes = ['match', 'sort', 'skip', 'limit', 'group'];
+
+    // Like the original aggregate(), stages of any other type are skipped (with a warning) and a match
+    // without a filter matches every document
+    if (!stageTypes.includes(stage.type) || (stage.type === 'match' && !stage.filter)) {
+      return { valid: true };
+    }
+
+    if (stage.type === 'match') {
+      return options.allowFunctions && typeof stage.filter === 'function' ? { valid: true } : this.validateQuery(stage.filter);
+    }
+
+    if (stage.type === 'sort') {
+      const result = this.validateFieldName(stage.field);
+      return result.valid ? this.validateSortDirection(stage.direction) : result;
+    }
+
+    if (stage.type === 'group') {
+      // The group stage returns an object of document arrays, which no later stage accepts
+      if (!isLast) {
+        return { valid: false, error: 'group must be the last stage (use $group to keep aggregating)' };
+      }
+      return this.validateFieldName(stage.field);
+    }
+
+    if (!Number.isInteger(stage.count) || stage.count < 0) {
+      return { valid: false, error: `${stage.type} count must be a non-negative integer` };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate the specification of a MongoDB-style pipeline stage
+   * @private
+   * @param {string} operator - Stage operator, e.g. "$group"
+   * @param {*} spec - Stage specification
+   * @param {Object} options - Validation options (see validatePipeline)
+   * @returns {Object} Validation result with { valid: boolean, error?: string }
+   */
+  static _validateStageSpec(operator, spec, options) {
+    const isObject = spec !== null && typeof spec === 'object' && !Array.isArray(spec);
+    const requireObject = () => (isObject && Object.keys(spec).length > 0
+      ? { valid: true }
+      : { valid: false, error: `${operator} requires a non-empty object` });
+
+    switch (operator) {
+      case '$match':
+        return options.allowFunctions && typeof spec === 'function' ? { valid: true } : this.validateQuery(spec);
+
+      case '$skip':
+      case '$limit':
+        return Number.isInteger(spec) && spec >= 0
+          ? { valid: true }
+          : { valid: false, error: `${operator} must be a non-negative integer` };
+
+      case '$count':
+        return typeof spec === 'string' && spec !== '' && !spec.startsWith('$') && !spec.includes('.')
+          ? { valid: true }
+          : { valid: false, error: '$count requires a field name without "$" or dots' };
+
+      case '$sort': {
+        const result = requireObject();
+        if (!result.valid) return result;
+
+        for (const [field, direction] of Object.entries(spec)) {
+          const fieldResult = this.validateFieldName(field);
+          if (!fieldResult.valid) return fieldResult;
+          if (![1, -1, 'asc', 'desc'].includes(direction)) {
+            return { valid: false, error: `Sort direction of '${field}' must be 1, -1, "asc" or "desc"` };
+          }
+        }
+        return { valid: true };
+      }
+
+      case '$group': {
+        if (!isObject || !Object.prototype.hasOwnProperty.call(spec, '_id')) {
+          return { valid: false, error: '$group requires an object with an _id expression' };
+        }
+
+        const idResult = this.validateExpression(spec._id);
+        if (!idResult.valid) return idResult;
+
+        for (const [field, accumulator] of Object.entries(spec)) {
+          if (field === '_id') continue;
+
+          if (field.startsWith('$') || field.includes('.') || this.isReservedPathSegment(field)) {
+            return { valid: false, error: `$group field '${field}' cannot start with "$", contain dots or be a reserved key` };
+          }
+
+          const accumulators = accumulator !== null && typeof accumulator === 'object' ? Object.keys(accumulator) : [];
+          if (accumulators.length !== 1 || !accumulators[0].startsWith('$')) {
+            return { valid: false, error: `$group field '${field}' must be an accumulator object such as { $sum: '$amount' }` };
+          }
+
+          const operation = this.validateAggregationOperation(accumulators[0].slice(1));
+          if (!operation.valid) {
+            return { valid: false, error: `Unsupported accumulator '${accumulators[0]}' for field '${field}'` };
+          }
+
+          const argumentResult = this.validateExpression(accumulator[accumulators[0]]);
+          if (!argumentResult.valid) return argumentResult;
+        }
+        return { valid: true };
+      }
+
+      case '$project':
+        return this.validateProjection(spec);
+
+      case '$addFields': {
+        const result = requireObject();
+        if (!result.valid) return result;
+
+        for (const [field, value] of Object.entries(spec)) {
+          const fieldResult = this.validateFieldName(field);
+          if (!fieldResult.valid) return fieldResult;
+
+          const expressionResult = this.validateExpression(value);
+          if (!expressionResult.valid) return expressionResult;
+        }
+        return { valid: true };
+      }
+
+      case '$unwind': {
+        const path = isObject ? spec.path : spec;
+        if (typeof path !== 'string' || !path.startsWith('$') || !this.validateFieldName(path.slice(1)).valid) {
+          return { valid: false, error: '$unwind requires a field path such as "$tags"' };
+        }
+
+        if (isObject) {
+          const unknown = Object.keys(spec).find(key => !['path', 'preserveNullAndEmptyArrays', 'includeArrayIndex'].includes(key));
+          if (unknown) {
+            return { valid: false, error: `Unknown $unwind option '${unknown}'` };
+          }
+          if (spec.preserveNullAndEmptyArrays !== undefined && typeof spec.preserveNullAndEmptyArrays !== 'boolean') {
+            return { valid: false, error: '$unwind preserveNullAndEmptyArrays must be a boolean' };
+          }
+          if (spec.includeArrayIndex !== undefined) {
+            const indexResult = this.validateFieldName(spec.includeArrayIndex);
+            if (!indexResult.valid) return indexResult;
+          }
+        }
+        return { valid: true };
+      }
+
+      case '$facet': {
+        const result = requireObject();
+        if (!result.valid) return result;
+
+        for (const [name, pipeline] of Object.entries(spec)) {
+          if (!Array.isArray(pipeline)) {
+            return { valid: false, error: `$facet '${name}' must be a pipeline array` };
+          }
+
+          if (pipeline.some(stage => stage && typeof stage === 'object' && Object.prototype.hasOwnProperty.call(stage, '$facet'))) {
+            return { valid: false, error: `$facet '${name}' cannot contain a $facet stage` };
+          }
+
+          const pipelineResult = this.validatePipeline(pipeline, options);
+          if (!pipelineResult.valid) {
+            return { valid: false, error: `$facet '${name}': ${pipelineResult.error}` };
+          }
+        }
+        return { valid: true };
+      }
+
+      case '$lookup': {
+        if (!isObject) {
+          return { valid: false, error: '$lookup requires { from, localField, foreignField, as }' };
+        }
+
+        if (typeof spec.from !== 'string' || spec.from === '') {
+          return { valid: false, error: '$lookup from must be a non-empty collection name' };
+        }
+
+        for (const key of ['localField', 'foreignField', 'as']) {
+          const fieldResult = this.validateFieldName(spec[key]);
+          if (!fieldResult.valid) {
+            return { valid: false, error: `$lookup ${key}: ${fieldResult.error}` };
+          }
+        }
+        return { valid: true };
+      }
+    }
+
+    return { valid: true };
+  }
+
   /**
    * Validate file path
    * @param {*} filePath - The file path to validate
@@ -2,30 +2,140 @@
  * TypeScript definitions for JSLiteDB utilities
  */
 
+/**
+ * Operator expression for a single field in a query object
+ */
+export interface QueryOperators {
+  $eq?: any;
+  $ne?: any;
+  $gt?: any;
+  $gte?: any;
+  $lt?: any;
+  $lte?: any;
+  $in?: any[];
+  $nin?: any[];
+  $exists?: boolean;
+  $regex?: string | RegExp;
+  $options?: string;
+  $not?: QueryOperators | RegExp;
+  $elemMatch?: QueryOperators | Query;
+  $size?: number;
+}
+
+/**
+ * MongoDB-style query object, e.g. { age: { $gte: 18 }, "address.city": "Oslo" }
+ */
+export interface Query {
+  $and?: Query[];
+  $or?: Query[];
+  $not?: Query;
+  [field: string]: any;
+}
+
+/**
+ * Filter accepted by Collection queries: a predicate function or a query object
+ */
+export type CollectionFilter = ((document: any, id: string) => boolean) | Query;
+
+/**
+ * Index creation options
+ */
+export interface IndexOptions {
+  type?: 'hash' | 'sorted';
+  unique?: boolean;
+  sparse?: boolean;
+}
+
+/**
+ * Serializable index definition
+ */
+export interface IndexDefinition {
+  fields: string[];
+  type: 'hash' | 'sorted';
+  unique: boolean;
+  sparse: boolean;
+}
+
 /**
  * IndexSystem for optimized field-based queries
  */
 export declare class IndexSystem {
   public readonly field: string;
+  public readonly fields: string[];
+  public readonly type: 'hash' | 'sorted';
+  public readonly unique: boolean;
+  public readonly sparse: boolean;
+  public readonly multikey: boolean;
   public readonly index: Map<any, Set<string>>;
+  public readonly keyValues: Map<string, any[]>;
+
+  constructor(field: string | string[], options?: IndexOptions);
 
-  constructor(field: string);
+  static getName(fields: string | string[]): string;
 
   add(key: string, value: any): void;
-  remove(key: string, value: any): void;
+  remove(key: string, value?: any): void;
   get(value: any): Set<string>;
   clear(): void;
+  rebuild(entries: Iterable<[string, any]>): void;
   size(): number;
   getIndexedValues(): any[];
   hasValue(value: any): boolean;
+  getKey(values: any[]): any;
+  findConflict(key: string, value: any): { value: any; key: string } | null;
+  getDuplicates(): Array<{ value: any; keys: string[] }>;
+  getDefinition(): IndexDefinition;
   getStats(): {
     field: string;
+    fields: string[];
+    type: 'hash' | 'sorted';
+    unique: boolean;
+    sparse: boolean;
     uniqueValues: number;
     totalDocuments: number;
     distribution: Record<string, number>;
   };
 }
 
+/**
+ * Range bounds for sorted index lookups
+ */
+export interface RangeBounds {
+  gt?: any;
+  gte?: any;
+  lt?: any;
+  lte?: any;
+}
+
+/**
+ * SortedIndex for range queries, ordered scans and min/max lookups
+ */
+export declare class SortedIndex extends IndexSystem {
+  public readonly missing: Set<string>;
+
+  constructor(field: string, options?: Omit<IndexOptions, 'type'>);
+
+  static compareValues(a: any, b: any): number;
+  range(bounds?: RangeBounds, direction?: 'asc' | 'desc'): Generator<string, void, unknown>;
+  entries(direction?: 'asc' | 'desc'): Generator<string, void, unknown>;
+  entriesFrom(value: any, direction?: 'asc' | 'desc'): Generator<string, void, unknown>;
+  min(): any;
+  max(): any;
+  getStats(): ReturnType<IndexSystem['getStats']> & {
+    missingDocuments: number;
+    min: any;
+    max: any;
+  };
+}
+
+/**
+ * Sort configuration for collection queries
+ */
+export interface CollectionSort {
+  field: string;
+  direction?: 'asc' | 'desc';
+}
+
 /**
  * Logger for structured logging
  */
@@ -56,9 +166,20 @@ export declare class Logger {
 export declare class Validator {
   static validatePagination(limit?: any, skip?: any): { valid: boolean; error?: string };
   static validateFieldName(field: any): { valid: boolean; error?: string };
+  static isReservedPathSegment(segment: string): boolean;
   static validateSortDirection(direction: any): { valid: boolean; error?: string };
   static validateQueryOperator(operator: any): { valid: boolean; error?: string };
+  static getQueryObjectOperators(): string[];
+  static validateQuery(query: any): { valid: boolean; error?: string };
+  static validateIndexSpec(spec: any): { valid: boolean; error?: string };
+  static getUpdateOperators(): string[];
+  static validateCollectionOptions(options: any): { valid: boolean; error?: string };
+  static validateUpdate(update: any): { valid: boolean; error?: string };
   static validateAggregationOperation(operation: any): { valid: boolean; error?: string };
+  static getExpressionOperators(): string[];
+  static validateExpression(expression: any): { valid: boolean; error?: string };
+  static validateProjection(projection: any): { valid: boolean; error?: string };
+  static validatePipeline(pipeline: any, options?: { allowFunctions?: boolean }): { valid: boolean; error?: string };
   static validateFilePath(filePath: any): { valid: boolean; error?: string };
   static sanitizeString(input: string): string;
   static validateBatch(
@@ -81,35 +202,490 @@ export declare class WriteMutex {
   getStatus(): { locked: boolean; queueLength: number };
 }
 
+/**
+ * Options for collection writes
+ */
+export interface WriteOptions {
+  /** With the write queue or autosave enabled, resolve only once the write is on disk */
+  durable?: boolean;
+  /** Identity stored in createdBy/updatedBy by collections with the userStamps option */
+  user?: any;
+}
+
+/**
+ * Options for writes to existing documents
+ */
+export interface RevisionWriteOptions extends WriteOptions {
+  /** Only write if the document is at this revision, otherwise throw a ConflictError */
+  expectedRev?: number;
+}
+
+/**
+ * Options set with db.collection(name, options), persisted in the metadata file
+ */
+export interface CollectionOptions {
+  /** Maintain a _rev revision number on every document, incremented on each write (default: false) */
+  revisions?: boolean;
+  /** Maintain createdAt and updatedAt ISO 8601 timestamps on every document (default: false) */
+  timestamps?: boolean;
+  /** Maintain createdBy and updatedBy from the user write option (default: false) */
+  userStamps?: boolean;
+  /** JSON Schema that inserted and updated documents must match (null removes it) */
+  schema?: JSONSchema | null;
+  /** Schema validation options */
+  schemaOptions?: SchemaValidatorOptions | null;
+}
+
+/**
+ * JSON Schema supported by SchemaValidator
+ */
+export type JSONSchema = boolean | {
+  type?: JSONSchemaType | JSONSchemaType[];
+  enum?: any[];
+  const?: any;
+  default?: any;
+  properties?: Record<string, JSONSchema>;
+  required?: string[];
+  additionalProperties?: JSONSchema;
+  minProperties?: number;
+  maxProperties?: number;
+  items?: JSONSchema;
+  minItems?: number;
+  maxItems?: number;
+  uniqueItems?: boolean;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  format?: 'date-time' | 'date' | 'time' | 'email' | 'uri' | 'uuid';
+  minimum?: number;
+  maximum?: number;
+  exclusiveMinimum?: number;
+  exclusiveMaximum?: number;
+  multipleOf?: number;
+  allOf?: JSONSchema[];
+  anyOf?: JSONSchema[];
+  oneOf?: JSONSchema[];
+  not?: JSONSchema;
+  [keyword: string]: any;
+};
+
+export type JSONSchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null';
+
+/**
+ * Options for schema validation
+ */
+export interface SchemaValidatorOptions {
+  /** Fill in missing properties from their "default" (default: true) */
+  useDefaults?: boolean;
+  /** Convert values to the expected types; "array" also wraps and unwraps arrays (default: false) */
+  coerceTypes?: boolean | 'array';
+}
+
+/**
+ * A schema violation
+ */
+export interface SchemaError {
+  /** Dot notation path of the invalid value ('' for the document itself) */
+  path: string;
+  /** Schema keyword that failed */
+  keyword: string;
+  message: string;
+}
+
+/**
+ * Update operators for Collection.updateOne()
+ */
+export interface UpdateQuery {
+  $set?: Record<string, any>;
+  $unset?: Record<string, any>;
+  $inc?: Record<string, number>;
+  $push?: Record<string, any | { $each: any[] }>;
+  $pull?: Record<string, any>;
+}
+
+/**
+ * Options for partial updates
+ */
+export interface UpdateOptions extends RevisionWriteOptions {
+  /** Apply the update to an empty document if the document does not exist */
+  upsert?: boolean;
+}
+
+/**
+ * A write operation for Collection.bulkWrite()
+ */
+export type BulkWriteOperation =
+  | { op: 'insert'; id?: string | number; document: any }
+  | { op: 'update'; id: string | number; document: any; expectedRev?: number }
+  | { op: 'updateOne'; id: string | number; update: UpdateQuery; upsert?: boolean; expectedRev?: number }
+  | { op: 'patch'; id: string | number; patch: Record<string, any>; upsert?: boolean; expectedRev?: number }
+  | { op: 'delete'; id: string | number; expectedRev?: number };
+
+/**
+ * Options for bulk writes
+ */
+export interface BulkWriteOptions extends WriteOptions {
+  /** Stop at the first failed operation (default: true); when false, failed operations are skipped */
+  ordered?: boolean;
+}
+
+/**
+ * Result of one operation of a bulk write
+ */
+export interface BulkWriteItemResult {
+  index: number;
+  op: BulkWriteOperation['op'];
+  id: string | number;
+  success: boolean;
+  /** False for updates and deletes of missing documents */
+  matched?: boolean;
+  /** The written document, for inserts and updates */
+  document?: any;
+  error?: Error;
+}
+
+/**
+ * Result of a bulk write
+ */
+export interface BulkWriteResult {
+  /** Results of the executed operations (an ordered write stops after the first failure) */
+  results: BulkWriteItemResult[];
+  insertedIds: Array<string | number>;
+  insertedCount: number;
+  modifiedCount: number;
+  deletedCount: number;
+  errorCount: number;
+}
+
+/**
+ * Fields to return: { name: 1, 'address.city': 1 } keeps only these (and id), { blob: 0 } leaves fields out,
+ * and expressions such as { total: { $add: ['$price', '$tax'] } } add computed fields
+ */
+export type Projection = Record<string, 0 | 1 | boolean | AggregationExpression>;
+
+/**
+ * One page of a findPage query
+ */
+export interface FindPageResult {
+  documents: Array<any & { id: string }>;
+  /** Cursor of the next page, null on the last page */
+  nextCursor: string | null;
+  hasMore: boolean;
+  /** Number of matching documents (with the total option) */
+  total?: number;
+}
+
 /**
  * Collection class for document operations
  */
 export declare class Collection {
   public readonly db: any;
   public readonly name: string;
+  public readonly transaction: Transaction | null;
 
-  constructor(db: any, name: string);
+  constructor(db: any, name: string, transaction?: Transaction | null);
 
-  insert(document: any): Promise<any & { id: string }>;
-  insert(id: string | number, document: any): Promise<any & { id: string }>;
-  update(id: string | number, document: any): Promise<any>;
-  findById(id: string | number): Promise<any | null>;
+  insert(document: any, options?: WriteOptions): Promise<any & { id: string }>;
+  insert(id: string | number, document: any, options?: WriteOptions): Promise<any & { id: string }>;
+  update(id: string | number, document: any, options?: RevisionWriteOptions): Promise<any>;
+  updateOne(id: string | number, update: UpdateQuery, options?: UpdateOptions): Promise<any | null>;
+  patch(id: string | number, patch: Record<string, any>, options?: UpdateOptions): Promise<any | null>;
+  insertMany(documents: any[], options?: BulkWriteOptions): Promise<BulkWriteResult>;
+  updateMany(filter: CollectionFilter, update: UpdateQuery, options?: BulkWriteOptions): Promise<BulkWriteResult>;
+  deleteMany(filter: CollectionFilter, options?: BulkWriteOptions): Promise<BulkWriteResult>;
+  bulkWrite(operations: BulkWriteOperation[], options?: BulkWriteOptions): Promise<BulkWriteResult>;
+  getOptions(): CollectionOptions;
+  setSchema(schema: JSONSchema | null, options?: SchemaValidatorOptions): Promise<boolean>;
+  getSchema(): JSONSchema | null;
+  findById(id: string | number, options?: { projection?: Projection }): Promise<any | null>;
   find(options?: {
-    filter?: (document: any, id: string) => boolean;
+    filter?: CollectionFilter;
+    sort?: CollectionSort | CollectionSort[];
     limit?: number;
     skip?: number;
+    /** Continue after the position of a findPage cursor (same filter and sort) */
+    cursor?: string;
+    projection?: Projection;
   }): Promise<Array<any & { id: string }>>;
-  findOne(filter: (document: any, id: string) => boolean): Promise<(any & { id: string }) | null>;
-  delete(id: string | number): Promise<boolean>;
-  count(options?: ((document: any, id: string) => boolean) | { filter?: (document: any, id: string) => boolean }): Promise<number>;
+  findPage(options: {
+    filter?: CollectionFilter;
+    sort?: CollectionSort | CollectionSort[];
+    limit: number;
+    cursor?: string;
+    /** Also count all documents matching the filter */
+    total?: boolean;
+    projection?: Projection;
+  }): Promise<FindPageResult>;
+  findOne(filter: CollectionFilter, options?: { projection?: Projection }): Promise<(any & { id: string }) | null>;
+  delete(id: string | number, options?: RevisionWriteOptions): Promise<boolean>;
+  count(options?: CollectionFilter | { filter?: CollectionFilter }): Promise<number>;
+  createIndex(fields: string | string[], options?: IndexOptions): Promise<string>;
+  dropIndex(fields: string | string[]): Promise<boolean>;
+  getIndexes(): string[];
+  getIndexStats(): Array<IndexDefinition & { name: string; stats: ReturnType<IndexSystem['getStats']> }>;
   stream(): AsyncGenerator<any, void, unknown>;
-  aggregate(operations: Array<{
+  aggregate(operations: PipelineStage[]): Promise<any[] | Record<string, any[]>>;
+}
+
+/**
+ * Crash-safe file writes (temp file + fsync + rename)
+ */
+export declare class AtomicFile {
+  static write(filePath: string, content: string, options?: { syncDirectory?: boolean }): Promise<void>;
+  static append(filePath: string, content: string, options?: { syncDirectory?: boolean }): Promise<void>;
+  static syncDirectory(dirPath: string): Promise<void>;
+  static isTempFile(fileName: string): boolean;
+  static recover(dirPath: string, options?: { validate?: (content: string) => void }): Promise<Array<{
+    file: string;
+    target: string;
+    action: 'restored' | 'discarded';
+  }>>;
+}
+
+/**
+ * Cache statistics
+ */
+export interface CacheStats {
+  size: number;
+  maxItems: number;
+  /** Total size of the cached values in bytes (only measured when maxBytes is set) */
+  bytes: number;
+  maxBytes: number;
+  hits: number;
+  misses: number;
+  evictions: number;
+  hitRate: number;
+}
+
+/**
+ * Least recently used cache bounded by entry count and, optionally, by size in bytes
+ */
+export declare class LRUCache<V = any> {
+  constructor(options?: { maxItems?: number; maxBytes?: number; sizeOf?: (value: V) => number });
+  public readonly maxItems: number;
+  public readonly maxBytes: number;
+  public readonly bytes: number;
+  public readonly hits: number;
+  public readonly misses: number;
+  public readonly evictions: number;
+  readonly size: number;
+  static jsonSize(value: any): number;
+  get(key: string): V | undefined;
+  has(key: string): boolean;
+  set(key: string, value: V): void;
+  delete(key: string): boolean;
+  deletePrefix(prefix: string): number;
+  clear(): void;
+  keys(): IterableIterator<string>;
+  getStats(): CacheStats;
+  resetStats(): void;
+}
+
+/**
+ * Base class for JSLiteDB errors
+ */
+export declare class JSLiteDBError extends Error {
+  constructor(message: string, details?: Record<string, any>);
+  [detail: string]: any;
+}
+
+/**
+ * Thrown when a write would duplicate a value of a unique index
+ */
+export declare class UniqueConstraintError extends JSLiteDBError {
+  public readonly collection: string;
+  public readonly index: string;
+  public readonly fields: string[];
+  public readonly value?: any;
+  public readonly conflictingId?: string;
+  public readonly duplicates?: Array<{ value: any; keys: string[] }>;
+}
+
+/**
+ * Thrown when a write expects a document revision that is not the current one
+ */
+export declare class ConflictError extends JSLiteDBError {
+  public readonly collection: string;
+  public readonly id: string;
+  public readonly expectedRev: number;
+  /** Current revision, null if the document does not exist or has none */
+  public readonly currentRev: number | null;
+}
+
+/**
+ * Thrown when a document does not match the JSON Schema of its collection
+ */
+export declare class ValidationError extends JSLiteDBError {
+  public readonly collection: string;
+  public readonly id: string;
+  public readonly errors: SchemaError[];
+}
+
+/**
+ * Thrown when an update operator does not fit the document, e.g. $inc on a string field
+ */
+export declare class UpdateOperatorError extends JSLiteDBError {
+  public readonly path: string;
+  public readonly operator?: string;
+}
+
+/**
+ * Validates documents against a JSON Schema
+ */
+export declare class SchemaValidator {
+  public readonly schema: JSONSchema;
+  public readonly useDefaults: boolean;
+  public readonly coerceTypes: boolean | 'array';
+
+  constructor(schema: JSONSchema, options?: SchemaValidatorOptions);
+
+  static validateSchema(schema: any): { valid: boolean; error?: string };
+  /** Validate a value; value is a copy with defaults and coercions applied */
+  validate<T = any>(value: T): { valid: boolean; value: T; errors: SchemaError[] };
+}
+
+/**
+ * Thrown when a migration fails
+ */
+export declare class MigrationError extends JSLiteDBError {
+  public readonly migration: string;
+  public readonly direction: 'up' | 'down';
+  /** IDs of the migrations completed before the failure */
+  public readonly completed: string[];
+  public readonly cause: any;
+}
+
+/**
+ * A versioned migration; migration files export up and down
+ */
+export interface Migration {
+  id: string;
+  up: (db: any) => Promise<void> | void;
+  down?: (db: any) => Promise<void> | void;
+}
+
+/**
+ * Where migrations are loaded from: a directory of migration files or a list of migrations
+ */
+export type MigrationSource = { dir: string; migrations?: undefined } | { migrations: Migration[]; dir?: undefined };
+
+/**
+ * State of a migration
+ */
+export interface MigrationStatus {
+  id: string;
+  applied: boolean;
+  /** ISO 8601 time the migration was applied, null if pending */
+  appliedAt: string | null;
+  /** True if the migration is applied but no longer in the migration source */
+  missing: boolean;
+}
+
+/**
+ * Applies and rolls back migrations, recording the applied IDs in .migrations.json
+ */
+export declare class MigrationRunner {
+  public readonly db: any;
+
+  constructor(db: any, options: MigrationSource);
+
+  up(options?: { to?: string }): Promise<string[]>;
+  down(options?: { steps?: number; to?: string }): Promise<string[]>;
+  status(): Promise<MigrationStatus[]>;
+}
+
+/**
+ * QueryMatcher for evaluating query objects against documents
+ */
+export declare class QueryMatcher {
+  public readonly query: Query;
+
+  constructor(query: Query, options?: { getValue?: (obj: any, path: string) => any });
+
+  static isQuery(value: any): boolean;
+  static equals(a: any, b: any): boolean;
+  matches(document: any, id?: string): boolean;
+}
+
+/**
+ * Applies update operators and JSON Merge Patches to documents
+ */
+export declare class UpdateOperators {
+  public readonly update: UpdateQuery;
+
+  constructor(update: UpdateQuery);
+
+  static isUpdate(value: any): boolean;
+  static mergePatch(target: any, patch: any): any;
+  apply(document: any): any;
+}
+
+/**
+ * Aggregation expression: a "$field.path" reference, an operator object such as { $add: ['$a', 1] },
+ * an array or object of expressions, or a literal
+ */
+export type AggregationExpression = any;
+
+/**
+ * $group accumulator, e.g. { $sum: '$amount' } or { $count: {} }
+ */
+export type AggregationAccumulator =
+  | { $sum: AggregationExpression } | { $avg: AggregationExpression } | { $min: AggregationExpression }
+  | { $max: AggregationExpression } | { $count: Record<string, never> } | { $first: AggregationExpression }
+  | { $last: AggregationExpression } | { $push: AggregationExpression } | { $addToSet: AggregationExpression };
+
+/**
+ * Aggregation pipeline stage (MongoDB-style, or one of the original { type } stages)
+ */
+export type PipelineStage =
+  | { $match: Query | ((document: any) => boolean) }
+  | { $sort: Record<string, 1 | -1 | 'asc' | 'desc'> }
+  | { $skip: number }
+  | { $limit: number }
+  | { $group: { _id: AggregationExpression; [field: string]: AggregationExpression | AggregationAccumulator } }
+  | { $project: Projection }
+  | { $addFields: Record<string, AggregationExpression> }
+  | { $unwind: string | { path: string; preserveNullAndEmptyArrays?: boolean; includeArrayIndex?: string } }
+  | { $count: string }
+  | { $facet: Record<string, PipelineStage[]> }
+  | { $lookup: { from: string; localField: string; foreignField: string; as: string } }
+  | {
     type: 'match' | 'sort' | 'limit' | 'skip' | 'group';
-    filter?: (document: any) => boolean;
+    filter?: ((document: any) => boolean) | Query;
     field?: string;
     direction?: 'asc' | 'desc';
     count?: number;
-  }>): Promise<any>;
+  };
+
+/**
+ * Serializable aggregation pipeline runner used by Collection.aggregate()
+ */
+export declare class AggregationPipeline {
+  public readonly stages: Array<{ index: number; operator: string; spec: any }>;
+  public readonly ignoredStages: PipelineStage[];
+
+  constructor(pipeline: PipelineStage[], options?: { allowFunctions?: boolean });
+
+  static evaluate(expression: AggregationExpression, document: any): any;
+  static project(document: any, projection: Record<string, any>): any;
+  run(documents: any[], options?: {
+    startAt?: number;
+    lookup?: (collectionName: string) => Promise<any[]>;
+  }): Promise<any[] | Record<string, any[]>>;
+}
+
+/**
+ * Multi-collection transaction passed to db.transaction()
+ */
+export declare class Transaction {
+  public readonly db: any;
+  public readonly state: 'active' | 'committed' | 'rolledBack';
+  public readonly isActive: boolean;
+
+  constructor(db: any);
+
+  /** Get a collection interface whose writes are part of the transaction */
+  collection(name: string): Collection;
 }
 
 /**
@@ -4,17 +4,44 @@
  */
 
 const IndexSystem = require('./IndexSystem');
+const SortedIndex = require('./SortedIndex');
 const Logger = require('./Logger');
 const Validator = require('./Validator');
 const WriteMutex = require('./WriteMutex');
 const Collection = require('./Collection');
 const QueryResult = require('./QueryResult');
+const QueryMatcher = require('./QueryMatcher');
+const AtomicFile = require('./AtomicFile');
+const LRUCache = require('./LRUCache');
+const UpdateOperators = require('./UpdateOperators');
+const Transaction = require('./Transaction');
+const SchemaValidator = require('./SchemaValidator');
+const MigrationRunner = require('./MigrationRunner');
+const AggregationPipeline = require('./AggregationPipeline');
+const {
+  JSLiteDBError, UniqueConstraintError, ConflictError, ValidationError, UpdateOperatorError, MigrationError
+} = require('./Errors');
 
 module.exports = {
   IndexSystem,
+  SortedIndex,
   Logger,
   Validator,
   WriteMutex,
   Collection,
-  QueryResult
+  QueryResult,
+  QueryMatcher,
+  AtomicFile,
+  LRUCache,
+  UpdateOperators,
+  Transaction,
+  SchemaValidator,
+  MigrationRunner,
+  AggregationPipeline,
+  JSLiteDBError,
+  UniqueConstraintError,
+  ConflictError,
+  ValidationError,
+  UpdateOperatorError,
+  MigrationError
 };
\ No newline at end of file
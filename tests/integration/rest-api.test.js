@@ -42,6 +42,7 @@ describe('REST API Integration', () => {
 
       expect(response.body.status).toBe('healthy');
       expect(response.body.uptime).toBeDefined();
+      expect(response.body.cache).toMatchObject({ hits: expect.any(Number), misses: expect.any(Number), evictions: expect.any(Number) });
     });
   });
 
@@ -100,6 +101,23 @@ describe('REST API Integration', () => {
           .send()
           .expect(400);
       });
+
+      test('should return conflict for unique index violations', async () => {
+        await db.collection('api-unique').createIndex('email', { unique: true });
+
+        await request(app)
+          .post('/api/api-unique')
+          .send({ id: 'first', email: 'taken@example.com' })
+          .expect(201);
+
+        const response = await request(app)
+          .post('/api/api-unique')
+          .send({ email: 'taken@example.com' })
+          .expect(409);
+
+        expect(response.body.success).toBe(false);
+        expect(response.body.error).toContain('email "taken@example.com"');
+      });
     });
 
     describe('GET /api/:collection/:id', () => {
@@ -127,6 +145,21 @@ describe('REST API Integration', () => {
           .get(`/api/${testCollection}/non-existent`)
           .expect(404);
       });
+
+      test('should return only the requested fields', async () => {
+        const response = await request(app)
+          .get(`/api/${testCollection}/${createdDocId}?fields=name`)
+          .expect(200);
+        expect(response.body.data).toEqual({ id: createdDocId, name: testDocument.name });
+
+        const excluded = await request(app)
+          .get(`/api/${testCollection}/${createdDocId}?fields=-name`)
+          .expect(200);
+        expect(excluded.body.data.id).toBe(createdDocId);
+        expect(excluded.body.data.name).toBeUndefined();
+
+        await request(app).get(`/api/${testCollection}/${createdDocId}?fields=name,-age`).expect(400);
+      });
     });
 
     describe('PUT /api/:collection/:id', () => {
@@ -172,6 +205,279 @@ describe('REST API Integration', () => {
       });
     });
 
+    describe('PATCH /api/:collection/:id', () => {
+      let createdDocId;
+
+      beforeEach(async () => {
+        const response = await request(app)
+          .post(`/api/${testCollection}`)
+          .send({ ...testDocument, tags: ['new'] });
+        createdDocId = response.body.data.id;
+      });
+
+      test('should apply update operators', async () => {
+        const response = await request(app)
+          .patch(`/api/${testCollection}/${createdDocId}`)
+          .send({ $inc: { age: 1 }, $push: { tags: 'vip' }, $unset: { active: '' } })
+          .expect(200);
+
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toEqual({
+          name: 'John Doe', email: 'john@example.com', age: 31, tags: ['new', 'vip']
+        });
+      });
+
+      test('should apply a JSON merge patch', async () => {
+        const response = await request(app)
+          .patch(`/api/${testCollection}/${createdDocId}`)
+          .set('Content-Type', 'application/merge-patch+json')
+          .send(JSON.stringify({ email: null, name: 'John Patched' }))
+          .expect(200);
+
+        expect(response.body.data).toEqual({ name: 'John Patched', age: 30, active: true, tags: ['new'] });
+      });
+
+      test('should return 400 for invalid updates and 404 for missing documents', async () => {
+        const invalid = await request(app)
+          .patch(`/api/${testCollection}/${createdDocId}`)
+          .send({ $inc: { age: 'one' } })
+          .expect(400);
+        expect(invalid.body.error).toContain('$inc');
+
+        await request(app)
+          .patch(`/api/${testCollection}/${createdDocId}`)
+          .send({ $push: { name: 'x' } })
+          .expect(400);
+
+        await request(app)
+          .patch(`/api/${testCollection}/missing-id`)
+          .send({ $set: { name: 'Ghost' } })
+          .expect(404);
+      });
+
+      test('should answer internal errors with 500 whatever their message', async () => {
+        const updateOne = jest.spyOn(JSLiteDB.Collection.prototype, 'updateOne')
+          .mockRejectedValueOnce(new TypeError("Cannot read properties of undefined (reading 'x')"));
+
+        const response = await request(app)
+          .patch(`/api/${testCollection}/${createdDocId}`)
+          .send({ $set: { name: 'Broken' } })
+          .expect(500);
+        expect(response.body.error).toBe('Failed to update document');
+        updateOne.mockRestore();
+      });
+
+      test('should not let updates or merge patches reach object prototypes', async () => {
+        const invalid = await request(app)
+          .patch(`/api/${testCollection}/${createdDocId}`)
+          .send({ $set: { '__proto__.polluted': 1 } })
+          .expect(400);
+        expect(invalid.body.error).toContain("reserved segment '__proto__'");
+
+        const patched = await request(app)
+          .patch(`/api/${testCollection}/${createdDocId}`)
+          .set('Content-Type', 'application/merge-patch+json')
+          .send('{"__proto__": {"polluted": 1}, "name": "Safe"}')
+          .expect(200);
+        expect(patched.body.data.name).toBe('Safe');
+        expect(patched.body.data.polluted).toBeUndefined();
+        expect({}.polluted).toBeUndefined();
+      });
+    });
+
+    describe('POST /api/:collection/_bulk', () => {
+      test('should run all operations and return 200 when they succeed', async () => {
+        const response = await request(app)
+          .post(`/api/api-bulk-mixed/_bulk`)
+          .send([
+            { op: 'insert', document: { id: 'a', name: 'Alpha', count: 1 } },
+            { op: 'insert', id: 'b', document: { name: 'Beta' } },
+            { op: 'update', id: 'c', document: { name: 'Gamma' } },
+            { op: 'patch', id: 'a', patch: { $inc: { count: 1 } } },
+            { op: 'patch', id: 'b', patch: { tag: 'merged' } },
+            { op: 'delete', id: 'c' }
+          ])
+          .expect(200);
+
+        expect(response.body.success).toBe(true);
+        expect(response.body.data.results.map(result => result.status)).toEqual([201, 201, 201, 200, 200, 200]);
+        expect(response.body.data).toMatchObject({ insertedCount: 2, modifiedCount: 3, deletedCount: 1, errorCount: 0 });
+        expect(response.body.data.results[3].data.count).toBe(2);
+        expect(response.body.data.results[4].data).toEqual({ name: 'Beta', tag: 'merged' });
+      });
+
+      test('should return 207 with per-operation statuses', async () => {
+        await request(app).post(`/api/api-bulk-status`).send({ id: 'a', name: 'Alpha' });
+
+        const ordered = await request(app)
+          .post(`/api/api-bulk-status/_bulk`)
+          .send([
+            { op: 'delete', id: 'missing' },
+            { op: 'insert', id: 'a', document: { name: 'Duplicate' } },
+            { op: 'insert', id: 'b', document: { name: 'Beta' } }
+          ])
+          .expect(207);
+
+        expect(ordered.body.data.results.map(result => result.status)).toEqual([404, 400, 424]);
+
+        const unordered = await request(app)
+          .post(`/api/api-bulk-status/_bulk`)
+          .send({
+            ordered: false,
+            operations: [
+              { op: 'insert', id: 'a', document: { name: 'Duplicate' } },
+              { op: 'patch', id: 'a', patch: { $inc: { name: 1 } } },
+              { op: 'insert', id: 'b', document: { name: 'Beta' } }
+            ]
+          })
+          .expect(207);
+
+        expect(unordered.body.data.results.map(result => result.status)).toEqual([400, 400, 201]);
+        expect(unordered.body.data.errorCount).toBe(2);
+      });
+
+      test('should return 409 for unique index violations and 400 for invalid requests', async () => {
+        await db.collection('api-bulk-unique').createIndex('email', { unique: true });
+
+        const response = await request(app)
+          .post(`/api/api-bulk-unique/_bulk`)
+          .send({
+            ordered: false,
+            operations: [
+              { op: 'insert', document: { email: 'a@example.com' } },
+              { op: 'insert', document: { email: 'a@example.com' } }
+            ]
+          })
+          .expect(207);
+
+        expect(response.body.data.results.map(result => result.status)).toEqual([201, 409]);
+
+        await request(app)
+          .post(`/api/api-bulk-unique/_bulk`)
+          .send({ op: 'insert' })
+          .expect(400);
+      });
+    });
+
+    describe('Revisions and If-Match', () => {
+      const revCollection = 'api-revisions';
+
+      beforeAll(() => {
+        db.collection(revCollection, { revisions: true });
+      });
+
+      test('should return the revision as ETag and reject stale If-Match with 412', async () => {
+        await request(app).post(`/api/${revCollection}`).send({ id: 'doc1', title: 'Draft' }).expect(201);
+
+        const getResponse = await request(app).get(`/api/${revCollection}/doc1`).expect(200);
+        expect(getResponse.headers.etag).toBe('"1"');
+        expect(getResponse.body.data._rev).toBe(1);
+
+        const putResponse = await request(app)
+          .put(`/api/${revCollection}/doc1`)
+          .set('If-Match', '"1"')
+          .send({ title: 'First editor' })
+          .expect(200);
+        expect(putResponse.headers.etag).toBe('"2"');
+
+        const staleResponse = await request(app)
+          .put(`/api/${revCollection}/doc1`)
+          .set('If-Match', '"1"')
+          .send({ title: 'Second editor' })
+          .expect(412);
+        expect(staleResponse.body.success).toBe(false);
+        expect(staleResponse.body.error).toContain('expected revision 1, found 2');
+
+        await request(app).patch(`/api/${revCollection}/doc1`).set('If-Match', '"1"').send({ title: 'x' }).expect(412);
+        await request(app).patch(`/api/${revCollection}/doc1`).set('If-Match', '"2"').send({ title: 'y' }).expect(200);
+        await request(app).delete(`/api/${revCollection}/doc1`).set('If-Match', '"2"').expect(412);
+        await request(app).delete(`/api/${revCollection}/doc1`).set('If-Match', 'yesterday').expect(412);
+        await request(app).delete(`/api/${revCollection}/doc1`).set('If-Match', '"3"').expect(200);
+      });
+
+      test('should reject a PUT with a stale _rev in the body with 409', async () => {
+        await request(app).post(`/api/${revCollection}`).send({ id: 'doc2', title: 'Draft' }).expect(201);
+        await request(app).put(`/api/${revCollection}/doc2`).send({ title: 'First editor', _rev: 1 }).expect(200);
+
+        const response = await request(app)
+          .put(`/api/${revCollection}/doc2`)
+          .send({ title: 'Second editor', _rev: 1 })
+          .expect(409);
+        expect(response.body.success).toBe(false);
+
+        const getResponse = await request(app).get(`/api/${revCollection}/doc2`).expect(200);
+        expect(getResponse.body.data).toMatchObject({ title: 'First editor', _rev: 2 });
+      });
+    });
+
+    describe('Document metadata', () => {
+      const stampedCollection = 'api-stamped';
+
+      beforeAll(() => {
+        db.collection(stampedCollection, { timestamps: true, userStamps: true });
+        db.resolveUser = req => req.get('X-User');
+      });
+
+      afterAll(() => {
+        db.resolveUser = null;
+      });
+
+      test('should stamp timestamps and the resolved user on REST writes', async () => {
+        const createResponse = await request(app)
+          .post(`/api/${stampedCollection}`)
+          .set('X-User', 'alice')
+          .send({ id: 'doc1', title: 'Draft' })
+          .expect(201);
+        expect(createResponse.body.data).toMatchObject({ createdBy: 'alice', updatedBy: 'alice' });
+        expect(createResponse.body.data.createdAt).toBe(createResponse.body.data.updatedAt);
+
+        const patchResponse = await request(app)
+          .patch(`/api/${stampedCollection}/doc1`)
+          .set('X-User', 'bob')
+          .send({ title: 'Final' })
+          .expect(200);
+        expect(patchResponse.body.data).toMatchObject({
+          title: 'Final', createdBy: 'alice', updatedBy: 'bob', createdAt: createResponse.body.data.createdAt
+        });
+      });
+    });
+
+    describe('Schema validation', () => {
+      const validatedCollection = 'api-validated';
+
+      beforeAll(() => {
+        db.collection(validatedCollection, {
+          schema: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, age: { type: 'integer' } } }
+        });
+      });
+
+      test('should reject invalid documents with 400 and the schema errors', async () => {
+        const createResponse = await request(app)
+          .post(`/api/${validatedCollection}`)
+          .send({ id: 'doc1', age: 'old' })
+          .expect(400);
+        expect(createResponse.body.success).toBe(false);
+        expect(createResponse.body.errors).toEqual([
+          { path: 'name', keyword: 'required', message: 'is required' },
+          { path: 'age', keyword: 'type', message: 'must be integer' }
+        ]);
+
+        await request(app).post(`/api/${validatedCollection}`).send({ id: 'doc1', name: 'Ana' }).expect(201);
+
+        const patchResponse = await request(app)
+          .patch(`/api/${validatedCollection}/doc1`)
+          .send({ $set: { name: 7 } })
+          .expect(400);
+        expect(patchResponse.body.errors[0].path).toBe('name');
+
+        const bulkResponse = await request(app)
+          .post(`/api/${validatedCollection}/_bulk`)
+          .send([{ op: 'update', id: 'doc1', document: { age: 3 } }])
+          .expect(207);
+        expect(bulkResponse.body.data.results[0]).toMatchObject({ status: 400, errors: [{ path: 'name', keyword: 'required' }] });
+      });
+    });
+
     describe('DELETE /api/:collection/:id', () => {
       let createdDocId;
 
@@ -249,6 +555,192 @@ describe('REST API Integration', () => {
         expect(response.body.success).toBe(true);
         expect(response.body.data.length).toBeLessThanOrEqual(3);
       });
+
+      test('should filter, sort and project with query parameters', async () => {
+        const queryCollection = 'api-query';
+        await db.collection(queryCollection).insertMany(TestUtils.generateTestData(10));
+
+        const where = encodeURIComponent(JSON.stringify({ age: { $gt: 24 } }));
+        const response = await request(app)
+          .get(`/api/${queryCollection}?where=${where}&sort=-age,name&fields=name,profile.location`)
+          .expect(200);
+
+        expect(response.body.data.map(document => document.name)).toEqual(['User 10', 'User 9', 'User 8', 'User 7', 'User 6']);
+        expect(response.body.data[0]).toEqual({ id: 10, name: 'User 10', profile: { location: 'City 4' } });
+
+        const fieldResponse = await request(app)
+          .get(`/api/${queryCollection}?active=true&age[$lt]=25&tags=tag0&tags=tag1&sort=name:desc`)
+          .expect(200);
+        expect(fieldResponse.body.data.map(document => document.name)).toEqual(['User 5', 'User 1']);
+      });
+
+      test('should page with cursors, Link headers and total counts', async () => {
+        const pageCollection = 'api-pages';
+        await db.collection(pageCollection).insertMany(TestUtils.generateTestData(7));
+
+        const nextLink = response => {
+          const match = /<([^>]+)>; rel="next"/.exec(response.headers.link || '');
+          return match ? new URL(match[1]) : null;
+        };
+
+        const first = await request(app)
+          .get(`/api/${pageCollection}?active=true&sort=-age&limit=3&total=true&cursor=`)
+          .expect(200);
+
+        expect(first.body.data.map(document => document.id)).toEqual([7, 5, 3]);
+        expect(first.body.totalCount).toBe(4);
+        expect(first.body.pagination).toEqual({ limit: 3, skip: 0, hasMore: true, nextCursor: expect.any(String) });
+        expect(first.headers.link).toContain(`/api/${pageCollection}?active=true&sort=-age&limit=3&total=true&cursor=>; rel="first"`);
+
+        const link = nextLink(first);
+        expect(link.searchParams.get('cursor')).toBe(first.body.pagination.nextCursor);
+
+        const second = await request(app).get(link.pathname + link.search).expect(200);
+        expect(second.body.data.map(document => document.id)).toEqual([1]);
+        expect(second.body.pagination).toEqual({ limit: 3, skip: 0, hasMore: false, nextCursor: null });
+        expect(nextLink(second)).toBeNull();
+
+        const queried = await request(app)
+          .post(`/api/${pageCollection}/_query`)
+          .send({ filter: { active: true }, sort: '-age', limit: 3, cursor: first.body.pagination.nextCursor })
+          .expect(200);
+        expect(queried.body.data.map(document => document.id)).toEqual([1]);
+
+        const counted = await request(app).get(`/api/${pageCollection}?skip=5&total=true`).expect(200);
+        expect(counted.body.data).toHaveLength(2);
+        expect(counted.body.totalCount).toBe(7);
+      });
+
+      test('should keep insertion order and plain limits without a cursor', async () => {
+        const orderCollection = 'api-insertion-order';
+        await db.collection(orderCollection).insertMany([{ id: 'c' }, { id: 'a' }, { id: 'b' }]);
+
+        const response = await request(app).get(`/api/${orderCollection}?limit=2&total=true`).expect(200);
+
+        expect(response.body.data.map(document => document.id)).toEqual(['c', 'a']);
+        expect(response.body.totalCount).toBe(3);
+        expect(response.body.pagination).toBeUndefined();
+        expect(response.headers.link).toBeUndefined();
+      });
+
+      test('should reject invalid query parameters with 400', async () => {
+        const invalid = [
+          ['where={"age":', 'Invalid where parameter'],
+          [`where=${encodeURIComponent('{"age":{"$near":1}}')}`, "Unsupported operator '$near' for field 'age'"],
+          ['age[$in]=3', '$in for field \'age\' requires an array'],
+          ['sort=name:sideways', 'Sort direction must be either "asc" or "desc"'],
+          ['fields=name,..bad', 'Invalid fields'],
+          ['fields=name,-age', 'Invalid fields: Projection cannot mix included and excluded fields'],
+          ['limit=ten', 'Limit must be a non-negative integer'],
+          ['sort=name&sort=age', "Parameter 'sort' must only be given once"],
+          ['cursor=abc', 'A cursor requires a limit'],
+          ['limit=2&skip=1&cursor=abc', 'A cursor cannot be combined with skip'],
+          ['limit=2&cursor=abc', 'Invalid cursor'],
+          ['total=yes', "Parameter 'total' must be true or false"]
+        ];
+
+        for (const [queryString, error] of invalid) {
+          const response = await request(app).get(`/api/${testCollection}?${queryString}`).expect(400);
+          expect(response.body.success).toBe(false);
+          expect(response.body.error).toContain(error);
+        }
+      });
+    });
+
+    describe('POST /api/:collection/_query and _aggregate', () => {
+      const reportCollection = 'api-report';
+
+      beforeAll(async () => {
+        await db.collection(reportCollection).insertMany(TestUtils.generateTestData(12));
+        await db.collection(reportCollection).createIndex('active');
+      });
+
+      test('should run a query from the body with statistics', async () => {
+        const response = await request(app)
+          .post(`/api/${reportCollection}/_query`)
+          .send({
+            filter: { active: true, $or: [{ age: { $lt: 23 } }, { 'profile.location': 'City 0' }] },
+            sort: [{ field: 'age', direction: 'desc' }],
+            limit: 2,
+            projection: ['name']
+          })
+          .expect(200);
+
+        expect(response.body.data).toEqual([{ id: 11, name: 'User 11' }, { id: 3, name: 'User 3' }]);
+        expect(response.body.stats).toMatchObject({ scanned: 6, returned: 2 });
+        expect(typeof response.body.stats.executionTime).toBe('number');
+
+        const invalid = await request(app)
+          .post(`/api/${reportCollection}/_query`)
+          .send({ filter: { age: { $between: [1, 2] } } })
+          .expect(400);
+        expect(invalid.body.error).toContain("Unsupported operator '$between'");
+
+        await request(app).post(`/api/${reportCollection}/_query`).send({ where: {} }).expect(400);
+      });
+
+      test('should apply projection objects with computed fields', async () => {
+        const response = await request(app)
+          .post(`/api/${reportCollection}/_query`)
+          .send({ filter: { id: 2 }, projection: { id: 0, name: 1, birthYearOffset: { $subtract: ['$age', 20] } } })
+          .expect(200);
+        expect(response.body.data).toEqual([{ name: 'User 2', birthYearOffset: 1 }]);
+
+        const excluded = await request(app)
+          .post(`/api/${reportCollection}/_query`)
+          .send({ filter: { id: 2 }, projection: ['-profile', '-tags', '-createdAt', '-email', '-active', '-age'] })
+          .expect(200);
+        expect(excluded.body.data).toEqual([{ id: 2, name: 'User 2' }]);
+      });
+
+      test('should run an aggregation pipeline', async () => {
+        const response = await request(app)
+          .post(`/api/${reportCollection}/_aggregate`)
+          .send({
+            pipeline: [
+              { type: 'match', filter: { active: false } },
+              { type: 'group', field: 'profile.preferences.theme' }
+            ]
+          })
+          .expect(200);
+
+        expect(Object.keys(response.body.data)).toEqual(['light']);
+        expect(response.body.data.light).toHaveLength(6);
+        expect(response.body.stats).toMatchObject({ scanned: 6, returned: 1 });
+
+        const invalid = await request(app)
+          .post(`/api/${reportCollection}/_aggregate`)
+          .send([{ type: 'limit', count: -1 }])
+          .expect(400);
+        expect(invalid.body.error).toBe('Invalid pipeline stage 0: limit count must be a non-negative integer');
+      });
+
+      test('should run a serializable pipeline with accumulators', async () => {
+        const response = await request(app)
+          .post(`/api/${reportCollection}/_aggregate`)
+          .send({
+            pipeline: [
+              { $match: { active: true } },
+              { $unwind: '$tags' },
+              { $group: { _id: '$tags', users: { $sum: 1 }, oldest: { $max: '$age' } } },
+              { $sort: { users: -1, _id: 1 } },
+              { $limit: 2 }
+            ]
+          })
+          .expect(200);
+
+        expect(response.body.data).toEqual([
+          { _id: 'category0', users: 3, oldest: 28 },
+          { _id: 'category2', users: 3, oldest: 30 }
+        ]);
+        expect(response.body.stats).toMatchObject({ scanned: 6, returned: 2 });
+
+        const failed = await request(app)
+          .post(`/api/${reportCollection}/_aggregate`)
+          .send([{ $project: { tagCount: { $size: '$name' } } }])
+          .expect(400);
+        expect(failed.body.error).toBe('Aggregation stage 0 ($project) failed: $size requires an array, got string');
+      });
     });
 
     describe('GET /api/:collection/count', () => {
@@ -272,6 +764,107 @@ describe('REST API Integration', () => {
         expect(response.body.data.count).toBeGreaterThan(0);
       });
     });
+
+    describe('/api/:collection/indexes', () => {
+      const indexCollection = 'api-indexed';
+
+      beforeAll(async () => {
+        const collection = db.collection(indexCollection);
+        await collection.insert('a', { sku: 'A-1', team: 'red', region: 'eu' });
+        await collection.insert('b', { sku: 'B-1', team: 'red', region: 'us' });
+        await collection.insert('c', { sku: 'C-1', team: 'blue', region: 'eu' });
+      });
+
+      test('should build an index and report its statistics', async () => {
+        const response = await request(app)
+          .post(`/api/${indexCollection}/indexes`)
+          .send({ fields: 'sku', unique: true })
+          .expect(201);
+
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toMatchObject({ name: 'sku', fields: ['sku'], unique: true, status: 'built' });
+        expect(response.body.data.stats.totalDocuments).toBe(3);
+        expect(response.body.data.buildTime).toBeGreaterThanOrEqual(0);
+
+        const again = await request(app)
+          .post(`/api/${indexCollection}/indexes`)
+          .send({ fields: 'sku', unique: true })
+          .expect(200);
+        expect(again.body.data.status).toBe('exists');
+      });
+
+      test('should list indexes with their distribution', async () => {
+        await request(app)
+          .post(`/api/${indexCollection}/indexes`)
+          .send({ fields: ['team', 'region'] })
+          .expect(201);
+
+        const response = await request(app)
+          .get(`/api/${indexCollection}/indexes`)
+          .expect(200);
+
+        const compound = response.body.data.find(index => index.name === 'team,region');
+        expect(compound.stats.distribution['["red","eu"]']).toBe(1);
+      });
+
+      test('should report unique violations found during the build', async () => {
+        const response = await request(app)
+          .post(`/api/${indexCollection}/indexes`)
+          .send({ fields: 'team', unique: true })
+          .expect(409);
+
+        expect(response.body.success).toBe(false);
+        expect(response.body.details.duplicates).toEqual([{ value: 'red', keys: ['a', 'b'] }]);
+      });
+
+      test('should reject invalid specifications', async () => {
+        await request(app)
+          .post(`/api/${indexCollection}/indexes`)
+          .send({ fields: ['team', 'region'], sorted: true })
+          .expect(400);
+
+        await request(app)
+          .post(`/api/${indexCollection}/indexes`)
+          .send({ fields: 'team', clustered: true })
+          .expect(400);
+      });
+
+      test('should drop indexes by name or fields', async () => {
+        await request(app)
+          .post(`/api/${indexCollection}/indexes`)
+          .send({ fields: 'region', sorted: true })
+          .expect(201);
+
+        await request(app)
+          .delete(`/api/${indexCollection}/indexes/region`)
+          .expect(200);
+
+        await request(app)
+          .delete(`/api/${indexCollection}/indexes`)
+          .send({ fields: ['team', 'region'] })
+          .expect(200);
+
+        await request(app)
+          .delete(`/api/${indexCollection}/indexes/region`)
+          .expect(404);
+      });
+
+      test('should serve the same routes under the reserved _indexes segment', async () => {
+        await request(app)
+          .post(`/api/${indexCollection}/_indexes`)
+          .send({ fields: 'region' })
+          .expect(201);
+
+        const response = await request(app)
+          .get(`/api/${indexCollection}/_indexes`)
+          .expect(200);
+        expect(response.body.data.map(index => index.name)).toContain('region');
+
+        await request(app)
+          .delete(`/api/${indexCollection}/_indexes/region`)
+          .expect(200);
+      });
+    });
   });
 
   describe('Database Operations', () => {
@@ -106,6 +106,36 @@ describe('Collection Class', () => {
       expect(doc.email).toBe('user1@example.com');
     });
 
+    test('should return copies that do not change the stored document when mutated', async () => {
+      // The first call reads the collection, the second is served from the cache
+      for (const doc of [await collection.findById(1), await collection.findById(1)]) {
+        doc.name = 'Changed';
+        doc.profile.location = 'Nowhere';
+        doc.tags.push('changed');
+      }
+
+      const stored = await collection.findById(1);
+      expect(stored.name).toBe('User 1');
+      expect(stored.profile.location).toBe(testData[0].profile.location);
+      expect(stored.tags).toEqual(testData[0].tags);
+      expect(await collection.find({ filter: { name: 'Changed' } })).toHaveLength(0);
+    });
+
+    test('should return copies from find and stream that do not change the store when mutated', async () => {
+      const [found] = await collection.find({ filter: { id: 1 } });
+      found.profile.location = 'Nowhere';
+      found.tags.push('changed');
+
+      for await (const doc of collection.stream()) {
+        doc.profile.location = 'Nowhere';
+      }
+
+      const stored = await collection.findById(1);
+      expect(stored.profile.location).toBe(testData[0].profile.location);
+      expect(stored.tags).toEqual(testData[0].tags);
+      expect(await collection.find({ filter: { 'profile.location': 'Nowhere' } })).toHaveLength(0);
+    });
+
     test('should return null for non-existent ID', async () => {
       const doc = await collection.findById('non-existent');
       expect(doc).toBeNull();
@@ -153,6 +183,413 @@ describe('Collection Class', () => {
       const doc = await collection.findOne((doc) => doc.age > 100);
       expect(doc).toBeNull();
     });
+
+    test('should return only the projected fields', async () => {
+      const docs = await collection.find({ filter: { age: { $lt: 22 } }, projection: { name: 1, 'profile.location': 1 } });
+      expect(docs).toEqual([
+        { id: 1, name: 'User 1', profile: { location: 'City 0' } },
+        { id: 2, name: 'User 2', profile: { location: 'City 1' } }
+      ]);
+
+      const computed = await collection.findOne({ id: 3 }, {
+        projection: { id: 0, name: 1, nextAge: { $add: ['$age', 1] }, tagCount: { $size: '$tags' } }
+      });
+      expect(computed).toEqual({ name: 'User 3', nextAge: 23, tagCount: 2 });
+
+      const page = await collection.findPage({ sort: { field: 'age', direction: 'desc' }, limit: 1, projection: { age: 1 } });
+      expect(page.documents).toEqual([{ id: 10, age: 29 }]);
+    });
+
+    test('should leave out excluded fields without modifying stored documents', async () => {
+      const doc = await collection.findById(1, { projection: { profile: 0, tags: 0 } });
+      expect(doc.name).toBe('User 1');
+      expect(doc.profile).toBeUndefined();
+      expect(doc.tags).toBeUndefined();
+
+      const [nested] = await collection.find({ filter: { id: 1 }, projection: { 'profile.preferences': 0 } });
+      expect(nested.profile).toEqual({ bio: 'This is user 1', location: 'City 0' });
+      expect((await collection.findById(1)).profile.preferences).toBeDefined();
+    });
+
+    test('should reject invalid projections', async () => {
+      await expect(collection.find({ projection: { name: 1, age: 0 } })).rejects.toThrow('Invalid projection: Projection cannot mix');
+      await expect(collection.findById(1, { projection: [] })).rejects.toThrow('Invalid projection');
+    });
+  });
+
+  describe('Query Objects', () => {
+    beforeEach(async () => {
+      const testData = TestUtils.generateTestData(10);
+      for (let i = 0; i < testData.length; i++) {
+        await collection.insert(testData[i].id, testData[i]);
+      }
+    });
+
+    test('should find documents with equality and comparison operators', async () => {
+      const docs = await collection.find({ filter: { active: true, age: { $gte: 24 } } });
+
+      expect(docs.map(doc => doc.id)).toEqual([5, 7, 9]);
+    });
+
+    test('should support dot notation paths', async () => {
+      const docs = await collection.find({ filter: { 'profile.location': 'City 1' } });
+
+      expect(docs).toHaveLength(2);
+      docs.forEach(doc => expect(doc.profile.location).toBe('City 1'));
+    });
+
+    test('should match array fields by element', async () => {
+      const docs = await collection.find({ filter: { tags: { $in: ['tag0'] } } });
+      const sized = await collection.find({ filter: { tags: { $size: 2 } } });
+
+      expect(docs.map(doc => doc.id)).toEqual([1, 4, 7, 10]);
+      expect(sized).toHaveLength(10);
+    });
+
+    test('should support logical operators', async () => {
+      const docs = await collection.find({
+        filter: { $or: [{ age: { $lt: 21 } }, { name: { $regex: '^user 1', $options: 'i' } }] }
+      });
+
+      expect(docs.map(doc => doc.id)).toEqual([1, 10]);
+    });
+
+    test('should apply skip to matching documents only', async () => {
+      const docs = await collection.find({ filter: { active: true }, skip: 1, limit: 2 });
+
+      expect(docs.map(doc => doc.id)).toEqual([3, 5]);
+    });
+
+    test('should find one document with a query object', async () => {
+      const doc = await collection.findOne({ email: 'user3@example.com' });
+      const missing = await collection.findOne({ email: { $exists: false } });
+
+      expect(doc.id).toBe(3);
+      expect(missing).toBeNull();
+    });
+
+    test('should count documents with a query object', async () => {
+      expect(await collection.count({ active: false })).toBe(5);
+      expect(await collection.count({ filter: { age: { $nin: [20, 21] } } })).toBe(8);
+    });
+
+    test('should reject invalid query objects', async () => {
+      await expect(collection.find({ filter: { age: { $between: [1, 2] } } })).rejects.toThrow('Invalid query');
+      await expect(collection.count({ $nor: [] })).rejects.toThrow('Invalid query');
+    });
+  });
+
+  describe('Indexes', () => {
+    beforeEach(async () => {
+      const testData = TestUtils.generateTestData(10);
+      for (let i = 0; i < testData.length; i++) {
+        await collection.insert(testData[i].id, testData[i]);
+      }
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should build an index over existing documents', async () => {
+      await collection.createIndex('profile.location');
+
+      const index = db.indexes.get('testCollection').get('profile.location');
+      expect(collection.getIndexes()).toEqual(['profile.location']);
+      expect(index.get('City 0').size).toBe(2);
+    });
+
+    test('should answer equality queries from the index', async () => {
+      await collection.createIndex('email');
+      const lookup = jest.spyOn(JSLiteDB.IndexSystem.prototype, 'get');
+      const predicate = jest.fn(() => true);
+
+      const docs = await collection.find({ filter: { email: { $in: ['user2@example.com', 'user4@example.com'] } } });
+      const count = await collection.count({ email: 'user7@example.com' });
+      await collection.find({ filter: predicate });
+
+      expect(lookup).toHaveBeenCalled();
+      expect(docs.map(doc => doc.id).sort()).toEqual([2, 4]);
+      expect(count).toBe(1);
+      expect(predicate).toHaveBeenCalledTimes(10);
+    });
+
+    test('should index array fields by element', async () => {
+      await collection.createIndex('tags');
+
+      const docs = await collection.find({ filter: { tags: 'category1' } });
+      expect(docs.map(doc => doc.id).sort()).toEqual([2, 6, 10].sort());
+    });
+
+    test('should keep indexes in sync with insert, update and delete', async () => {
+      await collection.createIndex('name');
+
+      await collection.insert('new', { name: 'Newcomer' });
+      await collection.update(1, { name: 'Renamed' });
+      await collection.delete(2);
+
+      expect(await collection.findOne({ name: 'Newcomer' })).toMatchObject({ id: 'new' });
+      expect(await collection.findOne({ name: 'Renamed' })).toMatchObject({ id: '1' });
+      expect(await collection.findOne({ name: 'User 1' })).toBeNull();
+      expect(await collection.findOne({ name: 'User 2' })).toBeNull();
+    });
+
+    test('should drop indexes', async () => {
+      await collection.createIndex('name');
+
+      expect(await collection.dropIndex('name')).toBe(true);
+      expect(await collection.dropIndex('name')).toBe(false);
+      expect(collection.getIndexes()).toEqual([]);
+    });
+
+    test('should apply database-wide indexes to every collection', async () => {
+      db.createIndex('name');
+      const other = db.collection('other');
+      await other.insert('a', { name: 'Alpha' });
+
+      expect(collection.getIndexes()).toContain('name');
+      expect(other.getIndexes()).toContain('name');
+      expect(db.indexes.get('other').get('name').get('Alpha').has('a')).toBe(true);
+    });
+
+    test('should rebuild indexes when collections are loaded', async () => {
+      const db2 = new JSLiteDB({ folderPath: tempDir, enableLogging: false });
+      db2.createIndex('email');
+      await db2.init();
+      // Collections are loaded (and indexed) on first access
+      await db2.collection('testCollection').count();
+
+      const index = db2.indexes.get('testCollection').get('email');
+      expect(index.get('user3@example.com').has('3')).toBe(true);
+
+      await db2.close();
+    });
+
+    test('should restore persisted index definitions on startup', async () => {
+      await collection.createIndex('email', { unique: true });
+      await collection.createIndex('age', { type: 'sorted' });
+      await collection.createIndex(['active', 'name']);
+      await collection.createIndex('nickname', { sparse: true });
+      await collection.dropIndex('nickname');
+      db.createIndex('profile.location');
+      await db.writeMutex.acquire(async () => {});
+
+      const db2 = new JSLiteDB({ folderPath: tempDir, enableLogging: false });
+      await db2.init();
+      const restored = db2.collection('testCollection');
+
+      expect(restored.getIndexes().sort()).toEqual(['active,name', 'age', 'email', 'profile.location']);
+      expect(db2.indexes.get('testCollection').get('age').type).toBe('sorted');
+      await restored.count();
+      expect(db2.indexes.get('testCollection').get('age').getIndexedValues()).toHaveLength(10);
+      await expect(restored.insert({ email: 'user1@example.com' })).rejects.toThrow(JSLiteDB.UniqueConstraintError);
+
+      await db2.close();
+    });
+
+    test('should reject invalid index fields', async () => {
+      await expect(collection.createIndex('')).rejects.toThrow('Invalid index field');
+      await expect(collection.createIndex('age', { type: 'btree' })).rejects.toThrow('Index type');
+    });
+
+    test('should answer range queries from a sorted index', async () => {
+      await collection.createIndex('age', { type: 'sorted' });
+      const range = jest.spyOn(JSLiteDB.SortedIndex.prototype, 'range');
+
+      const docs = await collection.find({ filter: { age: { $gte: 23, $lt: 26 } } });
+
+      expect(range).toHaveBeenCalled();
+      expect(docs.map(doc => doc.age)).toEqual([23, 24, 25]);
+    });
+
+    test('should not change the type of an existing index', async () => {
+      await collection.createIndex('age', { type: 'sorted' });
+      await expect(collection.createIndex('age', { type: 'hash' })).rejects.toThrow('already exists');
+    });
+
+    test('should reject duplicate values in a unique index', async () => {
+      await collection.createIndex('email', { unique: true });
+
+      await expect(collection.insert('dup', { email: 'user1@example.com' }))
+        .rejects.toThrow(JSLiteDB.UniqueConstraintError);
+      await expect(collection.update(2, { email: 'user3@example.com' }))
+        .rejects.toMatchObject({ index: 'email', conflictingId: '3' });
+
+      await collection.update(2, { email: 'user2@example.com', name: 'Same email' });
+      expect(await collection.count({ email: 'user1@example.com' })).toBe(1);
+      expect(await collection.findById('dup')).toBeNull();
+    });
+
+    test('should refuse to build a unique index over duplicate values', async () => {
+      await expect(collection.createIndex('active', { unique: true }))
+        .rejects.toMatchObject({ name: 'UniqueConstraintError', index: 'active' });
+      expect(collection.getIndexes()).toEqual([]);
+    });
+
+    test('should answer equality queries from a compound index', async () => {
+      const name = await collection.createIndex(['active', 'profile.location'], { unique: true });
+      const lookup = jest.spyOn(JSLiteDB.IndexSystem.prototype, 'get');
+
+      const docs = await collection.find({ filter: { active: true, 'profile.location': 'City 2' } });
+
+      expect(name).toBe('active,profile.location');
+      expect(lookup).toHaveBeenCalledWith(JSON.stringify([true, 'City 2']));
+      expect(docs.map(doc => doc.id)).toEqual([3]);
+      await expect(collection.insert({ active: false, profile: { location: 'City 1' } }))
+        .rejects.toThrow(/active false, profile.location "City 1"/);
+    });
+
+    test('should leave documents without the field out of sparse indexes', async () => {
+      await collection.createIndex('nickname', { unique: true, sparse: true });
+      await collection.insert('a', { nickname: 'ace' });
+
+      const index = db.indexes.get('testCollection').get('nickname');
+      expect(index.getIndexedValues()).toEqual(['ace']);
+      await expect(collection.insert('b', { nickname: 'ace' })).rejects.toThrow('already exists');
+    });
+  });
+
+  describe('Sorting', () => {
+    beforeEach(async () => {
+      const testData = TestUtils.generateTestData(10);
+      for (let i = 0; i < testData.length; i++) {
+        await collection.insert(testData[i].id, testData[i]);
+      }
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should sort results without an index', async () => {
+      const docs = await collection.find({ sort: { field: 'createdAt', direction: 'asc' }, limit: 3 });
+
+      expect(docs.map(doc => doc.id)).toEqual([10, 9, 8]);
+    });
+
+    test('should sort by multiple fields', async () => {
+      const docs = await collection.find({
+        sort: [{ field: 'active', direction: 'desc' }, { field: 'age', direction: 'desc' }]
+      });
+
+      expect(docs.map(doc => doc.id)).toEqual([9, 7, 5, 3, 1, 10, 8, 6, 4, 2]);
+    });
+
+    test('should walk a sorted index for sort and limit', async () => {
+      await collection.createIndex('createdAt', { type: 'sorted' });
+      const entries = jest.spyOn(JSLiteDB.SortedIndex.prototype, 'entries');
+
+      const latest = await collection.find({ sort: { field: 'createdAt', direction: 'desc' }, limit: 2 });
+      const active = await collection.find({
+        filter: { active: true },
+        sort: { field: 'createdAt', direction: 'asc' },
+        skip: 1,
+        limit: 2
+      });
+
+      expect(entries).toHaveBeenCalledTimes(2);
+      expect(latest.map(doc => doc.id)).toEqual([1, 2]);
+      expect(active.map(doc => doc.id)).toEqual([7, 5]);
+    });
+
+    test('should push sort and limit aggregation stages down to the index', async () => {
+      await collection.createIndex('createdAt', { type: 'sorted' });
+      const entries = jest.spyOn(JSLiteDB.SortedIndex.prototype, 'entries');
+
+      const result = await collection.aggregate([
+        { type: 'sort', field: 'createdAt', direction: 'desc' },
+        { type: 'limit', count: 3 }
+      ]);
+
+      expect(entries).toHaveBeenCalled();
+      expect(result.map(doc => doc.id)).toEqual([1, 2, 3]);
+    });
+
+    test('should reject invalid sort options', async () => {
+      await expect(collection.find({ sort: { field: 'age', direction: 'up' } })).rejects.toThrow('Invalid sort');
+      await expect(collection.find({ sort: { direction: 'asc' } })).rejects.toThrow('Invalid sort');
+    });
+  });
+
+  describe('Cursor Pagination', () => {
+    const sort = { field: 'active', direction: 'desc' };
+
+    const collectPages = async (options) => {
+      const pages = [];
+      let page = await collection.findPage(options);
+      pages.push(page.documents.map(doc => doc.id));
+      while (page.hasMore) {
+        page = await collection.findPage({ ...options, cursor: page.nextCursor });
+        pages.push(page.documents.map(doc => doc.id));
+      }
+      expect(page.nextCursor).toBeNull();
+      return pages;
+    };
+
+    beforeEach(async () => {
+      await collection.insertMany(TestUtils.generateTestData(10));
+    });
+
+    test('should page through documents with equal sort values by ID', async () => {
+      const pages = await collectPages({ sort, limit: 3 });
+
+      expect(pages).toEqual([[1, 3, 5], [7, 9, 10], [2, 4, 6], [8]]);
+    });
+
+    test('should page in the same order when a sorted index serves the sort', async () => {
+      await collection.createIndex('active', { type: 'sorted' });
+
+      const pages = await collectPages({ sort, limit: 3 });
+
+      expect(pages).toEqual([[1, 3, 5], [7, 9, 10], [2, 4, 6], [8]]);
+    });
+
+    test('should enter a sorted index at the cursor instead of scanning earlier documents', async () => {
+      await collection.createIndex('age', { type: 'sorted' });
+      const options = { sort: { field: 'age', direction: 'asc' }, limit: 2 };
+
+      let page = await collection.findPage(options);
+      for (let i = 0; i < 3; i++) {
+        page = await collection.findPage({ ...options, cursor: page.nextCursor });
+      }
+
+      const stats = { scanned: 0 };
+      const last = await collection._findPage({ ...options, cursor: page.nextCursor }, stats);
+
+      expect(last.documents.map(doc => doc.age)).toEqual([28, 29]);
+      expect(stats.scanned).toBeLessThanOrEqual(4);
+    });
+
+    test('should not shift pages when documents are inserted between pages', async () => {
+      const options = { filter: { age: { $gte: 22 } }, sort: { field: 'age', direction: 'asc' }, limit: 4, total: true };
+
+      const first = await collection.findPage(options);
+      await collection.insert('early', { age: 22 });
+      const second = await collection.findPage({ ...options, cursor: first.nextCursor });
+
+      expect(first.total).toBe(8);
+      expect(second.total).toBe(9);
+      expect(first.documents.map(doc => doc.age)).toEqual([22, 23, 24, 25]);
+      expect(second.documents.map(doc => doc.age)).toEqual([26, 27, 28, 29]);
+      expect(second.hasMore).toBe(false);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    test('should continue find after a cursor', async () => {
+      const page = await collection.findPage({ sort, limit: 6 });
+      const rest = await collection.find({ sort, cursor: page.nextCursor });
+
+      expect(rest.map(doc => doc.id)).toEqual([2, 4, 6, 8]);
+    });
+
+    test('should reject invalid cursors and missing limits', async () => {
+      const page = await collection.findPage({ sort, limit: 2 });
+
+      await expect(collection.findPage({ sort, limit: 2, cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+      await expect(collection.find({ sort: { field: 'age', direction: 'asc' }, cursor: page.nextCursor }))
+        .rejects.toThrow('created for a different sort order');
+      await expect(collection.findPage({ sort })).rejects.toThrow('positive integer limit');
+    });
   });
 
   describe('Document Updates', () => {
@@ -185,6 +622,294 @@ describe('Collection Class', () => {
       expect(retrieved).toBeDefined();
       expect(retrieved.name).toBe('Upserted');
     });
+
+    test('should apply update operators', async () => {
+      await collection.insert('ops', {
+        name: 'Counter', count: 1, tags: ['a'], labels: ['x', 'y', 'x'], temp: true, profile: { city: 'Oslo' }
+      });
+
+      const result = await collection.updateOne('ops', {
+        $set: { 'profile.country': 'NO' },
+        $unset: { temp: '' },
+        $inc: { count: 2, views: 1 },
+        $push: { tags: { $each: ['b', 'c'] } },
+        $pull: { labels: 'x' }
+      });
+
+      expect(result).toEqual({
+        name: 'Counter', count: 3, views: 1, tags: ['a', 'b', 'c'], labels: ['y'], profile: { city: 'Oslo', country: 'NO' }
+      });
+      expect(await collection.findById('ops')).toEqual(result);
+    });
+
+    test('should not lose concurrent operator updates', async () => {
+      await collection.insert('counter', { count: 0, log: [] });
+
+      await Promise.all(Array.from({ length: 20 }, (_, i) =>
+        collection.updateOne('counter', { $inc: { count: 1 }, $push: { log: i } })
+      ));
+
+      const document = await collection.findById('counter');
+      expect(document.count).toBe(20);
+      expect(document.log).toHaveLength(20);
+    });
+
+    test('should return null for missing documents unless upserting', async () => {
+      expect(await collection.updateOne('missing', { $inc: { count: 1 } })).toBeNull();
+      expect(await collection.findById('missing')).toBeNull();
+
+      expect(await collection.updateOne('missing', { $inc: { count: 1 } }, { upsert: true })).toEqual({ count: 1 });
+    });
+
+    test('should reject invalid updates without changing the document', async () => {
+      await collection.insert('strict', { name: 'Strict' });
+
+      await expect(collection.updateOne('strict', { name: 'x' })).rejects.toThrow('Invalid update');
+      await expect(collection.updateOne('strict', { $rename: { name: 'title' } })).rejects.toThrow('Unsupported update operator');
+      await expect(collection.updateOne('strict', { $set: { a: 1 }, $inc: { a: 1 } })).rejects.toThrow('Conflicting update paths');
+      await expect(collection.updateOne('strict', { $inc: { name: 1 } })).rejects.toThrow("Cannot apply $inc to non-numeric field 'name'");
+      await expect(collection.updateOne('strict', { $push: { 'name.first': 1 } })).rejects.toThrow(JSLiteDB.UpdateOperatorError);
+
+      expect(await collection.findById('strict')).toEqual({ name: 'Strict' });
+    });
+
+    test('should apply JSON merge patches', async () => {
+      await collection.insert('merge', { name: 'Merge', address: { city: 'Oslo', zip: '0150' }, tags: ['a'] });
+
+      const result = await collection.patch('merge', { address: { zip: null, street: 'Main' }, tags: ['b'], age: 30 });
+
+      expect(result).toEqual({ name: 'Merge', address: { city: 'Oslo', street: 'Main' }, tags: ['b'], age: 30 });
+      expect(await collection.patch('missing', { a: 1 })).toBeNull();
+    });
+  });
+
+  describe('Bulk Writes', () => {
+    test('should insert many documents with a single persist', async () => {
+      const persist = jest.spyOn(db, '_persistChanges');
+      const inserted = [];
+      db.on('collection:insert', event => inserted.push(event.id));
+
+      const result = await collection.insertMany([
+        { id: 'a', name: 'Alpha' },
+        { name: 'Generated' },
+        { id: 'b', name: 'Beta' }
+      ]);
+
+      expect(result).toMatchObject({ insertedCount: 3, modifiedCount: 0, deletedCount: 0, errorCount: 0 });
+      expect(result.insertedIds).toEqual(['a', expect.any(String), 'b']);
+      expect(result.results[1]).toMatchObject({ index: 1, op: 'insert', success: true, document: { name: 'Generated' } });
+      expect(persist).toHaveBeenCalledTimes(1);
+      expect(persist.mock.calls[0][1]).toHaveLength(3);
+      expect(inserted).toEqual(result.insertedIds);
+      expect(await collection.count()).toBe(3);
+    });
+
+    test('should stop at the first error unless unordered', async () => {
+      await collection.insert('a', { name: 'Alpha' });
+
+      const ordered = await collection.insertMany([{ id: 'b' }, { id: 'a' }, { id: 'c' }]);
+      expect(ordered.insertedIds).toEqual(['b']);
+      expect(ordered.results).toHaveLength(2);
+      expect(ordered.results[1].error.message).toContain("Document with id 'a' already exists");
+
+      const unordered = await collection.insertMany([{ id: 'a' }, { id: 'd' }, 'not a document'], { ordered: false });
+      expect(unordered.insertedIds).toEqual(['d']);
+      expect(unordered.errorCount).toBe(2);
+      expect(unordered.results[2].error.message).toBe('Document must be an object');
+
+      expect(await collection.count()).toBe(3);
+    });
+
+    test('should update and delete documents matching a filter', async () => {
+      await collection.insertMany([
+        { id: '1', role: 'user', visits: 1 },
+        { id: '2', role: 'admin', visits: 5 },
+        { id: '3', role: 'user', visits: 2 }
+      ]);
+
+      const updated = await collection.updateMany({ role: 'user' }, { $inc: { visits: 10 } });
+      expect(updated.modifiedCount).toBe(2);
+      expect(updated.results.map(result => result.id).sort()).toEqual(['1', '3']);
+      expect((await collection.findById('3')).visits).toBe(12);
+
+      const deleted = await collection.deleteMany({ visits: { $gt: 10 } });
+      expect(deleted.deletedCount).toBe(2);
+      expect(await collection.count()).toBe(1);
+
+      await expect(collection.updateMany({}, { visits: 0 })).rejects.toThrow('Invalid update');
+      expect((await collection.deleteMany({})).deletedCount).toBe(1);
+      expect(await db.collections()).not.toContain('testCollection');
+    });
+
+    test('should run mixed bulk writes', async () => {
+      await collection.insert('a', { name: 'Alpha', count: 1 });
+
+      const result = await collection.bulkWrite([
+        { op: 'insert', id: 'b', document: { name: 'Beta' } },
+        { op: 'update', id: 'c', document: { name: 'Gamma' } },
+        { op: 'updateOne', id: 'a', update: { $inc: { count: 1 } } },
+        { op: 'patch', id: 'b', patch: { tag: 'new' } },
+        { op: 'delete', id: 'missing' },
+        { op: 'delete', id: 'c' },
+        { op: 'rename', id: 'a' }
+      ], { ordered: false });
+
+      expect(result).toMatchObject({ insertedCount: 1, modifiedCount: 3, deletedCount: 1, errorCount: 1 });
+      expect(result.results[4]).toMatchObject({ op: 'delete', id: 'missing', success: true, matched: false });
+      expect(result.results[6].error.message).toContain("Unknown write operation 'rename'");
+      expect(await collection.find()).toEqual([
+        { id: 'a', name: 'Alpha', count: 2 },
+        { id: 'b', name: 'Beta', tag: 'new' }
+      ]);
+    });
+  });
+
+  describe('Revisions', () => {
+    let docs;
+
+    beforeEach(() => {
+      docs = db.collection('docs', { revisions: true });
+    });
+
+    test('should increment the revision on every write', async () => {
+      expect(await docs.insert('a', { title: 'Draft' })).toEqual({ id: 'a', title: 'Draft', _rev: 1 });
+      expect(await docs.update('a', { title: 'Final', _rev: 7 })).toEqual({ title: 'Final', _rev: 2 });
+      expect(await docs.updateOne('a', { $set: { views: 1 } })).toEqual({ title: 'Final', views: 1, _rev: 3 });
+      expect(await docs.patch('a', { views: null })).toEqual({ title: 'Final', _rev: 4 });
+
+      await docs.bulkWrite([{ op: 'updateOne', id: 'a', update: { $inc: { views: 1 } } }]);
+      expect(await docs.findById('a')).toEqual({ title: 'Final', views: 1, _rev: 5 });
+
+      // Collections without the option are untouched
+      expect(await collection.insert('b', { title: 'Plain' })).toEqual({ id: 'b', title: 'Plain' });
+    });
+
+    test('should reject writes that expect a stale revision', async () => {
+      await docs.insert('a', { title: 'Draft' });
+      await docs.update('a', { title: 'First editor' }, { expectedRev: 1 });
+
+      const error = await docs.update('a', { title: 'Second editor' }, { expectedRev: 1 }).catch(err => err);
+      expect(error).toBeInstanceOf(JSLiteDB.ConflictError);
+      expect(error).toMatchObject({ collection: 'docs', id: 'a', expectedRev: 1, currentRev: 2 });
+
+      await expect(docs.patch('a', { title: 'x' }, { expectedRev: 3 })).rejects.toThrow(JSLiteDB.ConflictError);
+      await expect(docs.delete('a', { expectedRev: 1 })).rejects.toThrow('expected revision 1, found 2');
+      await expect(docs.update('missing', {}, { expectedRev: 1 })).rejects.toThrow('the document does not exist');
+      expect(await docs.findById('a')).toEqual({ title: 'First editor', _rev: 2 });
+
+      const result = await docs.bulkWrite([
+        { op: 'delete', id: 'a', expectedRev: 1 },
+        { op: 'delete', id: 'a', expectedRev: 2 }
+      ], { ordered: false });
+      expect(result.results[0].error).toBeInstanceOf(JSLiteDB.ConflictError);
+      expect(result.deletedCount).toBe(1);
+    });
+
+    test('should persist collection options in the metadata file', async () => {
+      await docs.insert('a', { title: 'Draft' });
+      expect(docs.getOptions()).toEqual({ revisions: true });
+      expect(() => db.collection('docs', { revision: true })).toThrow("Unknown collection option 'revision'");
+      await db.close();
+
+      const db2 = new JSLiteDB({ folderPath: tempDir, enableLogging: false });
+      expect(await db2.collection('docs').update('a', { title: 'Final' })).toEqual({ title: 'Final', _rev: 2 });
+      expect(db2.collection('docs').getOptions()).toEqual({ revisions: true });
+      await db2.close();
+    });
+  });
+
+  describe('Document Metadata', () => {
+    test('should stamp createdAt on insert and updatedAt on every write', async () => {
+      const posts = db.collection('posts', { timestamps: true });
+
+      const inserted = await posts.insert('p1', { title: 'Hello' });
+      expect(inserted.createdAt).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+      expect(inserted.updatedAt).toBe(inserted.createdAt);
+
+      await TestUtils.delay(5);
+      const replaced = await posts.update('p1', { title: 'Hello again', createdAt: 'forged' });
+      expect(replaced.createdAt).toBe(inserted.createdAt);
+      expect(replaced.updatedAt > inserted.updatedAt).toBe(true);
+
+      await TestUtils.delay(5);
+      const patched = await posts.updateOne('p1', { $set: { views: 1 } });
+      expect(patched.createdAt).toBe(inserted.createdAt);
+      expect(patched.updatedAt > replaced.updatedAt).toBe(true);
+
+      // A batch shares one timestamp
+      const { results } = await posts.insertMany([{ title: 'A' }, { title: 'B' }]);
+      expect(results[0].document.createdAt).toBe(results[1].document.createdAt);
+    });
+
+    test('should track createdBy and updatedBy from the user write option', async () => {
+      const posts = db.collection('posts', { userStamps: true });
+
+      expect(await posts.insert('p1', { title: 'Hello' }, { user: 'alice' }))
+        .toEqual({ id: 'p1', title: 'Hello', createdBy: 'alice', updatedBy: 'alice' });
+      expect(await posts.patch('p1', { title: 'Hi' }, { user: 'bob' }))
+        .toEqual({ title: 'Hi', createdBy: 'alice', updatedBy: 'bob' });
+      expect(await posts.update('p1', { title: 'Hey' }))
+        .toEqual({ title: 'Hey', createdBy: 'alice', updatedBy: null });
+
+      await db.transaction(tx => tx.collection('posts').insert('p2', { title: 'Draft' }, { user: 'carol' }));
+      expect(await posts.findById('p2')).toEqual({ title: 'Draft', createdBy: 'carol', updatedBy: 'carol' });
+
+      expect(() => db.collection('posts', { timestamps: 'yes' })).toThrow("Collection option 'timestamps' must be a boolean");
+    });
+  });
+
+  describe('Schema Validation', () => {
+    const schema = {
+      type: 'object',
+      required: ['email'],
+      properties: {
+        email: { type: 'string', format: 'email' },
+        age: { type: 'integer', minimum: 0 },
+        role: { enum: ['user', 'admin'], default: 'user' }
+      },
+      additionalProperties: false
+    };
+
+    test('should reject invalid inserts, updates and patches with error paths', async () => {
+      const users = db.collection('users', { schema, revisions: true });
+
+      expect(await users.insert('u1', { email: 'ana@example.com' })).toEqual({ id: 'u1', email: 'ana@example.com', role: 'user', _rev: 1 });
+
+      const error = await users.insert('u2', { email: 'nope', age: -1, nickname: 'x' }).catch(e => e);
+      expect(error).toBeInstanceOf(JSLiteDB.ValidationError);
+      expect(error.message).toBe("Document 'u2' does not match the schema of collection 'users': email must be a valid email (and 2 more)");
+      expect(error.errors.map(e => e.path)).toEqual(['email', 'age', 'nickname']);
+
+      await expect(users.update('u1', { age: 3 })).rejects.toThrow('email is required');
+      await expect(users.patch('u1', { role: 'root' })).rejects.toThrow("role must be one of: \"user\", \"admin\"");
+      await expect(users.updateOne('u1', { $inc: { age: 1.5 } })).rejects.toThrow('age must be integer');
+      expect(await users.updateOne('u1', { $set: { age: 30 } })).toEqual({ email: 'ana@example.com', role: 'user', age: 30, _rev: 2 });
+
+      const result = await users.insertMany([{ email: 'bo@example.com' }, { email: 42 }], { ordered: false });
+      expect(result.insertedCount).toBe(1);
+      expect(result.results[1].error.errors).toEqual([{ path: 'email', keyword: 'type', message: 'must be string' }]);
+      expect(await users.findById('u2')).toBeNull();
+    });
+
+    test('should coerce values with setSchema and persist the schema', async () => {
+      const products = db.collection('products');
+      expect(await products.setSchema({ type: 'object', properties: { price: { type: 'number' } } }, { coerceTypes: true })).toBe(true);
+
+      expect(await products.insert('p1', { price: '9.5' })).toEqual({ id: 'p1', price: 9.5 });
+      await expect(products.insert('p2', { price: 'free' })).rejects.toThrow('price must be number');
+      await expect(products.setSchema({ type: 'nothing' })).rejects.toThrow('Invalid schema');
+      await db.close();
+
+      const db2 = new JSLiteDB({ folderPath: tempDir, enableLogging: false });
+      const reopened = db2.collection('products');
+      expect(await reopened.patch('p1', { price: '10' })).toEqual({ price: 10 });
+      expect(reopened.getOptions().schemaOptions).toEqual({ coerceTypes: true });
+
+      expect(await reopened.setSchema(null)).toBe(true);
+      expect(reopened.getSchema()).toBeNull();
+      expect(await reopened.patch('p1', { price: 'free' })).toEqual({ price: 'free' });
+      await db2.close();
+    });
   });
 
   describe('Document Deletion', () => {
@@ -340,6 +1065,31 @@ describe('Collection Class', () => {
       expect(Array.isArray(result.false)).toBe(true);
     });
 
+    test('should match with query objects', async () => {
+      const result = await collection.aggregate([
+        { type: 'match', filter: { age: { $gte: 25 } } },
+        { type: 'group', field: 'active' }
+      ]);
+
+      expect(result.true.map(doc => doc.id)).toEqual([7, 9]);
+      expect(result.false.map(doc => doc.id)).toEqual([6, 8, 10]);
+    });
+
+    test('should skip original stages of an unknown type with a warning', async () => {
+      const warn = jest.spyOn(db.logger, 'warn');
+
+      const result = await collection.aggregate([
+        { type: 'match' },
+        { type: 'unwind', field: 'tags' },
+        { type: 'sort', field: 'age', direction: 'desc' },
+        { type: 'limit', count: 2 }
+      ]);
+
+      expect(result.map(doc => doc.id)).toEqual([10, 9]);
+      expect(warn).toHaveBeenCalledWith(`Ignoring aggregation stages of unknown type in '${collection.name}'`, { types: ['unwind'] });
+      warn.mockRestore();
+    });
+
     test('should chain multiple aggregation operations', async () => {
       const result = await collection.aggregate([
         { type: 'match', filter: (doc) => doc.age >= 25 },
@@ -353,5 +1103,46 @@ describe('Collection Class', () => {
         expect(doc.age).toBeGreaterThanOrEqual(25);
       });
     });
+
+    test('should group with accumulators and join other collections', async () => {
+      await db.collection('themes').insertMany([{ id: 'light', label: 'Light' }, { id: 'dark', label: 'Dark' }]);
+
+      const result = await collection.aggregate([
+        { $match: { age: { $gte: 23 } } },
+        { $group: { _id: '$profile.preferences.theme', users: { $count: {} }, averageAge: { $avg: '$age' } } },
+        { $lookup: { from: 'themes', localField: '_id', foreignField: 'id', as: 'theme' } },
+        { $project: { _id: 1, users: 1, averageAge: 1, label: { $ifNull: ['$theme.label', []] } } },
+        { $sort: { users: -1 } }
+      ]);
+
+      expect(result).toEqual([
+        { _id: 'light', users: 4, averageAge: 26, label: ['Light'] },
+        { _id: 'dark', users: 3, averageAge: 26, label: ['Dark'] }
+      ]);
+    });
+
+    test('should push leading $match, $sort and $limit stages down to find', async () => {
+      await collection.createIndex('age', { type: 'sorted' });
+      const entries = jest.spyOn(JSLiteDB.SortedIndex.prototype, 'entries');
+      const stats = { scanned: 0 };
+
+      const [result] = await collection._aggregate([
+        { $sort: { age: -1 } },
+        { $limit: 4 },
+        { $facet: { names: [{ $project: { id: 0, name: 1 } }], count: [{ $count: 'total' }] } }
+      ], stats);
+
+      expect(entries).toHaveBeenCalled();
+      expect(stats.scanned).toBeLessThan(10);
+      expect(result.names.map(doc => doc.name)).toEqual(['User 10', 'User 9', 'User 8', 'User 7']);
+      expect(result.count).toEqual([{ total: 4 }]);
+      entries.mockRestore();
+    });
+
+    test('should reject invalid pipelines and failing stages', async () => {
+      await expect(collection.aggregate([{ $unwind: 'tags' }])).rejects.toThrow('Invalid pipeline stage 0: $unwind requires a field path');
+      await expect(collection.aggregate([{ $addFields: { half: { $divide: ['$age', 0] } } }]))
+        .rejects.toThrow('Aggregation stage 0 ($addFields) failed: $divide by zero');
+    });
   });
 });
\ No newline at end of file
@@ -208,6 +208,616 @@ describe('JSLiteDB Core Functionality', () => {
     });
   });
 
+  describe('Journal Storage', () => {
+    const fs = require('fs').promises;
+    const openJournalDb = (options = {}) => new JSLiteDB({
+      folderPath: tempDir,
+      enableLogging: false,
+      storageMode: 'journal',
+      ...options
+    });
+
+    test('should append writes to the journal instead of rewriting the collection file', async () => {
+      const db1 = openJournalDb();
+      const users = db1.collection('users');
+
+      await users.insert('a', { name: 'Alice' });
+      await users.insert('b', { name: 'Bob' });
+      await users.update('a', { name: 'Alicia' });
+      await users.delete('b');
+
+      const journal = await fs.readFile(path.join(tempDir, 'users.journal.jsonl'), 'utf8');
+      expect(journal.trim().split('\n').map(line => JSON.parse(line).op)).toEqual(['set', 'set', 'set', 'delete']);
+      await expect(fs.access(path.join(tempDir, 'users.json'))).rejects.toThrow();
+      expect((await db1.getStats()).collections.users.journalEntries).toBe(4);
+    });
+
+    test('should replay the journal when loading collections', async () => {
+      const db1 = openJournalDb();
+      await db1.collection('users').insert('a', { name: 'Alice' });
+      await db1.save();
+      await db1.collection('users').insert('b', { name: 'Bob' });
+      await db1.collection('users').delete('a');
+
+      const db2 = openJournalDb();
+      const users = db2.collection('users');
+
+      expect(await users.findById('a')).toBeNull();
+      expect(await users.findById('b')).toEqual({ name: 'Bob' });
+    });
+
+    test('should ignore a torn journal line left by an interrupted append', async () => {
+      const db1 = openJournalDb();
+      await db1.collection('users').insert('a', { name: 'Alice' });
+      await fs.appendFile(path.join(tempDir, 'users.journal.jsonl'), '{"op":"set","id":"b","docu');
+
+      const db2 = openJournalDb();
+      expect(await db2.collection('users').count()).toBe(1);
+    });
+
+    test('should cut off a torn journal line before appending to the journal again', async () => {
+      const journalPath = path.join(tempDir, 'users.journal.jsonl');
+      const db1 = openJournalDb();
+      await db1.collection('users').insert('a', { name: 'Alice' });
+      await fs.appendFile(journalPath, '{"op":"set","id":"b","docu');
+
+      const db2 = openJournalDb();
+      await db2.collection('users').insert('z', { name: 'Zoe' });
+
+      const db3 = openJournalDb();
+      expect(await db3.collection('users').findById('z')).toEqual({ name: 'Zoe' });
+      expect(await db3.collection('users').count()).toBe(2);
+      expect((await fs.readFile(journalPath, 'utf8')).trim().split('\n')).toHaveLength(2);
+    });
+
+    test('should refuse to load a journal with an unreadable entry before its last line', async () => {
+      const db1 = openJournalDb();
+      await db1.collection('users').insert('a', { name: 'Alice' });
+      await fs.appendFile(path.join(tempDir, 'users.journal.jsonl'), 'garbage\n{"op":"delete","id":"a"}\n');
+
+      const db2 = openJournalDb();
+      await expect(db2.collection('users').findById('a')).rejects.toThrow("Journal of collection 'users' is corrupt at line 2");
+    });
+
+    test('should compact the journal into the collection file', async () => {
+      const db1 = openJournalDb({ journalCompactionThreshold: 3 });
+      const users = db1.collection('users');
+
+      for (let i = 0; i < 4; i++) {
+        await users.insert(`user-${i}`, { index: i });
+      }
+
+      const snapshot = JSON.parse(await fs.readFile(path.join(tempDir, 'users.json'), 'utf8'));
+      expect(Object.keys(snapshot)).toEqual(['user-0', 'user-1', 'user-2']);
+      expect(db1.journalEntries.get('users')).toBe(1);
+
+      await db1.close();
+      await expect(fs.access(path.join(tempDir, 'users.journal.jsonl'))).rejects.toThrow();
+      expect(Object.keys(JSON.parse(await fs.readFile(path.join(tempDir, 'users.json'), 'utf8')))).toHaveLength(4);
+    });
+
+    test('should fold leftover journals into the collection file in snapshot mode', async () => {
+      const db1 = openJournalDb();
+      await db1.collection('users').insert('a', { name: 'Alice' });
+
+      const db2 = new JSLiteDB({ folderPath: tempDir, enableLogging: false });
+      expect(await db2.collection('users').findById('a')).toEqual({ name: 'Alice' });
+      await expect(fs.access(path.join(tempDir, 'users.journal.jsonl'))).rejects.toThrow();
+    });
+
+    test('should leave leftover journals in place when only peeking at unloaded collections', async () => {
+      const db1 = openJournalDb();
+      await db1.collection('users').insert('a', { name: 'Alice' });
+
+      const db2 = new JSLiteDB({ folderPath: tempDir, enableLogging: false, lazyLoading: true });
+      expect(await db2.count()).toBe(1);
+      await db2.backup(path.join(tempDir, 'backup.json'));
+
+      await expect(fs.access(path.join(tempDir, 'users.journal.jsonl'))).resolves.toBeUndefined();
+      await expect(fs.access(path.join(tempDir, 'users.json'))).rejects.toThrow();
+      expect(db2.journalEntries.has('users')).toBe(false);
+    });
+
+    test('should remove journals of unloaded collections on restore', async () => {
+      const backupPath = path.join(tempDir, 'backup.json');
+      const db1 = openJournalDb();
+      await db1.collection('users').insert('a', { value: 1 });
+      await db1.backup(backupPath);
+      await db1.collection('users').update('a', { value: 999 });
+
+      const db2 = openJournalDb();
+      await db2.restore(backupPath);
+      expect(await db2.collection('users').findById('a')).toEqual({ value: 1 });
+      await db2.close();
+
+      const db3 = openJournalDb();
+      expect(await db3.collection('users').findById('a')).toEqual({ value: 1 });
+      await expect(fs.access(path.join(tempDir, 'users.journal.jsonl'))).rejects.toThrow();
+    });
+
+    test('should reject unknown storage modes', () => {
+      expect(() => new JSLiteDB({ folderPath: tempDir, storageMode: 'wal' })).toThrow('storageMode');
+    });
+  });
+
+  describe('Write Queue', () => {
+    const fs = require('fs').promises;
+    let queuedDb;
+
+    const readCollectionFile = async (name) =>
+      JSON.parse(await fs.readFile(path.join(tempDir, `${name}.json`), 'utf8'));
+
+    beforeEach(() => {
+      queuedDb = new JSLiteDB({
+        folderPath: tempDir,
+        enableLogging: false,
+        enableWriteQueue: true,
+        queueFlushInterval: 20
+      });
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await queuedDb.close();
+    });
+
+    test('should apply writes in memory and coalesce persistence per collection', async () => {
+      const writeChanges = jest.spyOn(queuedDb, '_writeChanges');
+      const users = queuedDb.collection('users');
+
+      for (let i = 0; i < 5; i++) {
+        await users.insert(`user-${i}`, { index: i });
+      }
+      await users.delete('user-0');
+
+      expect(await users.findById('user-3')).toEqual({ index: 3 });
+      expect(writeChanges).not.toHaveBeenCalled();
+      expect((await queuedDb.getStats()).writeQueue).toEqual({ enabled: true, pendingChanges: 6 });
+
+      await queuedDb.flush();
+
+      expect(writeChanges).toHaveBeenCalledTimes(1);
+      expect(writeChanges.mock.calls[0][1]).toHaveLength(6);
+      expect(Object.keys(await readCollectionFile('users'))).toHaveLength(4);
+    });
+
+    test('should flush on the queue interval', async () => {
+      await queuedDb.collection('users').insert('a', { name: 'Alice' });
+      await TestUtils.delay(80);
+
+      expect(await readCollectionFile('users')).toEqual({ a: { name: 'Alice' } });
+    });
+
+    test('should resolve durable writes once they are on disk', async () => {
+      const users = queuedDb.collection('users');
+
+      await users.insert({ name: 'Alice' }, { durable: true });
+      await users.update('b', { name: 'Bob' }, { durable: true });
+
+      expect(Object.keys(await readCollectionFile('users'))).toHaveLength(2);
+    });
+
+    test('should keep the process alive only while writes are queued', async () => {
+      await queuedDb.collection('users').insert('a', { name: 'Alice' });
+      expect(queuedDb.queueTimer.hasRef()).toBe(true);
+
+      await queuedDb.flush();
+      expect(queuedDb.queueTimer).toBeNull();
+
+      await queuedDb.collection('users').insert('b', { name: 'Bob' });
+      await queuedDb.close();
+      expect(queuedDb.queueTimer).toBeNull();
+      expect(Object.keys(await readCollectionFile('users'))).toEqual(['a', 'b']);
+    });
+
+    test('should flush queued writes on close', async () => {
+      await queuedDb.collection('users').insert('a', { name: 'Alice' });
+      await queuedDb.close();
+
+      const db2 = new JSLiteDB({ folderPath: tempDir, enableLogging: false });
+      expect(await db2.collection('users').findById('a')).toEqual({ name: 'Alice' });
+    });
+
+    test('should keep writes queued when persisting them fails', async () => {
+      jest.spyOn(queuedDb, '_writeChanges').mockRejectedValueOnce(new Error('disk full'));
+      await queuedDb.collection('users').insert('a', { name: 'Alice' });
+
+      await expect(queuedDb.flush()).rejects.toThrow('disk full');
+      expect(queuedDb.writeQueue.get('users')).toHaveLength(1);
+
+      await queuedDb.flush();
+      expect(await readCollectionFile('users')).toEqual({ a: { name: 'Alice' } });
+    });
+
+    test('should discard queued writes of dropped collections', async () => {
+      await queuedDb.collection('users').insert('a', { name: 'Alice' });
+      await queuedDb.dropCollection('users');
+      await queuedDb.flush();
+
+      await expect(fs.access(path.join(tempDir, 'users.json'))).rejects.toThrow();
+    });
+  });
+
+  describe('Autosave', () => {
+    const fs = require('fs').promises;
+    let autoSaveDb;
+
+    const usersFile = () => path.join(tempDir, 'users.json');
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await autoSaveDb.close();
+    });
+
+    test('should only mark collections dirty and save them on the interval', async () => {
+      autoSaveDb = new JSLiteDB({ folderPath: tempDir, enableLogging: false, autoSaveInterval: 30, saveOnSignals: false });
+      const users = autoSaveDb.collection('users');
+
+      await users.insert('a', { name: 'Alice' });
+      await users.update('a', { name: 'Alicia' });
+
+      await expect(fs.access(usersFile())).rejects.toThrow();
+      expect((await autoSaveDb.getStats()).autoSave.dirtyCollections).toEqual(['users']);
+
+      await TestUtils.delay(100);
+
+      expect(JSON.parse(await fs.readFile(usersFile(), 'utf8'))).toEqual({ a: { name: 'Alicia' } });
+      expect(autoSaveDb.dirtyCollections.size).toBe(0);
+    });
+
+    test('should save dirty collections on close and for durable writes', async () => {
+      autoSaveDb = new JSLiteDB({ folderPath: tempDir, enableLogging: false, autoSaveInterval: 60000, saveOnSignals: false });
+      const users = autoSaveDb.collection('users');
+
+      await users.insert('a', { name: 'Alice' }, { durable: true });
+      expect(JSON.parse(await fs.readFile(usersFile(), 'utf8'))).toEqual({ a: { name: 'Alice' } });
+
+      await users.insert('b', { name: 'Bob' });
+      await autoSaveDb.close();
+
+      const db2 = new JSLiteDB({ folderPath: tempDir, enableLogging: false });
+      expect(await db2.collection('users').count()).toBe(2);
+    });
+
+    test('should save dirty collections on process signals', async () => {
+      const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+      const listeners = process.listenerCount('SIGTERM');
+
+      autoSaveDb = new JSLiteDB({ folderPath: tempDir, enableLogging: false, autoSaveInterval: 60000 });
+      await autoSaveDb.collection('users').insert('a', { name: 'Alice' });
+      expect(process.listenerCount('SIGTERM')).toBe(listeners + 1);
+
+      await autoSaveDb.signalHandlers.get('SIGTERM')();
+
+      expect(JSON.parse(await fs.readFile(usersFile(), 'utf8'))).toEqual({ a: { name: 'Alice' } });
+      expect(process.listenerCount('SIGTERM')).toBe(listeners);
+      expect(kill).toHaveBeenCalledTimes(listeners === 0 ? 1 : 0);
+    });
+  });
+
+  describe('Lazy Loading', () => {
+    const fs = require('fs').promises;
+    let lazyDb;
+
+    afterEach(async () => {
+      await lazyDb.close();
+    });
+
+    test('should load collections on first access', async () => {
+      const db1 = new JSLiteDB({ folderPath: tempDir, enableLogging: false });
+      await db1.collection('users').insert('a', { name: 'Alice' });
+      await db1.collection('posts').insert('p', { title: 'Hello' });
+      await db1.close();
+
+      lazyDb = new JSLiteDB({ folderPath: tempDir, enableLogging: false });
+      let stats = await lazyDb.getStats();
+
+      expect(await lazyDb.collections()).toEqual(expect.arrayContaining(['users', 'posts']));
+      expect(stats.memory.residentCollections).toEqual([]);
+      expect(stats.collections.users).toMatchObject({ resident: false, documentCount: null });
+
+      expect(await lazyDb.collection('users').findById('a')).toEqual({ name: 'Alice' });
+      expect(await lazyDb.count()).toBe(2);
+
+      stats = await lazyDb.getStats();
+      expect(stats.memory.residentCollections).toEqual(['users']);
+      expect(stats.collections.users).toMatchObject({ resident: true, documentCount: 1 });
+      expect(stats.collections.posts.resident).toBe(false);
+    });
+
+    test('should unload least recently used collections after saving them when over the memory budget', async () => {
+      lazyDb = new JSLiteDB({
+        folderPath: tempDir, enableLogging: false, maxMemoryItems: 3, autoSaveInterval: 60000, saveOnSignals: false
+      });
+      const unloaded = [];
+      lazyDb.on('collection:unloaded', event => unloaded.push(event));
+
+      const users = lazyDb.collection('users');
+      const posts = lazyDb.collection('posts');
+      await users.insert('a', { name: 'Alice' });
+      await users.insert('b', { name: 'Bob' });
+      await posts.insert('p', { title: 'Hello' });
+      await posts.insert('q', { title: 'World' });
+
+      // Over budget: 'users' is evicted once the write mutex is free
+      await posts.count();
+      await lazyDb.writeMutex.acquire(async () => {});
+
+      expect(unloaded).toEqual([{ collection: 'users', documentCount: 2 }]);
+      expect(JSON.parse(await fs.readFile(path.join(tempDir, 'users.json'), 'utf8'))).toEqual({
+        a: { name: 'Alice' }, b: { name: 'Bob' }
+      });
+
+      const stats = await lazyDb.getStats();
+      expect(stats.memory).toMatchObject({ maxMemoryItems: 3, residentDocuments: 2, residentCollections: ['posts'] });
+      expect(stats.collections.users).toMatchObject({ resident: false, documentCount: 2 });
+      expect(stats.autoSave.dirtyCollections).toEqual(['posts']);
+
+      expect(await users.findById('b')).toEqual({ name: 'Bob' });
+      await lazyDb.writeMutex.acquire(async () => {});
+      expect(Array.from(lazyDb.collectionData.keys())).toEqual(['users']);
+    });
+  });
+
+  describe('Transactions', () => {
+    const fs = require('fs').promises;
+
+    afterEach(async () => {
+      await db.close();
+    });
+
+    test('should commit writes to several collections together', async () => {
+      const accounts = db.collection('accounts');
+      await accounts.insert('alice', { balance: 500 });
+      await accounts.insert('bob', { balance: 100 });
+
+      const events = [];
+      db.on('collection:update', event => events.push(event.id));
+
+      const entry = await db.transaction(async (tx) => {
+        await tx.collection('accounts').updateOne('alice', { $inc: { balance: -100 } });
+        await tx.collection('accounts').updateOne('bob', { $inc: { balance: 100 } });
+
+        // Reads inside the transaction see its writes; events wait for the commit
+        expect(await tx.collection('accounts').findById('bob')).toEqual({ balance: 200 });
+        expect(events).toEqual([]);
+
+        return tx.collection('ledger').insert({ from: 'alice', to: 'bob', amount: 100 });
+      });
+
+      expect(entry).toMatchObject({ from: 'alice', to: 'bob', amount: 100 });
+      expect(events).toEqual(['alice', 'bob']);
+
+      const files = await fs.readdir(tempDir);
+      expect(files).not.toContain('.transaction.json');
+      expect(JSON.parse(await fs.readFile(path.join(tempDir, 'accounts.json'), 'utf8'))).toEqual({
+        alice: { balance: 400 }, bob: { balance: 200 }
+      });
+      expect(Object.keys(JSON.parse(await fs.readFile(path.join(tempDir, 'ledger.json'), 'utf8')))).toEqual([entry.id]);
+    });
+
+    test('should roll back every write when the function throws', async () => {
+      const accounts = db.collection('accounts');
+      await accounts.createIndex('email', { unique: true });
+      await accounts.insert('alice', { email: 'alice@example.com', balance: 500 });
+
+      await expect(db.transaction(async (tx) => {
+        await tx.collection('accounts').updateOne('alice', { $inc: { balance: -100 } });
+        await tx.collection('accounts').insert('carol', { email: 'carol@example.com', balance: 0 });
+        await tx.collection('ledger').insert({ amount: 100 });
+        await tx.collection('accounts').insert('dave', { email: 'alice@example.com' });
+      })).rejects.toThrow(JSLiteDB.UniqueConstraintError);
+
+      expect(await accounts.find()).toEqual([{ id: 'alice', email: 'alice@example.com', balance: 500 }]);
+      expect(await accounts.findOne({ email: 'carol@example.com' })).toBeNull();
+      expect(await db.collections()).not.toContain('ledger');
+      expect(JSON.parse(await fs.readFile(path.join(tempDir, 'accounts.json'), 'utf8'))).toEqual({
+        alice: { email: 'alice@example.com', balance: 500 }
+      });
+
+      // The unique index was restored too
+      await accounts.insert('carol', { email: 'carol@example.com' });
+    });
+
+    test('should hold the write mutex until the transaction ends', async () => {
+      await db.init();
+      const order = [];
+      let tx;
+
+      const transaction = db.transaction(async (transactionTx) => {
+        tx = transactionTx;
+        await transactionTx.collection('users').insert('a', { name: 'Alice' });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        order.push('transaction');
+      });
+      const insert = db.collection('users').insert('b', { name: 'Bob' }).then(() => order.push('insert'));
+
+      await Promise.all([transaction, insert]);
+      expect(order).toEqual(['transaction', 'insert']);
+
+      expect(tx.isActive).toBe(false);
+      expect(() => tx.collection('users')).toThrow('Transaction is no longer active');
+      await expect(db.transaction(async (activeTx) => activeTx.collection('users').createIndex('name')))
+        .rejects.toThrow('Indexes cannot be created or dropped inside a transaction');
+    });
+
+    test('should throw instead of deadlocking when fn waits for the write mutex', async () => {
+      const users = db.collection('users');
+      const attempts = [
+        () => users.insert('a', { name: 'Alice' }),
+        () => db.dropCollection('users'),
+        () => users.createIndex('name'),
+        () => db.transaction(async () => {})
+      ];
+
+      for (const attempt of attempts) {
+        await expect(db.transaction(async (tx) => {
+          await tx.collection('users').insert('b', { name: 'Bob' });
+          await attempt();
+        })).rejects.toThrow('which the running transaction holds');
+      }
+
+      expect(await users.find()).toEqual([]);
+      await users.insert('a', { name: 'Alice' });
+      expect(await users.count()).toBe(1);
+    });
+
+    test('should complete a committed transaction from its redo log on startup', async () => {
+      await db.collection('accounts').insert('alice', { balance: 500 });
+      await db.collection('old').insert('x', { value: 1 });
+      await db.close();
+
+      await fs.writeFile(path.join(tempDir, '.transaction.json'), JSON.stringify({
+        timestamp: Date.now(),
+        collections: {
+          accounts: [{ op: 'set', id: 'alice', document: { balance: 400 } }],
+          ledger: [{ op: 'set', id: 'l1', document: { amount: 100 } }],
+          old: [{ op: 'delete', id: 'x' }]
+        }
+      }));
+
+      db = new JSLiteDB({ folderPath: tempDir, enableLogging: false });
+
+      expect(await db.collection('accounts').findById('alice')).toEqual({ balance: 400 });
+      expect(await db.collection('ledger').findById('l1')).toEqual({ amount: 100 });
+      expect((await db.collections()).sort()).toEqual(['accounts', 'ledger']);
+
+      const files = await fs.readdir(tempDir);
+      expect(files).not.toContain('.transaction.json');
+      expect(files).not.toContain('old.json');
+    });
+
+    test('should recover once when the first calls run concurrently', async () => {
+      await db.collection('accounts').insert('alice', { balance: 500 });
+      await db.close();
+
+      await fs.writeFile(path.join(tempDir, '.transaction.json'), JSON.stringify({
+        timestamp: Date.now(),
+        collections: { accounts: [{ op: 'set', id: 'alice', document: { balance: 400 } }] }
+      }));
+
+      db = new JSLiteDB({ folderPath: tempDir, enableLogging: false });
+      const recover = jest.spyOn(db, '_recoverTransaction');
+      const accounts = db.collection('accounts');
+
+      const results = await Promise.allSettled([accounts.find(), accounts.find()]);
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled']);
+      expect(results[1].value).toEqual([{ id: 'alice', balance: 400 }]);
+      expect(recover).toHaveBeenCalledTimes(1);
+      recover.mockRestore();
+    });
+  });
+
+  describe('Migrations', () => {
+    const fs = require('fs').promises;
+    let migrationsDir;
+
+    beforeEach(async () => {
+      migrationsDir = await TestUtils.createTempDir();
+    });
+
+    afterEach(async () => {
+      await db.close();
+      await TestUtils.cleanupTempDir(migrationsDir);
+    });
+
+    test('should apply pending migration files in order and roll them back', async () => {
+      await fs.writeFile(path.join(migrationsDir, '002-default-role.js'), `
+        exports.up = db => db.collection('users').updateMany({ role: { $exists: false } }, { $set: { role: 'user' } });
+        exports.down = db => db.collection('users').updateMany({}, { $unset: { role: '' } });
+      `);
+      await fs.writeFile(path.join(migrationsDir, '001-seed.js'), `
+        exports.up = db => db.collection('users').insertMany([{ id: 'ana', name: 'Ana' }, { id: 'bo', name: 'Bo' }]);
+        exports.down = db => db.collection('users').deleteMany({});
+      `);
+      await fs.writeFile(path.join(migrationsDir, 'notes.txt'), 'not a migration');
+
+      const events = [];
+      db.on('migration:up', ({ id }) => events.push(id));
+
+      expect(await db.migrate({ dir: migrationsDir })).toEqual(['001-seed', '002-default-role']);
+      expect(await db.migrate({ dir: migrationsDir })).toEqual([]);
+      expect(events).toEqual(['001-seed', '002-default-role']);
+      expect(await db.collection('users').findById('ana')).toEqual({ id: 'ana', name: 'Ana', role: 'user' });
+
+      const metadata = JSON.parse(await fs.readFile(path.join(tempDir, '.migrations.json'), 'utf8'));
+      expect(metadata.applied.map(entry => entry.id)).toEqual(['001-seed', '002-default-role']);
+      expect((await db.collections())).toEqual(['users']);
+
+      expect(await db.rollbackMigrations({ dir: migrationsDir })).toEqual(['002-default-role']);
+      expect(await db.collection('users').findById('ana')).toEqual({ id: 'ana', name: 'Ana' });
+
+      const status = await db.getMigrationStatus({ dir: migrationsDir });
+      expect(status.map(({ id, applied }) => ({ id, applied }))).toEqual([
+        { id: '001-seed', applied: true },
+        { id: '002-default-role', applied: false }
+      ]);
+      expect(status[1]).toEqual({ id: '002-default-role', applied: false, appliedAt: null, missing: false });
+    });
+
+    test('should stop at a failing migration and leave it pending', async () => {
+      const migrations = [
+        { id: 'a', up: db => db.collection('items').insert('1', { n: 1 }) },
+        { id: 'b', up: () => { throw new Error('boom'); } },
+        { id: 'c', up: db => db.collection('items').insert('3', { n: 3 }) }
+      ];
+
+      const error = await db.migrate({ migrations }).catch(e => e);
+      expect(error).toBeInstanceOf(JSLiteDB.MigrationError);
+      expect(error.message).toBe("Migration 'b' failed (up): boom");
+      expect(error).toMatchObject({ migration: 'b', direction: 'up', completed: ['a'] });
+      expect(error.cause.message).toBe('boom');
+
+      expect(await db.collection('items').findById('3')).toBeNull();
+      expect((await db.getMigrationStatus({ migrations })).map(entry => entry.applied)).toEqual([true, false, false]);
+
+      await expect(db.rollbackMigrations({ migrations })).rejects.toThrow("Migration 'a' cannot be rolled back: it has no down function");
+    });
+
+    test('should migrate up to and roll back to a given migration', async () => {
+      const log = [];
+      const migrations = ['m1', 'm2', 'm3'].map(id => ({
+        id,
+        up: () => { log.push(`up:${id}`); },
+        down: () => { log.push(`down:${id}`); }
+      }));
+
+      expect(await db.migrate({ migrations, to: 'm2' })).toEqual(['m1', 'm2']);
+      expect(await db.migrate({ migrations })).toEqual(['m3']);
+      expect(await db.rollbackMigrations({ migrations, to: 'm1' })).toEqual(['m3', 'm2']);
+      expect(log).toEqual(['up:m1', 'up:m2', 'up:m3', 'down:m3', 'down:m2']);
+
+      const status = await db.getMigrationStatus({ migrations: migrations.slice(1) });
+      expect(status.map(({ id, applied, missing }) => ({ id, applied, missing }))).toEqual([
+        { id: 'm2', applied: false, missing: false },
+        { id: 'm3', applied: false, missing: false },
+        { id: 'm1', applied: true, missing: true }
+      ]);
+
+      await expect(db.migrate({ migrations, to: 'm9' })).rejects.toThrow("Unknown migration 'm9'");
+      await expect(db.migrate({})).rejects.toThrow('Migrations require either a dir or a migrations array');
+      await expect(db.migrate({ migrations: [{ id: 'x' }] })).rejects.toThrow("Migration 'x' must export an up function");
+      await expect(db.migrate({ dir: path.join(migrationsDir, 'missing') })).rejects.toThrow('Migrations directory not found');
+    });
+  });
+
+  describe('Crash Recovery', () => {
+    const fs = require('fs').promises;
+
+    test('should recover collection files from interrupted writes on startup', async () => {
+      await fs.writeFile(path.join(tempDir, 'users.json'), '{"a": {"name": "Al');
+      await fs.writeFile(path.join(tempDir, 'users.json.999.0.tmp'), JSON.stringify({ a: { name: 'Alice' } }));
+
+      const db1 = new JSLiteDB({ folderPath: tempDir, enableLogging: false, fsyncDirectory: true });
+      const users = db1.collection('users');
+
+      expect(await users.findById('a')).toEqual({ name: 'Alice' });
+      await users.insert('b', { name: 'Bob' });
+      expect((await fs.readdir(tempDir)).filter(file => file.endsWith('.tmp'))).toEqual([]);
+    });
+  });
+
   describe('Error Handling', () => {
     beforeEach(async () => {
       await TestUtils.withTimeout(db._ensureInitialized());
@@ -257,5 +867,40 @@ describe('JSLiteDB Core Functionality', () => {
       expect(retrieved).toBeDefined();
       expect(retrieved.name).toBe('Cache Test');
     });
+
+    test('should invalidate cached documents on writes', async () => {
+      const users = db.collection('users');
+      await users.insert('a', { name: 'Alice' });
+      await users.insert('b', { name: 'Bob' });
+
+      await users.findById('a');
+      await users.update('a', { name: 'Alicia' });
+      expect(db.cache.has('users:a')).toBe(false);
+      expect(await users.findById('a')).toEqual({ name: 'Alicia' });
+
+      await users.delete('a');
+      expect(await users.findById('a')).toBeNull();
+
+      await users.findById('b');
+      await db.dropCollection('users');
+      expect(db.cache.has('users:b')).toBe(false);
+      expect(await users.findById('b')).toBeNull();
+    });
+
+    test('should report cache statistics', async () => {
+      const cacheDb = new JSLiteDB({ folderPath: tempDir, enableLogging: false, cacheMaxItems: 2 });
+      const users = cacheDb.collection('users');
+
+      for (const id of ['a', 'b', 'c']) {
+        await users.insert(id, { name: id });
+      }
+      await users.findById('c');
+      await users.findById('a');
+
+      const { cache } = await cacheDb.getStats();
+      expect(cache).toMatchObject({ size: 2, maxItems: 2, hits: 1, misses: 1, evictions: 2 });
+
+      await cacheDb.close();
+    });
   });
 });
\ No newline at end of file
@@ -1,4 +1,7 @@
-const { IndexSystem, Logger, Validator, WriteMutex } = require('../../src/utilities');
+const {
+  IndexSystem, SortedIndex, Logger, Validator, WriteMutex, QueryMatcher, AtomicFile, LRUCache, UpdateOperators, SchemaValidator,
+  AggregationPipeline
+} = require('../../src/utilities');
 const fs = require('fs').promises;
 const path = require('path');
 const TestUtils = require('../test-utils');
@@ -54,6 +57,64 @@ describe('Utility Classes', () => {
       expect(keys.size).toBe(1);
     });
 
+    test('should index array values by element', () => {
+      indexSystem.add('key1', { testField: ['a', 'b', 'a'] });
+      indexSystem.add('key2', { testField: ['b'] });
+
+      expect(indexSystem.get('a').size).toBe(1);
+      expect(indexSystem.get('b').size).toBe(2);
+
+      indexSystem.remove('key1');
+      expect(indexSystem.hasValue('a')).toBe(false);
+      expect(indexSystem.get('b').size).toBe(1);
+    });
+
+    test('should remove stale entries when a key is re-added or its document was mutated', () => {
+      const doc = { testField: 'before' };
+      indexSystem.add('key1', doc);
+
+      doc.testField = 'after';
+      indexSystem.add('key1', doc);
+
+      expect(indexSystem.hasValue('before')).toBe(false);
+      expect(indexSystem.get('after').has('key1')).toBe(true);
+
+      indexSystem.remove('key1', { testField: 'unrelated' });
+      expect(indexSystem.size()).toBe(0);
+    });
+
+    test('should rebuild from entries', () => {
+      indexSystem.add('old', { testField: 'stale' });
+      indexSystem.rebuild(new Map([['key1', { testField: 'x' }], ['key2', { testField: 'y' }]]));
+
+      expect(indexSystem.hasValue('stale')).toBe(false);
+      expect(indexSystem.getIndexedValues()).toEqual(['x', 'y']);
+    });
+
+    test('should index missing fields as null unless sparse', () => {
+      const sparse = new IndexSystem('testField', { sparse: true });
+      indexSystem.add('key1', { other: 1 });
+      sparse.add('key1', { other: 1 });
+
+      expect(indexSystem.get(null).has('key1')).toBe(true);
+      expect(sparse.size()).toBe(0);
+    });
+
+    test('should build compound keys and report conflicts', () => {
+      const compound = new IndexSystem(['a', 'b.c'], { unique: true });
+      compound.add('key1', { a: 1, b: { c: 'x' } });
+      compound.add('key2', { a: 1, b: { c: 'x' } });
+      compound.add('key3', { a: 2 });
+
+      expect(compound.field).toBe('a,b.c');
+      expect(compound.getKey([2, undefined])).toBe('[2,null]');
+      expect(compound.get('[2,null]').has('key3')).toBe(true);
+      expect(compound.findConflict('key4', { a: 2 })).toEqual({ value: '[2,null]', key: 'key3' });
+      expect(compound.findConflict('key3', { a: 2 })).toBeNull();
+      expect(compound.getDuplicates()).toEqual([{ value: '[1,"x"]', keys: ['key1', 'key2'] }]);
+      expect(compound.getDefinition()).toEqual({ fields: ['a', 'b.c'], type: 'hash', unique: true, sparse: false });
+    });
+
     test('should clear index', () => {
       indexSystem.add('key1', 'value1');
       indexSystem.add('key2', 'value2');
@@ -79,6 +140,124 @@ describe('Utility Classes', () => {
     });
   });
 
+  describe('SortedIndex', () => {
+    let sortedIndex;
+
+    beforeEach(() => {
+      sortedIndex = new SortedIndex('score', { sparse: true });
+      [40, 10, 30, 20, 'b', 'a', 10].forEach((score, i) => sortedIndex.add(`key${i}`, { score }));
+      sortedIndex.add('none', {});
+    });
+
+    test('should extend IndexSystem with a sorted type', () => {
+      expect(sortedIndex).toBeInstanceOf(IndexSystem);
+      expect(sortedIndex.type).toBe('sorted');
+      expect(sortedIndex.get(10).size).toBe(2);
+    });
+
+    test('should keep values in order', () => {
+      expect(sortedIndex.getIndexedValues()).toEqual([10, 20, 30, 40, 'a', 'b']);
+      expect(sortedIndex.min()).toBe(10);
+      expect(sortedIndex.max()).toBe('b');
+    });
+
+    test('should answer range queries within the bound type', () => {
+      expect([...sortedIndex.range({ gt: 10, lte: 30 })]).toEqual(['key3', 'key2']);
+      expect([...sortedIndex.range({ gte: 30 })]).toEqual(['key2', 'key0']);
+      expect([...sortedIndex.range({ lt: 30 }, 'desc')]).toEqual(['key3', 'key1', 'key6']);
+      expect([...sortedIndex.range({ gte: 'a' })]).toEqual(['key5', 'key4']);
+    });
+
+    test('should iterate all keys in order including missing values', () => {
+      expect([...sortedIndex.entries()]).toEqual(['none', 'key1', 'key6', 'key3', 'key2', 'key0', 'key5', 'key4']);
+      expect([...sortedIndex.entries('desc')][0]).toBe('key4');
+      expect([...sortedIndex.entries('desc')].pop()).toBe('none');
+    });
+
+    test('should iterate keys from a value onwards across types', () => {
+      expect([...sortedIndex.entriesFrom(30)]).toEqual(['key2', 'key0', 'key5', 'key4']);
+      expect([...sortedIndex.entriesFrom(25)]).toEqual(['key2', 'key0', 'key5', 'key4']);
+      expect([...sortedIndex.entriesFrom('a', 'desc')]).toEqual(['key5', 'key0', 'key2', 'key3', 'key1', 'key6', 'none']);
+      expect([...sortedIndex.entriesFrom(null)]).toEqual([...sortedIndex.entries()]);
+    });
+
+    test('should update order when entries change', () => {
+      sortedIndex.add('key0', { score: 5 });
+      sortedIndex.remove('key4');
+      sortedIndex.remove('key5');
+
+      expect(sortedIndex.getIndexedValues()).toEqual([5, 10, 20, 30]);
+      expect(sortedIndex.max()).toBe(30);
+
+      sortedIndex.clear();
+      expect(sortedIndex.min()).toBeUndefined();
+      expect([...sortedIndex.entries()]).toEqual([]);
+    });
+
+    test('should order values across types', () => {
+      expect(SortedIndex.compareValues(null, 0)).toBeLessThan(0);
+      expect(SortedIndex.compareValues(99, 'a')).toBeLessThan(0);
+      expect(SortedIndex.compareValues('b', 'a')).toBeGreaterThan(0);
+      expect(SortedIndex.compareValues(undefined, null)).toBe(0);
+    });
+  });
+
+  describe('QueryMatcher', () => {
+    const doc = {
+      name: 'Ada',
+      age: 36,
+      address: { city: 'Oslo' },
+      tags: ['a', 'b'],
+      items: [{ sku: 'x', qty: 2 }, { sku: 'y', qty: 5 }],
+      nickname: null
+    };
+
+    const matches = (query) => new QueryMatcher(query).matches(doc, 'doc-1');
+
+    test('should match comparison operators', () => {
+      expect(matches({ age: 36 })).toBe(true);
+      expect(matches({ age: { $gt: 30, $lte: 36 } })).toBe(true);
+      expect(matches({ age: { $lt: 30 } })).toBe(false);
+      expect(matches({ age: { $ne: 36 } })).toBe(false);
+      expect(matches({ age: { $gt: '30' } })).toBe(false);
+    });
+
+    test('should match nested paths and the document ID', () => {
+      expect(matches({ 'address.city': 'Oslo' })).toBe(true);
+      expect(matches({ address: { city: 'Oslo' } })).toBe(true);
+      expect(matches({ id: 'doc-1' })).toBe(true);
+    });
+
+    test('should match array and element operators', () => {
+      expect(matches({ tags: 'a' })).toBe(true);
+      expect(matches({ tags: { $in: ['z', 'b'] } })).toBe(true);
+      expect(matches({ tags: { $nin: ['a'] } })).toBe(false);
+      expect(matches({ tags: { $size: 2 } })).toBe(true);
+      expect(matches({ items: { $elemMatch: { sku: 'y', qty: { $gte: 5 } } } })).toBe(true);
+      expect(matches({ items: { $elemMatch: { sku: 'x', qty: { $gte: 5 } } } })).toBe(false);
+    });
+
+    test('should match existence, null and regex operators', () => {
+      expect(matches({ nickname: { $exists: true } })).toBe(true);
+      expect(matches({ missing: { $exists: false } })).toBe(true);
+      expect(matches({ missing: null })).toBe(true);
+      expect(matches({ name: { $regex: '^a', $options: 'i' } })).toBe(true);
+      expect(matches({ name: /^B/ })).toBe(false);
+    });
+
+    test('should match logical operators', () => {
+      expect(matches({ $and: [{ age: 36 }, { name: 'Ada' }] })).toBe(true);
+      expect(matches({ $or: [{ age: 1 }, { name: 'Ada' }] })).toBe(true);
+      expect(matches({ $not: { name: 'Ada' } })).toBe(false);
+      expect(matches({ age: { $not: { $gt: 40 } } })).toBe(true);
+    });
+
+    test('should throw on invalid queries', () => {
+      expect(() => new QueryMatcher({ age: { $unknown: 1 } })).toThrow('Invalid query');
+      expect(() => new QueryMatcher('age > 1')).toThrow('Invalid query');
+    });
+  });
+
   describe('Logger', () => {
     let tempDir;
     let logFile;
@@ -202,6 +381,31 @@ describe('Utility Classes', () => {
       expect(Validator.validateQueryOperator(123).valid).toBe(false);
     });
 
+    test('should validate query objects', () => {
+      expect(Validator.validateQueryOperator('$gte').valid).toBe(true);
+      expect(Validator.validateQuery({ age: { $gt: 18 }, 'address.city': 'Oslo' }).valid).toBe(true);
+      expect(Validator.validateQuery({ $or: [{ a: 1 }, { b: { $in: [1, 2] } }] }).valid).toBe(true);
+      expect(Validator.validateQuery({ tags: { $elemMatch: { name: 'x' } } }).valid).toBe(true);
+
+      expect(Validator.validateQuery(null).valid).toBe(false);
+      expect(Validator.validateQuery({ age: { $foo: 1 } }).valid).toBe(false);
+      expect(Validator.validateQuery({ age: { $in: 1 } }).valid).toBe(false);
+      expect(Validator.validateQuery({ age: { $gt: 1, other: 2 } }).valid).toBe(false);
+      expect(Validator.validateQuery({ $or: [] }).valid).toBe(false);
+      expect(Validator.validateQuery({ '.bad': 1 }).valid).toBe(false);
+    });
+
+    test('should validate index specifications', () => {
+      expect(Validator.validateIndexSpec({ fields: 'email', unique: true }).valid).toBe(true);
+      expect(Validator.validateIndexSpec({ fields: ['a', 'b'], sparse: false }).valid).toBe(true);
+      expect(Validator.validateIndexSpec(null).valid).toBe(false);
+      expect(Validator.validateIndexSpec({ fields: [] }).valid).toBe(false);
+      expect(Validator.validateIndexSpec({ fields: ['a', 'a'] }).valid).toBe(false);
+      expect(Validator.validateIndexSpec({ fields: 'a', unique: 'yes' }).valid).toBe(false);
+      expect(Validator.validateIndexSpec({ fields: ['a', 'b'], sorted: true }).valid).toBe(false);
+      expect(Validator.validateIndexSpec({ fields: 'a', ttl: 60 }).error).toContain('Unknown index option');
+    });
+
     test('should validate aggregation operations', () => {
       const validOperations = ['count', 'sum', 'avg', 'min', 'max'];
 
@@ -212,6 +416,21 @@ describe('Utility Classes', () => {
       expect(Validator.validateAggregationOperation('invalid').valid).toBe(false);
     });
 
+    test('should validate aggregation pipelines', () => {
+      expect(Validator.validatePipeline([
+        { type: 'match', filter: { age: { $gte: 18 } } },
+        { type: 'sort', field: 'age', direction: 'desc' },
+        { type: 'skip', count: 0 },
+        { type: 'group', field: 'role' }
+      ]).valid).toBe(true);
+
+      expect(Validator.validatePipeline({}).error).toBe('Pipeline must be an array of stages');
+      expect(Validator.validatePipeline([{ type: 'unwind' }, { type: 'match' }]).valid).toBe(true);
+      expect(Validator.validatePipeline([{ $match: {}, $limit: 1 }]).error).toBe('Invalid pipeline stage 0: stage must have a single $ operator');
+      expect(Validator.validatePipeline([{ type: 'match', filter: () => true }]).error).toContain('Query must be an object');
+      expect(Validator.validatePipeline([{ type: 'sort', field: 'a', direction: 'up' }]).error).toContain('Sort direction');
+    });
+
     test('should validate file paths', () => {
       expect(Validator.validateFilePath('/valid/path/file.json').valid).toBe(true);
       expect(Validator.validateFilePath('./relative/path.json').valid).toBe(true);
@@ -374,4 +593,317 @@ describe('Utility Classes', () => {
       expect(operations).toEqual([0, 1, 2]);
     });
   });
+
+  describe('AtomicFile', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await TestUtils.createTempDir();
+    });
+
+    afterEach(async () => {
+      await TestUtils.cleanupTempDir(tempDir);
+    });
+
+    test('should replace file content without leaving temp files', async () => {
+      const filePath = path.join(tempDir, 'data.json');
+
+      await AtomicFile.write(filePath, '{"v":1}');
+      await AtomicFile.write(filePath, '{"v":2}', { syncDirectory: true });
+
+      expect(await fs.readFile(filePath, 'utf8')).toBe('{"v":2}');
+      expect(await fs.readdir(tempDir)).toEqual(['data.json']);
+    });
+
+    test('should append and create files', async () => {
+      const filePath = path.join(tempDir, 'log.jsonl');
+
+      await AtomicFile.append(filePath, 'a\n', { syncDirectory: true });
+      await AtomicFile.append(filePath, 'b\n');
+
+      expect(await fs.readFile(filePath, 'utf8')).toBe('a\nb\n');
+    });
+
+    test('should recover complete temp files and discard torn ones', async () => {
+      await fs.writeFile(path.join(tempDir, 'users.json'), '{"old":');
+      await fs.writeFile(path.join(tempDir, 'users.json.123.0.tmp'), '{"new":true}');
+      await fs.writeFile(path.join(tempDir, 'orders.json.123.1.tmp'), '{"torn":');
+
+      const results = await AtomicFile.recover(tempDir, { validate: content => JSON.parse(content) });
+
+      expect(results).toEqual(expect.arrayContaining([
+        { file: 'users.json.123.0.tmp', target: 'users.json', action: 'restored' },
+        { file: 'orders.json.123.1.tmp', target: 'orders.json', action: 'discarded' }
+      ]));
+      expect(await fs.readFile(path.join(tempDir, 'users.json'), 'utf8')).toBe('{"new":true}');
+      expect((await fs.readdir(tempDir)).sort()).toEqual(['users.json']);
+      expect(AtomicFile.isTempFile('users.json')).toBe(false);
+    });
+  });
+
+  describe('LRUCache', () => {
+    test('should evict the least recently used entry', () => {
+      const cache = new LRUCache({ maxItems: 2 });
+
+      cache.set('a', 1);
+      cache.set('b', 2);
+      expect(cache.get('a')).toBe(1);
+      cache.set('c', 3);
+
+      expect(Array.from(cache.keys())).toEqual(['a', 'c']);
+      expect(cache.getStats()).toMatchObject({ size: 2, hits: 1, misses: 0, evictions: 1 });
+    });
+
+    test('should bound the cache by size in bytes', () => {
+      const cache = new LRUCache({ maxItems: 100, maxBytes: 30 });
+
+      cache.set('a', { v: 'aaaa' }); // 12 bytes as JSON
+      cache.set('b', { v: 'bbbb' });
+      cache.set('c', { v: 'cccc' });
+      cache.set('huge', { v: 'x'.repeat(50) });
+
+      expect(Array.from(cache.keys())).toEqual(['b', 'c']);
+      expect(cache.bytes).toBe(24);
+      expect(cache.get('huge')).toBeUndefined();
+    });
+
+    test('should track hits and misses and remove entries by prefix', () => {
+      const cache = new LRUCache();
+
+      cache.set('users:1', {});
+      cache.set('users:2', {});
+      cache.set('posts:1', {});
+      cache.get('users:1');
+      cache.get('users:3');
+
+      expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+      expect(cache.deletePrefix('users:')).toBe(2);
+      expect(Array.from(cache.keys())).toEqual(['posts:1']);
+
+      cache.resetStats();
+      expect(cache.getStats()).toMatchObject({ hits: 0, misses: 0, evictions: 0 });
+    });
+  });
+
+  describe('UpdateOperators', () => {
+    test('should apply operators without modifying the original document', () => {
+      const original = { items: [{ sku: 'a', qty: 1 }, { sku: 'b', qty: 5 }], scores: [1, 7, 9] };
+      const updater = new UpdateOperators({
+        $pull: { items: { qty: { $gte: 5 } }, scores: { $gt: 5 } },
+        $set: { 'meta.updated': true }
+      });
+
+      expect(updater.apply(original)).toEqual({ items: [{ sku: 'a', qty: 1 }], scores: [1], meta: { updated: true } });
+      expect(original.items).toHaveLength(2);
+      expect(original.meta).toBeUndefined();
+    });
+
+    test('should detect update objects and merge patches', () => {
+      expect(UpdateOperators.isUpdate({ $set: { a: 1 } })).toBe(true);
+      expect(UpdateOperators.isUpdate({ a: 1 })).toBe(false);
+      expect(UpdateOperators.mergePatch({ a: { b: 1, c: 2 }, d: 1 }, { a: { c: null }, d: [1] })).toEqual({ a: { b: 1 }, d: [1] });
+    });
+
+    test('should validate update objects', () => {
+      expect(Validator.validateUpdate({ $inc: { count: 1 } }).valid).toBe(true);
+      expect(Validator.validateUpdate({}).valid).toBe(false);
+      expect(Validator.validateUpdate({ $set: { 'a.b': 1 }, $unset: { a: '' } }).error).toContain('Conflicting update paths');
+      expect(Validator.validateUpdate({ $push: { tags: { $each: 'x' } } }).error).toContain('$each');
+      expect(() => new UpdateOperators({ $inc: { count: '1' } })).toThrow('Invalid update: $inc');
+    });
+
+    test('should reject prototype paths and ignore them in merge patches', () => {
+      expect(() => new UpdateOperators({ $set: { '__proto__.polluted': 1 } })).toThrow("reserved segment '__proto__'");
+      expect(() => new UpdateOperators({ $inc: { 'a.constructor.prototype.polluted': 1 } })).toThrow('reserved segment');
+      expect(Validator.validateQuery({ 'a.__proto__': 1 }).valid).toBe(false);
+
+      const patched = UpdateOperators.mergePatch({ a: 1 }, JSON.parse('{"__proto__": {"polluted": 1}, "b": 2}'));
+      expect(patched).toEqual({ a: 1, b: 2 });
+      expect(Object.getPrototypeOf(patched)).toBe(Object.prototype);
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+
+  describe('SchemaValidator', () => {
+    const schema = {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 2 },
+        age: { type: 'integer', minimum: 0 },
+        role: { enum: ['user', 'admin'], default: 'user' },
+        tags: { type: 'array', items: { type: 'string', pattern: '^[a-z]+$' }, uniqueItems: true },
+        address: {
+          type: 'object',
+          properties: { zip: { type: 'string', format: 'uuid' } },
+          additionalProperties: false
+        }
+      }
+    };
+
+    test('should report violations with dot notation paths', () => {
+      const validator = new SchemaValidator(schema);
+
+      const valid = validator.validate({ name: 'Ana', age: 3 });
+      expect(valid).toEqual({ valid: true, value: { name: 'Ana', age: 3, role: 'user' }, errors: [] });
+
+      const invalid = validator.validate({ age: 1.5, tags: ['ok', 'Bad', 'ok'], address: { city: 'x' } });
+      expect(invalid.valid).toBe(false);
+      expect(invalid.errors).toEqual([
+        { path: 'name', keyword: 'required', message: 'is required' },
+        { path: 'age', keyword: 'type', message: 'must be integer' },
+        { path: 'tags.1', keyword: 'pattern', message: 'must match pattern ^[a-z]+$' },
+        { path: 'tags', keyword: 'uniqueItems', message: 'must not contain duplicate items' },
+        { path: 'address.city', keyword: 'additionalProperties', message: 'is not allowed' }
+      ]);
+
+      expect(validator.validate('text').errors).toEqual([{ path: '', keyword: 'type', message: 'must be object' }]);
+    });
+
+    test('should apply defaults and coercions to a copy', () => {
+      const input = { name: 'Ana', age: '42' };
+
+      expect(new SchemaValidator(schema).validate(input).errors[0].path).toBe('age');
+      expect(new SchemaValidator(schema, { coerceTypes: true }).validate(input).value).toEqual({ name: 'Ana', age: 42, role: 'user' });
+      expect(new SchemaValidator(schema, { useDefaults: false, coerceTypes: true }).validate(input).value).toEqual({ name: 'Ana', age: 42 });
+      expect(input).toEqual({ name: 'Ana', age: '42' });
+
+      const arrays = new SchemaValidator(schema, { coerceTypes: 'array' });
+      expect(arrays.validate({ name: ['Ana'], tags: 'solo' }).value).toEqual({ name: 'Ana', tags: ['solo'], role: 'user' });
+      expect(new SchemaValidator({ type: 'boolean' }, { coerceTypes: true }).validate('false').value).toBe(false);
+      expect(new SchemaValidator({ type: 'integer' }, { coerceTypes: true }).validate('4.5').valid).toBe(false);
+    });
+
+    test('should support combinators and reject invalid schemas', () => {
+      const validator = new SchemaValidator({
+        anyOf: [{ type: 'string' }, { type: 'number', multipleOf: 5 }],
+        not: { const: 'forbidden' }
+      });
+
+      expect(validator.validate(10).valid).toBe(true);
+      expect(validator.validate(7).errors).toEqual([{ path: '', keyword: 'anyOf', message: 'must match at least one of the allowed schemas' }]);
+      expect(validator.validate('forbidden').errors[0].keyword).toBe('not');
+      expect(new SchemaValidator({ oneOf: [{ minimum: 0 }, { maximum: 10 }] }).validate(5).valid).toBe(false);
+
+      expect(() => new SchemaValidator({ type: 'text' })).toThrow('Invalid schema: #: type must be one of');
+      expect(() => new SchemaValidator({ properties: { a: { pattern: '(' } } })).toThrow('#/properties/a: pattern');
+      // Patterns are compiled as unicode regular expressions, where identity escapes such as \- are invalid
+      expect(() => new SchemaValidator({ pattern: '^a\\-b$' })).toThrow('#: pattern is not a valid regular expression');
+      expect(new SchemaValidator({ pattern: '^[\\w\\-]+$' }).validate('a-b').valid).toBe(true);
+      expect(() => new SchemaValidator({}, { coerceTypes: 'yes' })).toThrow('coerceTypes');
+    });
+  });
+
+  describe('AggregationPipeline', () => {
+    const orders = [
+      { id: 'o1', customer: 'ana', total: 30, items: [{ sku: 'a', qty: 1 }, { sku: 'b', qty: 2 }], status: 'paid' },
+      { id: 'o2', customer: 'bo', total: 12.5, items: [{ sku: 'a', qty: 4 }], status: 'paid' },
+      { id: 'o3', customer: 'ana', total: 8, items: [], status: 'open' }
+    ];
+
+    test('should group with accumulators', async () => {
+      const pipeline = new AggregationPipeline([
+        { $match: { status: 'paid' } },
+        { $group: {
+          _id: '$customer',
+          orders: { $count: {} },
+          revenue: { $sum: '$total' },
+          average: { $avg: '$total' },
+          smallest: { $min: '$total' },
+          largest: { $max: '$total' },
+          ids: { $push: '$id' }
+        } },
+        { $sort: { revenue: -1 } }
+      ]);
+
+      expect(await pipeline.run(orders)).toEqual([
+        { _id: 'ana', orders: 1, revenue: 30, average: 30, smallest: 30, largest: 30, ids: ['o1'] },
+        { _id: 'bo', orders: 1, revenue: 12.5, average: 12.5, smallest: 12.5, largest: 12.5, ids: ['o2'] }
+      ]);
+
+      const [all] = await new AggregationPipeline([
+        { $group: { _id: null, customers: { $addToSet: '$customer' }, first: { $first: '$id' }, last: { $last: '$id' } } }
+      ]).run(orders);
+      expect(all).toEqual({ _id: null, customers: ['ana', 'bo'], first: 'o1', last: 'o3' });
+    });
+
+    test('should unwind, project and add computed fields without modifying the input', async () => {
+      const result = await new AggregationPipeline([
+        { $unwind: { path: '$items', includeArrayIndex: 'line' } },
+        { $addFields: { 'items.bulk': { $gte: ['$items.qty', 2] } } },
+        { $project: { id: 0, customer: 1, line: 1, 'items.sku': 1, label: { $concat: [{ $toUpper: '$customer' }, '-', '$items.sku'] } } }
+      ]).run(orders);
+
+      expect(result).toEqual([
+        { customer: 'ana', line: 0, items: { sku: 'a' }, label: 'ANA-a' },
+        { customer: 'ana', line: 1, items: { sku: 'b' }, label: 'ANA-b' },
+        { customer: 'bo', line: 0, items: { sku: 'a' }, label: 'BO-a' }
+      ]);
+      expect(orders[0].items[1]).toEqual({ sku: 'b', qty: 2 });
+      expect(AggregationPipeline.project(orders[0], { items: 0, customer: false })).toEqual({ id: 'o1', total: 30, status: 'paid' });
+    });
+
+    test('should evaluate expressions', () => {
+      const document = { price: 10, qty: 3, name: null, tags: ['a', 'b'] };
+
+      expect(AggregationPipeline.evaluate({ $multiply: ['$price', '$qty'] }, document)).toBe(30);
+      expect(AggregationPipeline.evaluate({ $cond: { if: { $gt: ['$qty', 2] }, then: 'many', else: 'few' } }, document)).toBe('many');
+      expect(AggregationPipeline.evaluate({ $ifNull: ['$name', 'unknown'] }, document)).toBe('unknown');
+      expect(AggregationPipeline.evaluate({ $size: '$tags' }, document)).toBe(2);
+      expect(AggregationPipeline.evaluate({ $in: ['b', '$tags'] }, document)).toBe(true);
+      expect(AggregationPipeline.evaluate({ $literal: '$price' }, document)).toBe('$price');
+      expect(AggregationPipeline.evaluate({ total: { $add: ['$price', 1] }, missing: '$nothing' }, document))
+        .toEqual({ total: 11, missing: undefined });
+      expect(() => AggregationPipeline.evaluate({ $divide: ['$price', 0] }, document)).toThrow('$divide by zero');
+    });
+
+    test('should run facets, counts and lookups', async () => {
+      const customers = [{ id: 'ana', name: 'Ana' }, { id: 'bo', name: 'Bo' }];
+      const lookup = jest.fn(async () => customers);
+
+      const [facets] = await new AggregationPipeline([
+        { $facet: {
+          paid: [{ $match: { status: 'paid' } }, { $count: 'orders' }],
+          named: [{ $lookup: { from: 'customers', localField: 'customer', foreignField: 'id', as: 'buyer' } }]
+        } }
+      ]).run(orders, { lookup });
+
+      expect(facets.paid).toEqual([{ orders: 2 }]);
+      expect(facets.named.map(order => order.buyer.map(buyer => buyer.name))).toEqual([['Ana'], ['Bo'], ['Ana']]);
+      expect(lookup).toHaveBeenCalledTimes(1);
+      await expect(new AggregationPipeline([
+        { $lookup: { from: 'customers', localField: 'customer', foreignField: 'id', as: 'buyer' } }
+      ]).run(orders)).rejects.toThrow('Aggregation stage 0 ($lookup) failed');
+    });
+
+    test('should reject invalid pipelines', () => {
+      expect(Validator.validatePipeline([{ $group: { total: { $sum: '$a' } } }]).error).toContain('_id expression');
+      expect(Validator.validatePipeline([{ $group: { _id: null, total: { $median: '$a' } } }]).error)
+        .toContain("Unsupported accumulator '$median'");
+      expect(Validator.validatePipeline([{ $project: { a: 1, b: 0 } }]).error).toContain('cannot mix');
+      expect(Validator.validatePipeline([{ $addFields: { a: { $pow: [2, 3] } } }]).error)
+        .toContain("Unsupported expression operator '$pow'");
+      expect(Validator.validatePipeline([{ $facet: { inner: [{ $facet: { a: [] } }] } }]).error).toContain('cannot contain a $facet');
+      expect(Validator.validatePipeline([{ type: 'group', field: 'a' }, { $count: 'n' }]).error).toContain('group must be the last stage');
+      expect(() => new AggregationPipeline([{ $out: 'copy' }])).toThrow("Invalid pipeline stage 0: Unsupported stage '$out'");
+    });
+
+    test('should not let stages assign to object prototypes', async () => {
+      // Parsed from JSON, as REST request bodies are, so that "__proto__" stays an own key
+      const stages = [
+        '{ "$addFields": { "__proto__.polluted": 1 } }',
+        '{ "$project": { "a.constructor": "$id" } }',
+        '{ "$unwind": "$__proto__" }',
+        '{ "$lookup": { "from": "c", "localField": "id", "foreignField": "id", "as": "__proto__" } }',
+        '{ "$group": { "_id": null, "__proto__": { "$sum": 1 } } }',
+        '{ "$addFields": { "meta": { "__proto__": { "polluted": 1 } } } }'
+      ];
+
+      for (const stage of stages) {
+        expect(Validator.validatePipeline([JSON.parse(stage)]).valid).toBe(false);
+      }
+      expect(() => AggregationPipeline._setValue({}, 'a.__proto__.polluted', 1)).toThrow('reserved path segment');
+      expect({}.polluted).toBeUndefined();
+    });
+  });
 });
\ No newline at end of file